@@ -0,0 +1,243 @@
+/**
+ * Standfirst - Commands
+ *
+ * Copyright (c) 2023 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+export { CommandRegistry, getEventShortcut, isTypingShortcut, fuzzyMatch };
+
+/** Class representing the commands that can be run from the keyboard or the command palette. */
+class CommandRegistry {
+    #commands = new Map();
+
+    // The shortcuts changed by the user, by command id. An empty string removes the default shortcut.
+    #customShortcuts;
+    #onShortcutsChange;
+
+    /**
+     * Create a new command registry.
+     *
+     * @param {Object} customShortcuts The shortcuts changed by the user, by command id, e.g. { 'add-note': 'Alt+N' }.
+     * @param {Function} onShortcutsChange The function to be called with the custom shortcuts whenever they change.
+     */
+    constructor(customShortcuts = {}, onShortcutsChange = () => {}) {
+        this.#customShortcuts = { ...customShortcuts };
+        this.#onShortcutsChange = onShortcutsChange;
+    }
+
+    /**
+     * Add a command.
+     *
+     * Command format:
+     *
+     * {
+     *      id: {String} - A unique name, e.g. "add-note".
+     *      label: {String} - A short description, e.g. "Add note".
+     *      scope: {String} - 'notepad', or 'note' if the command is run on a note.
+     *      shortcut: {String} - The default shortcut, e.g. "Alt+Shift+N" (see getEventShortcut()), or ''.
+     *      whileEditing: {Boolean} - False if the shortcut is left to the browser while typing, e.g. to undo text.
+     *                                Shortcuts typing a character are always left to the text (see isTypingShortcut()).
+     *      readOnly: {Boolean} - True if the command can be run on a read-only notepad, i.e. it changes nothing.
+     *      isAvailable: {Function} - Optional. Check if the command can be run, e.g. isAvailable(noteID).
+     *      run: {Function} - Run the command, e.g. run(noteID).
+     * }
+     *
+     * @param {Object} command The command to be added.
+     */
+    register(command) {
+        this.#commands.set(command.id, {
+            scope: 'notepad',
+            shortcut: '',
+            whileEditing: true,
+            readOnly: false,
+            isAvailable: () => true,
+            ...command,
+        });
+    }
+
+    /**
+     * Get a command.
+     *
+     * @param {String} id The id of the command.
+     *
+     * @returns {Object|undefined} The command, if any.
+     */
+    get(id) {
+        return this.#commands.get(id);
+    }
+
+    /**
+     * All the commands, in the order they were added.
+     */
+    get commands() {
+        return [...this.#commands.values()];
+    }
+
+    /**
+     * Get the shortcut of a command, as changed by the user or the default one.
+     *
+     * @param {String} id The id of the command.
+     *
+     * @returns {String} The shortcut, or '' if the command has none.
+     */
+    getShortcut(id) {
+        if (Object.hasOwn(this.#customShortcuts, id)) {
+            return this.#customShortcuts[id];
+        }
+
+        const command = this.#commands.get(id);
+
+        return command ? command.shortcut : '';
+    }
+
+    /**
+     * Change the shortcut of a command. The shortcut is removed from any other command using it.
+     *
+     * @param {String} id The id of the command.
+     * @param {String} shortcut The new shortcut, or '' to remove it.
+     */
+    setShortcut(id, shortcut) {
+        if (shortcut) {
+            for (const command of this.#commands.values()) {
+                if (command.id !== id && this.getShortcut(command.id) === shortcut) {
+                    this.#customShortcuts[command.id] = '';
+                }
+            }
+        }
+
+        this.#customShortcuts[id] = shortcut;
+
+        // Shortcuts changed back to the default one are not custom anymore.
+        for (const command of this.#commands.values()) {
+            if (this.#customShortcuts[command.id] === command.shortcut) {
+                delete this.#customShortcuts[command.id];
+            }
+        }
+
+        this.#onShortcutsChange({ ...this.#customShortcuts });
+    }
+
+    /**
+     * Restore the default shortcuts of all the commands.
+     */
+    resetShortcuts() {
+        this.#customShortcuts = {};
+
+        this.#onShortcutsChange({});
+    }
+
+    /**
+     * Find the command with a shortcut.
+     *
+     * @param {String} shortcut The shortcut, e.g. "Ctrl+K".
+     *
+     * @returns {Object|undefined} The command, if any.
+     */
+    findByShortcut(shortcut) {
+        return this.commands.find((command) => shortcut && this.getShortcut(command.id) === shortcut);
+    }
+}
+
+// Keys that only modify other keys, and are never a shortcut by themselves.
+const modifierKeys = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'];
+
+/**
+ * Get the shortcut of a keyboard event, e.g. "Ctrl+Shift+Z". Ctrl also stands for the Command key on macOS.
+ *
+ * Letters and digits are named after the physical key, so that Alt+N is the same shortcut on any keyboard layout and
+ * operating system (e.g. on macOS, where Alt+N types a character).
+ *
+ * @param {KeyboardEvent} event The keyboard event.
+ *
+ * @return {String} The shortcut, or '' for modifier keys pressed alone.
+ */
+const getEventShortcut = (event) => {
+    if (modifierKeys.includes(event.key)) {
+        return '';
+    }
+
+    let key = event.key;
+
+    if (/^Key[A-Z]$/.test(event.code) || /^Digit[0-9]$/.test(event.code)) {
+        key = event.code.slice(-1);
+    } else if (key === ' ') {
+        key = 'Space';
+    } else if (key.length === 1) {
+        key = key.toUpperCase();
+    }
+
+    const modifiers = [];
+
+    if (event.ctrlKey || event.metaKey) {
+        modifiers.push('Ctrl');
+    }
+
+    if (event.altKey) {
+        modifiers.push('Alt');
+    }
+
+    if (event.shiftKey) {
+        modifiers.push('Shift');
+    }
+
+    return [...modifiers, key].join('+');
+};
+
+/**
+ * Check if a shortcut may type a character, e.g. Alt+Shift+N on macOS or Alt+N with the AltGr key of some keyboard
+ * layouts: Alt without Ctrl, and a letter, a digit or a symbol.
+ *
+ * @param {String} shortcut The shortcut, e.g. "Alt+Shift+N" (see getEventShortcut()).
+ *
+ * @return {Boolean} True if the shortcut should be left to the text while typing.
+ */
+const isTypingShortcut = (shortcut) => {
+    const keys = shortcut.split('+');
+    const key = shortcut.endsWith('++') ? '+' : keys[keys.length - 1];
+
+    return keys.includes('Alt') && !keys.includes('Ctrl') && key.length === 1;
+};
+
+/**
+ * Check if all the characters of a query appear, in order, in a text (e.g. "exn" in "Export notepad").
+ *
+ * Matches are ranked higher when the characters are consecutive or at the start of words.
+ *
+ * @param {String} text The text to be searched.
+ * @param {String} query The characters to be found.
+ *
+ * @return {Object|null} The match, or null if the text does not match: { score, indexes }, where indexes are the
+ *                       positions of the matched characters in the text.
+ */
+const fuzzyMatch = (text, query) => {
+    const lowerText = text.toLowerCase();
+    const lowerQuery = query.toLowerCase().replace(/\s+/g, '');
+
+    const indexes = [];
+
+    let score = 0;
+    let textIndex = 0;
+
+    for (const character of lowerQuery) {
+        const index = lowerText.indexOf(character, textIndex);
+
+        if (index === -1) {
+            return null;
+        }
+
+        const isConsecutive = indexes.length > 0 && index === indexes[indexes.length - 1] + 1;
+        const isWordStart = index === 0 || /[\s\-_:(]/.test(lowerText[index - 1]);
+
+        score += 1 + (isConsecutive ? 2 : 0) + (isWordStart ? 3 : 0) - Math.min(index - textIndex, 3) * 0.1;
+
+        indexes.push(index);
+        textIndex = index + 1;
+    }
+
+    return { score, indexes };
+};
@@ -0,0 +1,582 @@
+/**
+ * Standfirst - Documents
+ *
+ * Copyright (c) 2023 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+import * as markdown from './markdown.js';
+import { createZip } from './zip.js';
+
+export { notepadToHtml, notepadToDocx, docxMimeType };
+
+// The MIME type of DOCX documents.
+const docxMimeType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Exported documents:
+ *
+ * - HTML: a standalone page, with its own styles. When printed, each note starts on a new page.
+ * - DOCX: a Word document, generated in the browser. Each note starts on a new page.
+ *
+ * Both start with the notepad title, if any, followed by the title, the tags and the content of each note. Markdown
+ * notes are rendered as in their preview; the task lines of plain text notes are shown as checkboxes.
+ */
+
+// The styles of the HTML documents, which are read without the stylesheet of Standfirst.
+const htmlStyles = `
+body {
+    color: #212529;
+    font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+    line-height: 1.5;
+    margin: 2rem auto;
+    max-width: 42rem;
+    padding: 0 1rem;
+}
+
+h1 {
+    font-size: 1.8rem;
+    font-weight: normal;
+    margin: 0 0 2rem 0;
+    text-align: center;
+}
+
+.note {
+    border-left: 4px solid transparent;
+    margin: 0 0 2.5rem 0;
+    padding: 0 0 0 1rem;
+}
+
+.note > h2 {
+    font-size: 1.3rem;
+    margin: 0 0 0.5rem 0;
+}
+
+.note-tags {
+    color: #6c757d;
+    font-size: 0.85rem;
+    margin: 0 0 0.8rem 0;
+}
+
+.note-content > div {
+    min-height: 1.5em;
+    white-space: pre-wrap;
+}
+
+.task-list-item {
+    list-style: none;
+}
+
+blockquote {
+    border-left: 3px solid #dee2e6;
+    color: #6c757d;
+    margin: 0;
+    padding: 0 0 0 1rem;
+}
+
+code {
+    background-color: #f1f3f5;
+    border-radius: 3px;
+    font-size: 0.9em;
+    padding: 0.1rem 0.3rem;
+}
+
+pre code {
+    display: block;
+    overflow-x: auto;
+    padding: 0.6rem;
+}
+
+@media print {
+    body {
+        margin: 0;
+        max-width: none;
+    }
+
+    .note + .note {
+        break-before: page;
+    }
+}
+`;
+
+/**
+ * Convert a notepad object into a standalone HTML document.
+ *
+ * @param {Object} notepadObject The notepad to be converted (see Notepad.exportNotepad() for its format). Without a
+ *                               notepad title, the document starts with the first note (e.g. to export a single note).
+ *
+ * @return {string} The HTML document.
+ */
+const notepadToHtml = (notepadObject) => {
+    const htmlDocument = document.implementation.createHTMLDocument(getDocumentTitle(notepadObject));
+
+    if (notepadObject.language) {
+        htmlDocument.documentElement.lang = notepadObject.language;
+    }
+
+    const charset = htmlDocument.createElement('meta');
+    charset.setAttribute('charset', 'utf-8');
+    htmlDocument.head.prepend(charset);
+
+    const viewport = htmlDocument.createElement('meta');
+    viewport.name = 'viewport';
+    viewport.content = 'width=device-width, initial-scale=1';
+    htmlDocument.head.append(viewport);
+
+    const style = htmlDocument.createElement('style');
+    style.textContent = htmlStyles;
+    htmlDocument.head.append(style);
+
+    if (notepadObject.notepadTitle) {
+        const title = htmlDocument.createElement('h1');
+        title.textContent = notepadObject.notepadTitle;
+        htmlDocument.body.append(title);
+    }
+
+    for (const note of notepadObject.notes || []) {
+        const article = htmlDocument.createElement('article');
+        article.classList.add('note');
+
+        if (note.accentColor) {
+            article.style.borderLeftColor = note.accentColor;
+        }
+
+        const title = htmlDocument.createElement('h2');
+        title.textContent = note.title || '';
+        article.append(title);
+
+        if (note.tags && note.tags.length > 0) {
+            const tags = htmlDocument.createElement('p');
+            tags.classList.add('note-tags');
+            tags.textContent = note.tags.join(', ');
+            article.append(tags);
+        }
+
+        const content = htmlDocument.createElement('div');
+        content.classList.add('note-content');
+        content.append(renderNoteContent(note));
+        article.append(content);
+
+        htmlDocument.body.append(article);
+    }
+
+    return '<!DOCTYPE html>\n' + htmlDocument.documentElement.outerHTML;
+};
+
+/**
+ * Convert a notepad object into a DOCX document.
+ *
+ * @param {Object} notepadObject The notepad to be converted (see notepadToHtml()).
+ *
+ * @return {Uint8Array} The content of the DOCX file.
+ */
+const notepadToDocx = (notepadObject) => {
+    const paragraphs = [];
+
+    if (notepadObject.notepadTitle) {
+        paragraphs.push({ style: 'Title', runs: [{ text: notepadObject.notepadTitle }] });
+    }
+
+    (notepadObject.notes || []).forEach((note, index) => {
+        paragraphs.push({ style: 'Heading1', pageBreakBefore: index > 0, runs: [{ text: note.title || '' }] });
+
+        if (note.tags && note.tags.length > 0) {
+            paragraphs.push({ style: 'Tags', runs: [{ text: note.tags.join(', ') }] });
+        }
+
+        paragraphs.push(...getParagraphs(renderNoteContent(note)));
+    });
+
+    // The body of a document has at least one paragraph.
+    if (paragraphs.length === 0) {
+        paragraphs.push({ runs: [] });
+    }
+
+    const documentXml =
+        xmlDeclaration +
+        '<w:document xmlns:w="' +
+        wordNamespace +
+        '"><w:body>' +
+        paragraphs.map(paragraphToXml).join('') +
+        // A4 pages, with 2.54 cm margins.
+        '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>' +
+        '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" ' +
+        'w:header="708" w:footer="708" w:gutter="0"/>' +
+        '</w:sectPr></w:body></w:document>';
+
+    return createZip([
+        { name: '[Content_Types].xml', content: contentTypesXml },
+        { name: '_rels/.rels', content: packageRelationshipsXml },
+        { name: 'docProps/core.xml', content: getCorePropertiesXml(notepadObject) },
+        { name: 'word/_rels/document.xml.rels', content: documentRelationshipsXml },
+        { name: 'word/document.xml', content: documentXml },
+        { name: 'word/styles.xml', content: stylesXml },
+    ]);
+};
+
+/**
+ * Get the title of an exported document.
+ *
+ * @param {Object} notepadObject The exported notepad.
+ *
+ * @return {string} The notepad title or, if there is none, the title of the first note.
+ */
+const getDocumentTitle = (notepadObject) => {
+    const notes = notepadObject.notes || [];
+
+    return notepadObject.notepadTitle || (notes.length > 0 && notes[0].title) || '';
+};
+
+/**
+ * Render the content of a note as in its preview, with checkboxes that cannot be changed.
+ *
+ * @param {Object} note The note (see Notepad.exportNotepad() for its format).
+ *
+ * @return {DocumentFragment} The rendered content.
+ */
+const renderNoteContent = (note) => {
+    const content = note.markdown ? markdown.renderMarkdown(note.content) : markdown.renderChecklist(note.content);
+
+    // The state of a checkbox is only part of the HTML as attribute.
+    for (const checkbox of content.querySelectorAll('input[type="checkbox"]')) {
+        checkbox.toggleAttribute('checked', checkbox.checked);
+        checkbox.disabled = true;
+    }
+
+    return content;
+};
+
+// DOCX parts
+
+const xmlDeclaration = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const wordNamespace = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+const contentTypesXml =
+    xmlDeclaration +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '<Override PartName="/word/styles.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+    '<Override PartName="/docProps/core.xml" ' +
+    'ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+    '</Types>';
+
+const packageRelationshipsXml =
+    xmlDeclaration +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" ' +
+    'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" ' +
+    'Target="word/document.xml"/>' +
+    '<Relationship Id="rId2" ' +
+    'Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" ' +
+    'Target="docProps/core.xml"/>' +
+    '</Relationships>';
+
+const documentRelationshipsXml =
+    xmlDeclaration +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" ' +
+    'Target="styles.xml"/>' +
+    '</Relationships>';
+
+// The paragraph styles of the DOCX documents, with their paragraph (pPr) and run (rPr) properties.
+const paragraphStyles = [
+    { id: 'Normal', pPr: '', rPr: '' },
+    { id: 'Title', pPr: '<w:spacing w:after="360"/><w:jc w:val="center"/>', rPr: '<w:sz w:val="48"/>' },
+    {
+        id: 'Heading1',
+        name: 'heading 1',
+        pPr: '<w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="0"/>',
+        rPr: '<w:b/><w:sz w:val="32"/>',
+    },
+    {
+        id: 'Heading2',
+        name: 'heading 2',
+        pPr: '<w:keepNext/><w:spacing w:before="200" w:after="80"/><w:outlineLvl w:val="1"/>',
+        rPr: '<w:b/><w:sz w:val="28"/>',
+    },
+    {
+        id: 'Heading3',
+        name: 'heading 3',
+        pPr: '<w:keepNext/><w:spacing w:before="160" w:after="80"/><w:outlineLvl w:val="2"/>',
+        rPr: '<w:b/><w:sz w:val="24"/>',
+    },
+    { id: 'Tags', pPr: '', rPr: '<w:color w:val="6C757D"/><w:sz w:val="18"/>' },
+    { id: 'Quote', pPr: '<w:ind w:left="720"/>', rPr: '<w:i/><w:color w:val="595959"/>' },
+    {
+        id: 'Code',
+        pPr: '<w:spacing w:after="0"/>',
+        rPr: '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/>',
+    },
+];
+
+const stylesXml =
+    xmlDeclaration +
+    '<w:styles xmlns:w="' +
+    wordNamespace +
+    '"><w:docDefaults>' +
+    '<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr>' +
+    '</w:rPrDefault>' +
+    '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>' +
+    '</w:docDefaults>' +
+    paragraphStyles
+        .map((style) => {
+            const isDefault = style.id === 'Normal';
+
+            return (
+                '<w:style w:type="paragraph" w:styleId="' +
+                style.id +
+                '"' +
+                (isDefault ? ' w:default="1"' : '') +
+                '><w:name w:val="' +
+                (style.name || style.id) +
+                '"/>' +
+                (isDefault ? '' : '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/>') +
+                (style.pPr ? '<w:pPr>' + style.pPr + '</w:pPr>' : '') +
+                (style.rPr ? '<w:rPr>' + style.rPr + '</w:rPr>' : '') +
+                '</w:style>'
+            );
+        })
+        .join('') +
+    '</w:styles>';
+
+/**
+ * Get the properties (metadata) part of a DOCX document.
+ *
+ * @param {Object} notepadObject The exported notepad.
+ *
+ * @return {string} The XML of the part.
+ */
+const getCorePropertiesXml = (notepadObject) => {
+    // W3C date and time format, without milliseconds.
+    const toW3cDate = (timestamp) => new Date(timestamp || Date.now()).toISOString().replace(/\.\d+Z$/, 'Z');
+
+    return (
+        xmlDeclaration +
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+        'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+        '<dc:title>' +
+        escapeXml(getDocumentTitle(notepadObject)) +
+        '</dc:title>' +
+        (notepadObject.language ? '<dc:language>' + escapeXml(notepadObject.language) + '</dc:language>' : '') +
+        '<dcterms:created xsi:type="dcterms:W3CDTF">' +
+        toW3cDate(notepadObject.created) +
+        '</dcterms:created>' +
+        '<dcterms:modified xsi:type="dcterms:W3CDTF">' +
+        toW3cDate(notepadObject.modified) +
+        '</dcterms:modified>' +
+        '</cp:coreProperties>'
+    );
+};
+
+/**
+ * Convert the rendered content of a note into DOCX paragraphs.
+ *
+ * Paragraph format: { style: {string}, indent: {number}, pageBreakBefore: {boolean}, border: {boolean}, runs: [] }
+ * (see getRuns() for the format of the runs).
+ *
+ * @param {Node} parentNode The node containing the rendered blocks (see renderNoteContent()).
+ * @param {string} style The style of the paragraphs, e.g. 'Quote' within block quotes.
+ *
+ * @return {Array} The paragraphs.
+ */
+const getParagraphs = (parentNode, style = '') => {
+    const paragraphs = [];
+
+    for (const node of parentNode.childNodes) {
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            if (node.textContent.trim()) {
+                paragraphs.push({ style, runs: [{ text: node.textContent }] });
+            }
+
+            continue;
+        }
+
+        const tagName = node.tagName.toLowerCase();
+
+        if (/^h[1-6]$/.test(tagName)) {
+            // The headings of a note are below its title, which is a level 1 heading.
+            paragraphs.push({ style: 'Heading' + Math.min(Number(tagName[1]) + 1, 3), runs: getRuns(node) });
+        } else if (tagName === 'ul' || tagName === 'ol') {
+            paragraphs.push(...getListParagraphs(node, style, 1));
+        } else if (tagName === 'blockquote') {
+            paragraphs.push(...getParagraphs(node, 'Quote'));
+        } else if (tagName === 'pre') {
+            for (const line of node.textContent.split('\n')) {
+                paragraphs.push({ style: 'Code', runs: [{ text: line }] });
+            }
+        } else if (tagName === 'hr') {
+            paragraphs.push({ style, border: true, runs: [] });
+        } else {
+            // Paragraphs, and the lines of plain text notes.
+            paragraphs.push({ style, runs: getRuns(node) });
+        }
+    }
+
+    return paragraphs;
+};
+
+/**
+ * Convert a rendered list into DOCX paragraphs, one for each item, indented by level.
+ *
+ * @param {Element} list The ul or ol element.
+ * @param {string} style The style of the paragraphs.
+ * @param {number} level The nesting level of the list, from 1.
+ *
+ * @return {Array} The paragraphs.
+ */
+const getListParagraphs = (list, style, level) => {
+    const paragraphs = [];
+
+    let number = list.tagName.toLowerCase() === 'ol' ? list.start || 1 : null;
+
+    for (const item of list.children) {
+        // Tasks are marked by their checkbox.
+        let marker = '';
+
+        if (!item.classList.contains('task-list-item')) {
+            marker = number === null ? '\u2022 ' : number++ + '. ';
+        }
+
+        paragraphs.push({ style, indent: level, runs: [{ text: marker }, ...getRuns(item)] });
+
+        for (const nestedList of item.querySelectorAll(':scope > ul, :scope > ol')) {
+            paragraphs.push(...getListParagraphs(nestedList, style, level + 1));
+        }
+    }
+
+    return paragraphs;
+};
+
+/**
+ * Convert the inline content of a rendered block into DOCX runs: pieces of text with the same formatting.
+ *
+ * Run format: { text: {string}, isBreak: {boolean}, bold: {boolean}, italic: {boolean}, code: {boolean} }
+ *
+ * @param {Node} parentNode The rendered block.
+ * @param {Object} formatting The formatting of the text within the block, e.g. { bold: true }.
+ *
+ * @return {Array} The runs.
+ */
+const getRuns = (parentNode, formatting = {}) => {
+    const runs = [];
+
+    for (const node of parentNode.childNodes) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            runs.push({ ...formatting, text: node.textContent });
+
+            continue;
+        }
+
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            continue;
+        }
+
+        const tagName = node.tagName.toLowerCase();
+
+        if (tagName === 'ul' || tagName === 'ol') {
+            // Nested lists are paragraphs of their own (see getListParagraphs()).
+            continue;
+        } else if (tagName === 'br') {
+            // A final line break adds no line, e.g. in the empty lines of plain text notes.
+            if (node !== parentNode.lastChild) {
+                runs.push({ ...formatting, isBreak: true });
+            }
+        } else if (tagName === 'input') {
+            runs.push({ ...formatting, text: node.checked ? '\u2611' : '\u2610' });
+        } else if (tagName === 'strong') {
+            runs.push(...getRuns(node, { ...formatting, bold: true }));
+        } else if (tagName === 'em') {
+            runs.push(...getRuns(node, { ...formatting, italic: true }));
+        } else if (tagName === 'code') {
+            runs.push(...getRuns(node, { ...formatting, code: true }));
+        } else if (tagName === 'a') {
+            runs.push(...getRuns(node, formatting), { ...formatting, text: ' (' + node.getAttribute('href') + ')' });
+        } else {
+            runs.push(...getRuns(node, formatting));
+        }
+    }
+
+    return runs;
+};
+
+/**
+ * Convert a DOCX paragraph into XML.
+ *
+ * @param {Object} paragraph The paragraph (see getParagraphs()).
+ *
+ * @return {string} The XML of the paragraph.
+ */
+const paragraphToXml = (paragraph) => {
+    let properties = '';
+
+    if (paragraph.style) {
+        properties += '<w:pStyle w:val="' + paragraph.style + '"/>';
+    }
+
+    if (paragraph.pageBreakBefore) {
+        properties += '<w:pageBreakBefore/>';
+    }
+
+    if (paragraph.border) {
+        properties += '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>';
+    }
+
+    if (paragraph.indent) {
+        // 0.635 cm for each level.
+        properties += '<w:ind w:left="' + paragraph.indent * 360 + '"/>';
+    }
+
+    const runs = paragraph.runs.filter((run) => run.isBreak || run.text).map(runToXml);
+
+    return '<w:p>' + (properties ? '<w:pPr>' + properties + '</w:pPr>' : '') + runs.join('') + '</w:p>';
+};
+
+/**
+ * Convert a DOCX run into XML.
+ *
+ * @param {Object} run The run (see getRuns()).
+ *
+ * @return {string} The XML of the run.
+ */
+const runToXml = (run) => {
+    let properties = '';
+
+    if (run.code) {
+        properties += '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>';
+    }
+
+    if (run.bold) {
+        properties += '<w:b/>';
+    }
+
+    if (run.italic) {
+        properties += '<w:i/>';
+    }
+
+    const content = run.isBreak ? '<w:br/>' : '<w:t xml:space="preserve">' + escapeXml(run.text) + '</w:t>';
+
+    return '<w:r>' + (properties ? '<w:rPr>' + properties + '</w:rPr>' : '') + content + '</w:r>';
+};
+
+/**
+ * Escape a text to be included in XML, leaving out the control characters XML does not allow.
+ *
+ * @param {string} text The text.
+ *
+ * @return {string} The escaped text.
+ */
+const escapeXml = (text) => {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+    return text.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '').replace(/[&<>"]/g, (match) => entities[match]);
+};
@@ -0,0 +1,87 @@
+/**
+ * Standfirst - Events
+ *
+ * Copyright (c) 2023 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+export { EventEmitter };
+
+/** Class representing a set of listeners called when an event is emitted, e.g. when a note changes. */
+class EventEmitter {
+    #listeners = new Map();
+
+    /**
+     * Add a listener for an event.
+     *
+     * @param {String} type The name of the event, e.g. 'note:added'.
+     * @param {Function} listener The function to be called with the details of each event.
+     *
+     * @returns {Function} A function removing the listener.
+     */
+    on(type, listener) {
+        if (!this.#listeners.has(type)) {
+            this.#listeners.set(type, new Set());
+        }
+
+        this.#listeners.get(type).add(listener);
+
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Remove a listener for an event.
+     *
+     * @param {String} type The name of the event.
+     * @param {Function} listener The function added with on().
+     */
+    off(type, listener) {
+        const listeners = this.#listeners.get(type);
+
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Check if an event has any listener, e.g. to skip preparing costly details that nobody would receive.
+     *
+     * @param {String} type The name of the event.
+     *
+     * @returns {Boolean} True if at least one listener was added for the event.
+     */
+    hasListeners(type) {
+        const listeners = this.#listeners.get(type);
+
+        return Boolean(listeners && listeners.size > 0);
+    }
+
+    /**
+     * Call the listeners of an event. A listener throwing an error does not stop the others.
+     *
+     * @param {String} type The name of the event.
+     * @param {Object} detail The details of the event, passed to the listeners.
+     */
+    emit(type, detail = {}) {
+        const listeners = this.#listeners.get(type);
+
+        if (!listeners) {
+            return;
+        }
+
+        for (const listener of [...listeners]) {
+            try {
+                listener({ type, ...detail });
+            } catch (error) {
+                // Report the error as uncaught, once the other listeners have been called.
+                queueMicrotask(() => {
+                    throw error;
+                });
+            }
+        }
+    }
+}
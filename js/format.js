@@ -0,0 +1,340 @@
+/**
+ * Standfirst - Format
+ *
+ * Copyright (c) 2023 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+export { formatVersion, validateNotepad, validateTarget, upgradeNotepad, isHexColor, isDate };
+
+// The version of the notepad format written by this version of Standfirst. It must be increased, and a migration added
+// below, whenever the format changes.
+const formatVersion = 8;
+
+/**
+ * Format versions:
+ *
+ * 1. No formatVersion property. Notepads and notes have no timestamps.
+ * 2. Add formatVersion, and the created/modified timestamps (ISO 8601 strings) to notepads and notes.
+ * 3. Add the versions (snapshots of the content) to notes: [{ timestamp, content }].
+ * 4. Add the tags to notes: [String].
+ * 5. Add the Markdown mode to notes: Boolean.
+ * 6. Add the language (BCP 47 tag) to notepads: String, empty for the language of the browser.
+ * 7. Add the writing target to notes: { unit, min, max, deadline } or null.
+ * 8. Add the palette of accent colors, with their labels, to notepads: [{ color, label }].
+ *
+ * Each migration upgrades a notepad object from its version to the next one.
+ */
+const migrations = {
+    1: (notepadObject) => {
+        const now = new Date().toISOString();
+
+        return {
+            ...notepadObject,
+            formatVersion: 2,
+            created: notepadObject.created || now,
+            modified: notepadObject.modified || now,
+            notes: notepadObject.notes.map((note) => ({
+                ...note,
+                created: note.created || now,
+                modified: note.modified || note.created || now,
+            })),
+        };
+    },
+    2: (notepadObject) => {
+        // The current content of each note is its first version.
+        return {
+            ...notepadObject,
+            formatVersion: 3,
+            notes: notepadObject.notes.map((note) => ({
+                ...note,
+                versions: note.versions || (note.content ? [{ timestamp: note.modified, content: note.content }] : []),
+            })),
+        };
+    },
+    3: (notepadObject) => {
+        return {
+            ...notepadObject,
+            formatVersion: 4,
+            notes: notepadObject.notes.map((note) => ({ ...note, tags: note.tags || [] })),
+        };
+    },
+    4: (notepadObject) => {
+        // Existing notes are plain text.
+        return {
+            ...notepadObject,
+            formatVersion: 5,
+            notes: notepadObject.notes.map((note) => ({ ...note, markdown: note.markdown === true })),
+        };
+    },
+    5: (notepadObject) => {
+        return { ...notepadObject, formatVersion: 6, language: notepadObject.language || '' };
+    },
+    6: (notepadObject) => {
+        return {
+            ...notepadObject,
+            formatVersion: 7,
+            notes: notepadObject.notes.map((note) => ({ ...note, target: note.target || null })),
+        };
+    },
+    7: (notepadObject) => {
+        // The palette was the default colors, followed by the other colors used by the notes.
+        const noteColors = notepadObject.notes.map((note) => (note.accentColor || '').toLowerCase());
+        const colors = [...new Set([...legacyAccentColors, ...noteColors])].filter((color) => color);
+
+        return {
+            ...notepadObject,
+            formatVersion: 8,
+            palette: notepadObject.palette || colors.map((color) => ({ color, label: '' })),
+        };
+    },
+};
+
+// The accent colors of the notepads saved before the palette was introduced (format version 7 and older).
+const legacyAccentColors = ['#fde6e6', '#ebf2f9', '#fefbe6', '#feddc9', '#e5f4da'];
+
+// Hex color codes, e.g. #fde6e6 or #fde.
+const hexColorRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+
+/**
+ * Check that an object follows the notepad format (see Notepad.exportNotepad()).
+ *
+ * @param {*} notepadObject The object to be checked, e.g. the parsed content of an imported file.
+ *
+ * @return {Array} The description of each problem found. The array is empty if the object is a valid notepad.
+ */
+const validateNotepad = (notepadObject) => {
+    if (!isPlainObject(notepadObject)) {
+        return ['The file does not contain a notepad.'];
+    }
+
+    const version = getFormatVersion(notepadObject);
+
+    if (!Number.isInteger(version) || version < 1) {
+        return ['"' + notepadObject.formatVersion + '" is not a valid format version.'];
+    }
+
+    // Newer formats may include data this version does not know about: the notepad is not loaded at all.
+    if (version > formatVersion) {
+        return [
+            'The notepad was saved by a newer version of Standfirst (format version ' +
+                version +
+                ', while this version supports up to ' +
+                formatVersion +
+                '). Please update Standfirst to import it.',
+        ];
+    }
+
+    const errors = [];
+
+    if (notepadObject.notepadTitle !== undefined && typeof notepadObject.notepadTitle !== 'string') {
+        errors.push('The notepad title must be a text.');
+    }
+
+    if (notepadObject.language !== undefined && !isLanguageTag(notepadObject.language)) {
+        errors.push('"' + notepadObject.language + '" is not a valid language, e.g. "en" or "pt-BR".');
+    }
+
+    for (const property of ['created', 'modified']) {
+        if (notepadObject[property] !== undefined && !isDate(notepadObject[property])) {
+            errors.push('The notepad "' + property + '" property must be a date.');
+        }
+    }
+
+    if (notepadObject.palette !== undefined) {
+        const isValidColor = (paletteColor) => {
+            return (
+                isPlainObject(paletteColor) &&
+                isHexColor(paletteColor.color) &&
+                typeof paletteColor.label === 'string'
+            );
+        };
+
+        if (!Array.isArray(notepadObject.palette) || !notepadObject.palette.every(isValidColor)) {
+            errors.push('The notepad palette must be a list of hex color codes with their labels.');
+        }
+    }
+
+    if (!Array.isArray(notepadObject.notes)) {
+        errors.push('The notepad must include a list of notes.');
+
+        return errors;
+    }
+
+    notepadObject.notes.forEach((note, index) => {
+        const noteLabel = 'Note ' + (index + 1);
+
+        if (!isPlainObject(note)) {
+            errors.push(noteLabel + ' is not a note.');
+
+            return;
+        }
+
+        for (const property of ['id', 'title', 'content', 'accentColor']) {
+            if (note[property] !== undefined && typeof note[property] !== 'string') {
+                errors.push(noteLabel + ': "' + property + '" must be a text.');
+            }
+        }
+
+        if (typeof note.accentColor === 'string' && note.accentColor && !isHexColor(note.accentColor)) {
+            errors.push(noteLabel + ': "' + note.accentColor + '" is not a hex color code.');
+        }
+
+        for (const property of ['created', 'modified']) {
+            if (note[property] !== undefined && !isDate(note[property])) {
+                errors.push(noteLabel + ': "' + property + '" must be a date.');
+            }
+        }
+
+        if (note.versions !== undefined) {
+            const isValidVersion = (version) => {
+                return isPlainObject(version) && isDate(version.timestamp) && typeof version.content === 'string';
+            };
+
+            if (!Array.isArray(note.versions) || !note.versions.every(isValidVersion)) {
+                errors.push(noteLabel + ': "versions" must be a list of dated texts.');
+            }
+        }
+
+        if (note.tags !== undefined) {
+            if (!Array.isArray(note.tags) || !note.tags.every((tag) => typeof tag === 'string')) {
+                errors.push(noteLabel + ': "tags" must be a list of texts.');
+            }
+        }
+
+        if (note.markdown !== undefined && typeof note.markdown !== 'boolean') {
+            errors.push(noteLabel + ': "markdown" must be true or false.');
+        }
+
+        if (note.target !== undefined && note.target !== null) {
+            errors.push(...validateTarget(note.target).map((error) => noteLabel + ': ' + error));
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Check that an object is a writing target of a note (see Notepad.exportNotepad()).
+ *
+ * @param {*} target The object to be checked.
+ *
+ * @return {Array} The description of each problem found.
+ */
+const validateTarget = (target) => {
+    if (!isPlainObject(target)) {
+        return ['"target" must be an object.'];
+    }
+
+    const errors = [];
+
+    if (!['words', 'characters'].includes(target.unit)) {
+        errors.push('the target unit must be "words" or "characters".');
+    }
+
+    for (const property of ['min', 'max']) {
+        const value = target[property];
+
+        if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+            errors.push('the target "' + property + '" must be a whole number (0 or more).');
+        }
+    }
+
+    if (Number.isInteger(target.min) && Number.isInteger(target.max) && target.min > target.max) {
+        errors.push('the target minimum is greater than the maximum.');
+    }
+
+    if (target.deadline !== undefined && target.deadline !== null && !/^\d{4}-\d{2}-\d{2}$/.test(target.deadline)) {
+        errors.push('the target deadline must be a date in the YYYY-MM-DD format.');
+    }
+
+    return errors;
+};
+
+/**
+ * Upgrade a notepad object to the current format version, one version at a time.
+ *
+ * The notepad must be valid (see validateNotepad()). Notepads already in the current format are returned unchanged.
+ *
+ * @param {Object} notepadObject The notepad to be upgraded.
+ *
+ * @return {Object} The upgraded notepad.
+ */
+const upgradeNotepad = (notepadObject) => {
+    let upgradedNotepad = notepadObject;
+
+    for (let version = getFormatVersion(notepadObject); version < formatVersion; version++) {
+        upgradedNotepad = migrations[version](upgradedNotepad);
+    }
+
+    return upgradedNotepad;
+};
+
+/**
+ * Get the format version of a notepad object.
+ *
+ * @param {Object} notepadObject The notepad.
+ *
+ * @return {*} The version: 1 for notepads without a formatVersion property (saved before it was introduced).
+ */
+const getFormatVersion = (notepadObject) => {
+    return notepadObject.formatVersion === undefined ? 1 : notepadObject.formatVersion;
+};
+
+/**
+ * Check if a value is a hex color code, e.g. '#fde6e6' or '#fde'.
+ *
+ * @param {*} value The value to be checked.
+ *
+ * @return {boolean} True if the value is a hex color code.
+ */
+const isHexColor = (value) => {
+    return typeof value === 'string' && hexColorRegex.test(value);
+};
+
+/**
+ * Check if a value is a string representing a valid date, e.g. an ISO 8601 timestamp.
+ *
+ * @param {*} value The value to be checked.
+ *
+ * @return {boolean} True if the value is a date.
+ */
+const isDate = (value) => {
+    return typeof value === 'string' && !isNaN(Date.parse(value));
+};
+
+/**
+ * Check if a value is a BCP 47 language tag (e.g. 'en' or 'pt-BR'), or an empty string.
+ *
+ * @param {*} value The value to be checked.
+ *
+ * @return {boolean} True if the value is a language tag.
+ */
+const isLanguageTag = (value) => {
+    if (typeof value !== 'string') {
+        return false;
+    }
+
+    try {
+        Intl.getCanonicalLocales(value || []);
+
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Check if a value is an object, excluding arrays and null.
+ *
+ * @param {*} value The value to be checked.
+ *
+ * @return {boolean} True if the value is an object.
+ */
+const isPlainObject = (value) => {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+};
@@ -14,10 +14,25 @@ import * as notepad from './notepad.js';
 // Create a new notepad.
 window.addEventListener('load', (event) => {
     const newNotepad = new notepad.Notepad('notepad-entry-point');
-});
 
-// Trigger a confirmation dialog before leaving the page to to prevent the inadvertent loss of content.
-window.addEventListener('beforeunload', (event) => {
-    event.preventDefault();
-    return event.returnValue = '';
+    // Open the notepad files opened with Standfirst from the operating system (see file_handlers in the manifest), so
+    // that they can be saved in place. Like the "Open file" control, this is not available while read-only.
+    if ('launchQueue' in window) {
+        window.launchQueue.setConsumer(async (launchParams) => {
+            if (newNotepad.isReadOnly()) {
+                return;
+            }
+
+            for (const fileHandle of launchParams.files) {
+                await newNotepad.openFile(fileHandle);
+            }
+        });
+    }
 });
+
+// Cache the app, so that it can be installed and used offline.
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch((error) => {
+        // The app still works, but only online.
+    });
+}
@@ -0,0 +1,490 @@
+/**
+ * Standfirst - Markdown
+ *
+ * Copyright (c) 2023 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+export { notepadToMarkdown, markdownToNotepad, renderMarkdown, renderChecklist, countTasks, toggleTask };
+
+/**
+ * Markdown document format:
+ *
+ * # Notepad title
+ *
+ * <!-- standfirst-note {"id":"note-1","accentColor":"#fde6e6","tags":["draft"],"markdown":false,"target":null,"created":"...","modified":"..."} -->
+ * ## Note title
+ *
+ * Note content
+ *
+ * Each note is a level 2 section, in index order. The HTML comment before each section keeps the properties of the note
+ * that have no Markdown equivalent; it is not rendered by wikis and other Markdown viewers.
+ */
+
+// The HTML comment preceding each note section.
+const noteCommentRegex = /^<!-- standfirst-note (\{.*\}) -->$/;
+
+/**
+ * Convert a notepad object into a Markdown document.
+ *
+ * @param {Object} notepadObject The notepad to be converted (see Notepad.exportNotepad() for its format).
+ *
+ * @return {string} The Markdown document.
+ */
+const notepadToMarkdown = (notepadObject) => {
+    const sections = ['# ' + toHeadingText(notepadObject.notepadTitle)];
+
+    for (const note of notepadObject.notes || []) {
+        const noteProperties = {
+            id: note.id,
+            accentColor: note.accentColor,
+            tags: note.tags,
+            markdown: note.markdown,
+            target: note.target,
+            created: note.created,
+            modified: note.modified,
+        };
+
+        const section = [
+            '<!-- standfirst-note ' + JSON.stringify(noteProperties) + ' -->',
+            '## ' + toHeadingText(note.title),
+        ];
+
+        if (note.content) {
+            section.push('', note.content.replace(/\s+$/, ''));
+        }
+
+        sections.push(section.join('\n'));
+    }
+
+    return sections.join('\n\n') + '\n';
+};
+
+/**
+ * Convert a Markdown document into a notepad object.
+ *
+ * Documents without the Standfirst comments (e.g. written by hand) are split into notes at each level 2 heading.
+ *
+ * @param {string} markdown The Markdown document.
+ *
+ * @return {Object} The notepad object (see Notepad.exportNotepad() for its format).
+ */
+const markdownToNotepad = (markdown = '') => {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+
+    const hasNoteComments = lines.some((line) => noteCommentRegex.test(line));
+
+    const notepadObject = { notepadTitle: '', notes: [] };
+
+    let currentNote = null;
+
+    for (const line of lines) {
+        const noteComment = line.match(noteCommentRegex);
+        const heading = line.match(/^(#{1,2})\s+(.*)$/);
+
+        if (noteComment) {
+            // A new note starts: its title is the following level 2 heading.
+            currentNote = { ...parseNoteProperties(noteComment[1]), title: null, content: [] };
+            notepadObject.notes.push(currentNote);
+        } else if (heading && heading[1] === '#' && !currentNote && !notepadObject.notepadTitle) {
+            notepadObject.notepadTitle = heading[2].trim();
+        } else if (heading && heading[1] === '##' && currentNote && currentNote.title === null) {
+            currentNote.title = heading[2].trim();
+        } else if (heading && heading[1] === '##' && !hasNoteComments) {
+            currentNote = { title: heading[2].trim(), content: [] };
+            notepadObject.notes.push(currentNote);
+        } else if (currentNote) {
+            currentNote.content.push(line);
+        }
+    }
+
+    // Join the lines of each note, without the blank lines separating the sections.
+    for (const note of notepadObject.notes) {
+        note.title = note.title || '';
+        note.content = note.content.join('\n').replace(/^\n+|\s+$/g, '');
+    }
+
+    return notepadObject;
+};
+
+/**
+ * Parse the properties kept in the comment preceding a note section.
+ *
+ * @param {string} json The JSON string included in the comment.
+ *
+ * @return {Object} The properties of the note, or an empty object if they cannot be parsed.
+ */
+const parseNoteProperties = (json) => {
+    try {
+        const { id, accentColor, tags, markdown, target, created, modified } = JSON.parse(json);
+
+        return { id, accentColor, tags, markdown, target, created, modified };
+    } catch (error) {
+        return {};
+    }
+};
+
+/**
+ * Get a text usable as a single-line Markdown heading.
+ *
+ * @param {string} text The text of the heading.
+ *
+ * @return {string} The text without line breaks.
+ */
+const toHeadingText = (text = '') => {
+    return text.replace(/\s*\n\s*/g, ' ').trim();
+};
+
+/**
+ * Render the Markdown content of a note as HTML elements, e.g. for its preview.
+ *
+ * Supported syntax: headings, paragraphs, emphasis, inline code, fenced code blocks, links, block quotes, horizontal
+ * rules, and ordered, unordered and task lists (- [ ] / - [x]). Raw HTML is shown as text.
+ *
+ * The checkbox of each task has the index of its line in the text as data-line attribute (see toggleTask()).
+ *
+ * @param {string} markdown The Markdown text.
+ *
+ * @return {DocumentFragment} The rendered content.
+ */
+const renderMarkdown = (markdown = '') => {
+    const fragment = document.createDocumentFragment();
+
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+
+    renderBlocks(
+        lines,
+        lines.map((line, lineIndex) => lineIndex),
+        fragment
+    );
+
+    return fragment;
+};
+
+/**
+ * Render a plain text as it is, except for its task lines (- [ ] / - [x]), which are rendered as checkboxes.
+ *
+ * The checkbox of each task has the index of its line in the text as data-line attribute (see toggleTask()).
+ *
+ * @param {string} text The plain text.
+ *
+ * @return {DocumentFragment} The rendered content.
+ */
+const renderChecklist = (text = '') => {
+    const fragment = document.createDocumentFragment();
+
+    text.replace(/\r\n?/g, '\n')
+        .split('\n')
+        .forEach((line, lineIndex) => {
+            const taskLine = line.match(taskLineRegex);
+
+            const lineElement = document.createElement('div');
+
+            if (taskLine) {
+                // The list marker is replaced by the checkbox, keeping the indentation.
+                lineElement.classList.add('task-list-item');
+                lineElement.append(taskLine[1].match(/^\s*/)[0]);
+                lineElement.insertAdjacentElement('beforeend', createTaskCheckbox(taskLine[2], lineIndex));
+                lineElement.append(' ' + taskLine[3]);
+            } else {
+                // Empty lines keep their height.
+                lineElement.innerText = line || '\n';
+            }
+
+            fragment.appendChild(lineElement);
+        });
+
+    return fragment;
+};
+
+/**
+ * Count the tasks (- [ ] / - [x]) of a text.
+ *
+ * @param {string} text The text including the tasks.
+ * @param {boolean} isMarkdown True if the text is Markdown: the tasks in fenced code blocks are not rendered, and so
+ *                             not counted.
+ *
+ * @return {Object} The number of tasks: { done, total }.
+ */
+const countTasks = (text = '', isMarkdown = false) => {
+    const tasks = { done: 0, total: 0 };
+
+    let isCode = false;
+
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        if (isMarkdown && /^\s*```/.test(line)) {
+            isCode = !isCode;
+        } else if (!isCode) {
+            const taskLine = line.match(taskLineRegex);
+
+            if (taskLine) {
+                tasks.total++;
+                tasks.done += taskLine[2] === ' ' ? 0 : 1;
+            }
+        }
+    }
+
+    return tasks;
+};
+
+/**
+ * Check or uncheck a task of a text.
+ *
+ * @param {string} text The text including the task.
+ * @param {number} lineIndex The index of the line of the task (see the data-line attribute of the checkboxes).
+ * @param {boolean} isDone True to check the task, false to uncheck it.
+ *
+ * @return {string} The updated text. The text is returned unchanged if the line is not a task.
+ */
+const toggleTask = (text, lineIndex, isDone) => {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+
+    if (lineIndex >= 0 && lineIndex < lines.length && taskLineRegex.test(lines[lineIndex])) {
+        lines[lineIndex] = lines[lineIndex].replace(taskLineRegex, (taskLine, prefix, state, taskText) => {
+            return prefix + '[' + (isDone ? 'x' : ' ') + '] ' + taskText;
+        });
+    }
+
+    return lines.join('\n');
+};
+
+/**
+ * Render some lines of Markdown as block elements (see renderMarkdown()).
+ *
+ * @param {Array} lines The lines to be rendered.
+ * @param {Array} lineIndexes The index of each line in the whole text.
+ * @param {Node} parentElement The element the blocks are added to.
+ */
+const renderBlocks = (lines, lineIndexes, parentElement) => {
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (!line.trim()) {
+            index++;
+        } else if (/^\s*```/.test(line)) {
+            // Fenced code block, up to the closing fence or the end of the text.
+            const codeLines = [];
+
+            for (index++; index < lines.length && !/^\s*```/.test(lines[index]); index++) {
+                codeLines.push(lines[index]);
+            }
+
+            const pre = document.createElement('pre');
+            const code = document.createElement('code');
+            code.textContent = codeLines.join('\n');
+            pre.insertAdjacentElement('beforeend', code);
+            parentElement.appendChild(pre);
+
+            index++;
+        } else if (/^\s*#{1,6}\s/.test(line)) {
+            const [, hashes, text] = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+
+            const heading = document.createElement('h' + hashes.length);
+            renderInline(text, heading);
+            parentElement.appendChild(heading);
+
+            index++;
+        } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            parentElement.appendChild(document.createElement('hr'));
+
+            index++;
+        } else if (/^\s*>/.test(line)) {
+            const quoteStart = index;
+            const quoteLines = [];
+
+            for (; index < lines.length && /^\s*>/.test(lines[index]); index++) {
+                quoteLines.push(lines[index].replace(/^\s*>\s?/, ''));
+            }
+
+            const blockquote = document.createElement('blockquote');
+            renderBlocks(quoteLines, lineIndexes.slice(quoteStart, index), blockquote);
+            parentElement.appendChild(blockquote);
+        } else if (listItemRegex.test(line)) {
+            const listStart = index;
+
+            while (index < lines.length && listItemRegex.test(lines[index])) {
+                index++;
+            }
+
+            renderList(lines.slice(listStart, index), lineIndexes.slice(listStart, index), parentElement);
+        } else {
+            // Paragraph, up to the next blank line or block.
+            const paragraphLines = [];
+
+            for (; index < lines.length && lines[index].trim() && !isBlockStart(lines[index]); index++) {
+                paragraphLines.push(lines[index].trim());
+            }
+
+            // A line that is not a block start is always included, e.g. a lone "```" closing nothing.
+            if (paragraphLines.length === 0) {
+                paragraphLines.push(lines[index].trim());
+                index++;
+            }
+
+            const paragraph = document.createElement('p');
+
+            paragraphLines.forEach((paragraphLine, lineIndex) => {
+                if (lineIndex > 0) {
+                    paragraph.appendChild(document.createElement('br'));
+                }
+
+                renderInline(paragraphLine, paragraph);
+            });
+
+            parentElement.appendChild(paragraph);
+        }
+    }
+};
+
+// List items: "- item", "* item", "+ item", "1. item" or "1) item", optionally indented to nest them.
+const listItemRegex = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+// Task list items: the text of a list item starting with "[ ]" or "[x]".
+const taskRegex = /^\[([ xX])\]\s+(.*)$/;
+
+// Task lines, also within block quotes: the part before the checkbox, the checkbox state and the text of the task.
+const taskLineRegex = /^(\s*(?:>\s?)*\s*(?:[-*+]|\d+[.)])\s+)\[([ xX])\]\s+(.*)$/;
+
+/**
+ * Render consecutive list items as (possibly nested) lists.
+ *
+ * @param {Array} itemLines The lines of the list items.
+ * @param {Array} lineIndexes The index of each line in the whole text.
+ * @param {Node} parentElement The element the list is added to.
+ */
+const renderList = (itemLines, lineIndexes, parentElement) => {
+    // The open lists, from the outermost one, with the indentation of their items.
+    const lists = [];
+
+    for (const [itemIndex, itemLine] of itemLines.entries()) {
+        const [, indentation, marker, text] = itemLine.match(listItemRegex);
+        const isOrdered = /\d/.test(marker);
+
+        // Close the lists more indented than the item.
+        while (lists.length > 0 && lists[lists.length - 1].indentation > indentation.length) {
+            lists.pop();
+        }
+
+        // A different type of list at the same level starts a new list.
+        const lastList = lists[lists.length - 1];
+
+        if (lastList && lastList.indentation === indentation.length && lastList.isOrdered !== isOrdered) {
+            lists.pop();
+        }
+
+        let currentList = lists[lists.length - 1];
+
+        if (!currentList || currentList.indentation < indentation.length) {
+            // Open a new list, nested in the last item of the current one, if any.
+            const list = document.createElement(isOrdered ? 'ol' : 'ul');
+
+            if (isOrdered && parseInt(marker) !== 1) {
+                list.start = parseInt(marker);
+            }
+
+            if (currentList) {
+                currentList.element.lastElementChild.appendChild(list);
+            } else {
+                parentElement.appendChild(list);
+            }
+
+            currentList = { element: list, indentation: indentation.length, isOrdered };
+            lists.push(currentList);
+        }
+
+        const item = document.createElement('li');
+        const task = text.match(taskRegex);
+
+        if (task) {
+            item.classList.add('task-list-item');
+            item.insertAdjacentElement('beforeend', createTaskCheckbox(task[1], lineIndexes[itemIndex]));
+            renderInline(' ' + task[2], item);
+        } else {
+            renderInline(text, item);
+        }
+
+        currentList.element.appendChild(item);
+    }
+};
+
+/**
+ * Create the checkbox of a task.
+ *
+ * @param {string} state The state of the task in the text: ' ' (to do), 'x' or 'X' (done).
+ * @param {number} lineIndex The index of the line of the task in the text.
+ *
+ * @return {Element} The checkbox.
+ */
+const createTaskCheckbox = (state, lineIndex) => {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = state !== ' ';
+    checkbox.classList.add('task-checkbox');
+    checkbox.dataset.line = lineIndex;
+
+    return checkbox;
+};
+
+/**
+ * Check if a line starts a block other than a paragraph.
+ *
+ * @param {string} line The line to be checked.
+ *
+ * @return {boolean} True if the line starts a block.
+ */
+const isBlockStart = (line) => {
+    return /^\s*(```|#{1,6}\s|>)/.test(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) || listItemRegex.test(line);
+};
+
+// Inline syntax: `code`, [text](url), **strong**, __strong__, *emphasis* and _emphasis_.
+const inlineRegex = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|(?<!\w)__(.+?)__(?!\w)|\*(.+?)\*|(?<!\w)_(.+?)_(?!\w)/g;
+
+/**
+ * Render the inline syntax of a text.
+ *
+ * @param {string} text The text to be rendered.
+ * @param {Node} parentElement The element the text is added to.
+ */
+const renderInline = (text, parentElement) => {
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(inlineRegex)) {
+        const [, code, linkText, url, strong, underscoreStrong, emphasis, underscoreEmphasis] = match;
+
+        parentElement.append(text.slice(lastIndex, match.index));
+
+        lastIndex = match.index + match[0].length;
+
+        if (code !== undefined) {
+            const element = document.createElement('code');
+            element.textContent = code;
+            parentElement.appendChild(element);
+        } else if (linkText !== undefined) {
+            // Only web and email links are followed, so that the content of a note cannot run scripts.
+            if (/^(https?:|mailto:)/i.test(url)) {
+                const link = document.createElement('a');
+                link.href = url;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                renderInline(linkText, link);
+                parentElement.appendChild(link);
+            } else {
+                parentElement.append(match[0]);
+            }
+        } else {
+            const isStrong = strong !== undefined || underscoreStrong !== undefined;
+
+            const element = document.createElement(isStrong ? 'strong' : 'em');
+            renderInline(strong || underscoreStrong || emphasis || underscoreEmphasis, element);
+            parentElement.appendChild(element);
+        }
+    }
+
+    parentElement.append(text.slice(lastIndex));
+};
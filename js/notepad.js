@@ -10,6 +10,15 @@
 'use strict';
 
 import * as utilities from './utilities.js';
+import * as storage from './storage.js';
+import * as markdown from './markdown.js';
+import * as documents from './documents.js';
+import * as format from './format.js';
+import * as versions from './versions.js';
+import { OperationHistory } from './undo.js';
+import * as commands from './commands.js';
+import * as themes from './themes.js';
+import { EventEmitter } from './events.js';
 
 export { Notepad };
 
@@ -24,10 +33,81 @@ class Notepad {
 
     #notesIndex = new Map();
 
+    // Conditions a note must meet to be shown, e.g. matching the search query. Notes not meeting any of them are hidden
+    // without changing their index.
+    #noteFilters = new Map();
+
+    #searchOptions = {
+        query: '',
+        caseSensitive: false,
+        wholeWord: false,
+    };
+
+    // The tags selected in the tag bar, and whether the notes shown must have 'any' or 'all' of them.
+    #tagFilter = {
+        tags: new Set(),
+        matching: 'any',
+    };
+
+    // The accent color selected in the color filter, to show only the notes with that color (empty to show all).
+    #colorFilter = '';
+
+    // The id used to save the notepad in the browser's library of notepads.
+    #notepadID;
+
+    // True if the notepad could not be saved in the browser the last time (see #saveNotepad()).
+    #hasStorageError = false;
+
+    // When the notepad was created and last modified (ISO 8601 timestamps).
+    #notepadCreated = new Date().toISOString();
+    #notepadModified = this.#notepadCreated;
+
+    // The language of the notes (BCP 47 tag), used to count words and estimate reading times. Empty for the language
+    // of the browser.
+    #notepadLanguage = '';
+
+    #autosaveTimeout;
+
+    // The files on disk the notepads were opened from or saved to during the session, by notepad id:
+    // { handle: {FileSystemFileHandle}, isDirty: {Boolean} - True if the notepad has changed since it was saved }.
+    #files = new Map();
+
+    // The files offered by the file pickers (see openFile()).
+    #fileTypes = [
+        { description: 'Notepad', accept: { 'application/json': ['.json'] } },
+        { description: 'Markdown document', accept: { 'text/markdown': ['.md', '.markdown'] } },
+    ];
+
+    // The actions that can be run with keyboard shortcuts or from the command palette (see #registerCommands()).
+    #commands = new commands.CommandRegistry(storage.getShortcuts(), (shortcuts) => storage.saveShortcuts(shortcuts));
+
+    // The DOM id of the note focused last, on which note commands are run.
+    #lastFocusedNoteID;
+
+    // The theme chosen by the user ('system' to follow the operating system) and the custom themes.
+    #themeSettings = storage.getThemeSettings();
+
+    // The DOM id of the note being dragged, if any.
+    #draggedNoteID;
+
+    // Snapshots of the content of each note, by DOM id: [{ timestamp, content }], oldest first.
+    #noteVersions = new Map();
+
+    // Timers taking a snapshot of a note once its text has not changed for a while, by DOM id.
+    #versionTimeouts = new Map();
+
+    // Listeners of the changes to the notepad (see on()).
+    #events = new EventEmitter();
+
+    // Structural operations (e.g. delete, move) that can be undone and redone.
+    #history = new OperationHistory(() => {
+        this.#updateHistoryControls();
+    });
+
     #defaults = {
         notepadTitle: 'New notepad',
         noteTitle: 'New note',
-        accentColors: ['', '#fde6e6', '#ebf2f9', '#fefbe6', '#feddc9', '#e5f4da'],
+        accentColors: ['#fde6e6', '#ebf2f9', '#fefbe6', '#feddc9', '#e5f4da'],
         branding: {
             name: 'Standfirst',
             logo: `<svg aria-label="Standfirst logo" xmlns="http://www.w3.org/2000/svg" width="36" height="36" fill="currentColor" class="svg-icon logo" viewBox="0 0 244 255" focusable="false" >
@@ -36,30 +116,231 @@ class Notepad {
             </svg>`,
         },
         footerCredits: 'Created by <a href="http://standfirst.francescougolini.com" target="_blank">Francesco Ugolini</a>',
+        // Milliseconds to wait after the last change before saving the notepad in the browser.
+        autosaveDelay: 500,
+        // Milliseconds to wait after the last change to the text of a note before taking a snapshot of it.
+        versionIdleDelay: 10000,
+        // Maximum number of snapshots kept for each note (the oldest are dropped first).
+        maxNoteVersions: 50,
+        // Maximum number of characters in the snapshots of each note, so that notepads fit in the browser storage
+        // (the oldest are dropped first, but the latest snapshot is always kept).
+        maxNoteVersionsLength: 100000,
+    };
+
+    // What is shown and how the notepad behaves (see the constructor).
+    #options = {
+        showHeader: true,
+        showFooter: true,
+        showToolbox: true,
+        showClock: true,
+        confirmBeforeLeaving: true,
+        readOnly: false,
     };
 
-    // Add default colors as initial accent colors. This allows to later include additional colors.
-    #accentColors = [...this.#defaults.accentColors];
+    // True if the notes cannot be changed from the page (see setReadOnly()).
+    #isReadOnly = false;
+
+    // True if the notes can be selected, to run an action on several notes at once (see setSelectionMode()).
+    #isSelecting = false;
+
+    // The DOM id of the note selected or deselected last, from which a range of notes is selected with Shift.
+    #lastSelectedNoteID;
+
+    // The accent colors offered for the notes, with their labels, e.g. [{ color: '#fde6e6', label: 'Urgent' }].
+    #palette = this.#defaults.accentColors.map((color) => ({ color, label: '' }));
 
     /**
      * Create a new notepad.
      *
+     * Options (all optional, values of the wrong type are ignored):
+     *
+     * {
+     *      notepadTitle: {String} - The title of new notepads.
+     *      noteTitle: {String} - The title of new notes.
+     *      accentColors: {Array} - The hex color codes of the palette of new notepads.
+     *      branding: { name: {String}, logo: {String} } - The name shown in the page title, and the SVG logo.
+     *      footerCredits: {String} - The HTML content of the footer.
+     *      autosaveDelay, versionIdleDelay, maxNoteVersions, maxNoteVersionsLength: {Number} - See #defaults.
+     *      showHeader, showFooter, showToolbox: {Boolean} - False to hide the header, the footer or the toolbox.
+     *      showClock: {Boolean} - False to hide the current time in the header.
+     *      confirmBeforeLeaving: {Boolean} - False to leave the page without a confirmation, unless changes have not
+     *                                        been saved to a file (see saveFile()).
+     *      readOnly: {Boolean} - True to start with notes that cannot be changed (see setReadOnly()).
+     *      notepadID: {String} - The id of the notepad to open, instead of the one used the last time.
+     *      notepad: {Object} - The notepad to start with if it has not been saved yet (see exportNotepad()).
+     * }
+     *
      * @param {String} entryPointID The DOM id of the element that will contain the notepad.
+     * @param {Object} options The defaults and the behaviours to be changed, e.g. { showClock: false }.
      */
-    constructor(entryPointID) {
+    constructor(entryPointID, options = {}) {
         this.#entryPoint = document.getElementById(entryPointID);
 
+        // Values of the wrong type are ignored, so that the defaults are kept.
+        for (const option of Object.keys(this.#defaults)) {
+            const value = options[option];
+
+            if (value === undefined) {
+                continue;
+            }
+
+            if (option === 'branding') {
+                // The branding can be changed in part, e.g. only the name.
+                for (const brandingOption of ['name', 'logo']) {
+                    if (value && typeof value[brandingOption] === 'string') {
+                        this.#defaults.branding[brandingOption] = value[brandingOption];
+                    }
+                }
+            } else if (option === 'accentColors') {
+                // The palette is saved with the notepad, which could not be loaded with colors that are not hex codes.
+                if (Array.isArray(value)) {
+                    this.#defaults.accentColors = value.filter(format.isHexColor).map((color) => color.toLowerCase());
+                }
+            } else if (typeof this.#defaults[option] === 'number') {
+                // Delays and limits are whole numbers, e.g. of milliseconds.
+                if (Number.isInteger(value) && value >= 0) {
+                    this.#defaults[option] = value;
+                }
+            } else if (typeof value === 'string') {
+                this.#defaults[option] = value;
+            }
+        }
+
+        for (const option of Object.keys(this.#options)) {
+            if (options[option] !== undefined) {
+                this.#options[option] = Boolean(options[option]);
+            }
+        }
+
+        // Reopen the requested notepad or the one used the last time, if it is still saved in the browser.
+        const savedNotepads = storage.getNotepads();
+        const activeNotepadID = storage.getActiveNotepadID();
+
+        if (options.notepadID) {
+            this.#notepadID = options.notepadID;
+        } else if (savedNotepads.some((savedNotepad) => savedNotepad.id === activeNotepadID)) {
+            this.#notepadID = activeNotepadID;
+        } else {
+            this.#notepadID = savedNotepads.length > 0 ? savedNotepads[0].id : this.#createNotepadID();
+        }
+
+        storage.setActiveNotepadID(this.#notepadID);
+
+        let storedNotepad = this.#loadStoredNotepad(this.#notepadID);
+
+        // Start with the given notepad, unless the user has already changed it.
+        if (!storedNotepad && options.notepad) {
+            const errors = format.validateNotepad(options.notepad);
+
+            if (errors.length > 0) {
+                this.#showMessageDialog('The initial notepad cannot be loaded', errors);
+            } else {
+                storedNotepad = options.notepad;
+            }
+        }
+
+        const savedNotepad = storedNotepad ? format.upgradeNotepad(storedNotepad) : null;
+
+        // Apply the theme before adding the notes, whose accent colors depend on it.
+        this.#applyTheme();
+
+        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (event) => {
+            if (this.#themeSettings.theme === 'system') {
+                this.#applyTheme();
+            }
+        });
+
         // Add title
-        this.#headerContainer = this.#addHeader(this.#defaults.notepadTitle, this.#entryPoint);
+        const notepadTitle = savedNotepad && savedNotepad.notepadTitle ? savedNotepad.notepadTitle : undefined;
+        this.#headerContainer = this.#addHeader(notepadTitle, this.#entryPoint);
+
+        // Set the language before adding the notes, which are counted in that language.
+        this.#setNotepadLanguage(savedNotepad && savedNotepad.language ? savedNotepad.language : '');
+
+        // Set the palette before adding the notes, which show the labels of their colors.
+        this.#setPalette(savedNotepad && savedNotepad.palette ? savedNotepad.palette : undefined);
 
         // Add notes container
-        this.#notesContainer = this.#addNotesContainer(this.#entryPoint);
+        const notes = savedNotepad && Array.isArray(savedNotepad.notes) ? savedNotepad.notes : undefined;
+        this.#notesContainer = this.#addNotesContainer(this.#entryPoint, notes);
+
+        // Show the tags of the notes, which could not be listed while the notes were being added.
+        this.#updateTagBar();
+
+        // Restore the timestamps of the saved notepad.
+        if (savedNotepad) {
+            this.#notepadCreated = savedNotepad.created;
+            this.#notepadModified = savedNotepad.modified;
+        }
 
         // Add footer
         this.#footerContainer = this.#addFooter(this.#defaults.footerCredits, this.#entryPoint);
 
         // Add toolbox
         this.#toolboxContainer = this.#addToolbox(this.#entryPoint);
+
+        // The header, the footer and the toolbox are still created, as the notepad keeps its state in them.
+        this.#headerContainer.hidden = !this.#options.showHeader;
+        this.#footerContainer.hidden = !this.#options.showFooter;
+        this.#toolboxContainer.hidden = !this.#options.showToolbox;
+
+        this.setReadOnly(this.#options.readOnly);
+
+        // Trigger a confirmation dialog before leaving the page to prevent the inadvertent loss of content, e.g. of
+        // changes not yet saved to a file.
+        window.addEventListener('beforeunload', (event) => {
+            if (this.#options.confirmBeforeLeaving || this.hasUnsavedChanges()) {
+                event.preventDefault();
+                return (event.returnValue = '');
+            }
+        });
+
+        // Save any pending change before the page is hidden or closed.
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.#saveNotepad();
+            }
+        });
+
+        window.addEventListener('pagehide', () => {
+            this.#saveNotepad();
+        });
+
+        // Keyboard shortcuts, e.g. Ctrl+K for the command palette. Note commands are run on the focused note.
+        this.#registerCommands();
+
+        document.addEventListener('keydown', (event) => {
+            // Shortcuts are not run while a dialog is open, e.g. the command palette itself.
+            if (document.querySelector('dialog[open]')) {
+                return;
+            }
+
+            const shortcut = commands.getEventShortcut(event);
+            const command = this.#commands.findByShortcut(shortcut);
+
+            // Commands changing the notepad are not run while it is read-only.
+            if (!command || (this.#isReadOnly && !command.readOnly)) {
+                return;
+            }
+
+            // Some shortcuts are left to the browser while typing in a note or in a field, e.g. to undo the text, or to
+            // type a character with Alt on macOS.
+            const isEditing = event.target.isContentEditable || ['INPUT', 'TEXTAREA'].includes(event.target.tagName);
+
+            if (isEditing && (!command.whileEditing || commands.isTypingShortcut(shortcut))) {
+                return;
+            }
+
+            const noteID = command.scope === 'note' ? this.#getFocusedNoteID() : undefined;
+
+            if ((command.scope === 'note' && !noteID) || !command.isAvailable(noteID)) {
+                return;
+            }
+
+            event.preventDefault();
+
+            command.run(noteID);
+        });
     }
 
     // Note-related methods
@@ -70,6 +351,8 @@ class Notepad {
      * @param {Object} noteProperties The object containing the properties of the note.
      * @param {Element} parentElement The parent element where to insert the note.
      *
+     * @returns {String} The DOM id of the new note.
+     *
      * Note JSON format: see exportNotepad()
      */
     addNote(noteProperties = {}, parentElement = this.#notesContainer) {
@@ -80,31 +363,58 @@ class Notepad {
         const content = noteProperties.content ? noteProperties.content : '';
 
         // Hex colors to customise note. Values are converted to lowercase.
-        const hexColorRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
-        const accentColor =
-            noteProperties.accentColor && hexColorRegex.test(noteProperties.accentColor)
-                ? noteProperties.accentColor.toLowerCase()
-                : '';
+        const accentColor = format.isHexColor(noteProperties.accentColor)
+            ? noteProperties.accentColor.toLowerCase()
+            : '';
 
-        // Add color code if it's not already included in the list of accent colors.
-        if (!this.#accentColors.includes(accentColor)) {
-            this.#accentColors.push(accentColor);
-        }
+        // Timestamps (ISO 8601) of the note. Values that are not dates are replaced, as they could not be loaded.
+        const created = format.isDate(noteProperties.created) ? noteProperties.created : new Date().toISOString();
+        const modified = format.isDate(noteProperties.modified) ? noteProperties.modified : created;
 
         // Create the note's html code.
         const newNote = this.#createNote(noteID, title, content, accentColor, index);
+        newNote.dataset.created = created;
+        newNote.dataset.modified = modified;
+
+        // Snapshots of the content of the note, without those that are not dated texts.
+        const noteVersions = Array.isArray(noteProperties.versions) ? noteProperties.versions : [];
+        const validVersions = noteVersions.filter((version) => {
+            return version && format.isDate(version.timestamp) && typeof version.content === 'string';
+        });
+        this.#noteVersions.set(noteID, validVersions.map((version) => ({ ...version })));
 
         // Add new note to the DOM.
         parentElement.insertAdjacentElement('beforeend', newNote);
 
+        // Add the tags of the note.
+        this.#setNoteTags(noteID, Array.isArray(noteProperties.tags) ? noteProperties.tags : []);
+
+        // Notes are plain text unless their Markdown mode is on.
+        this.#setNoteMarkdownMode(noteID, noteProperties.markdown === true);
+
+        // Add the writing target of the note, if any and valid.
+        const hasTarget = noteProperties.target && format.validateTarget(noteProperties.target).length === 0;
+        this.#setNoteTarget(noteID, hasTarget ? noteProperties.target : null);
+
         // Enable the counters for the note, e.g. word counter.
         this.#runNoteCounters(noteID);
 
+        this.#setNoteReadOnly(newNote, this.#isReadOnly);
+
         // Add the new note to the notes index.
         this.#notesIndex.set(this.#notesIndex.size + 1, noteID);
 
         // Re-index notes.
         this.#indexNotes();
+
+        // Include the new note in the search results.
+        this.#searchNotes();
+
+        this.#scheduleSave();
+
+        this.#events.emit('note:added', { note: this.#serialiseNote(newNote) });
+
+        return noteID;
     }
 
     /**
@@ -115,9 +425,17 @@ class Notepad {
     deleteNote(noteID) {
         const note = document.getElementById(noteID);
 
+        // Keep the note properties, so that the note can be restored at its original index.
+        const noteProperties = this.#serialiseNote(note);
+
         // Remove note from the DOM.
         note.remove();
 
+        // Remove the snapshots of the note (they are kept in the note properties, in case the note is restored).
+        clearTimeout(this.#versionTimeouts.get(noteID));
+        this.#versionTimeouts.delete(noteID);
+        this.#noteVersions.delete(noteID);
+
         // Remove note from the index.
         const index = note.getAttribute('data-note-index');
 
@@ -138,6 +456,25 @@ class Notepad {
 
         // Rebuild the notes index.
         this.#indexNotes();
+
+        // Remove the note from the search results, and its tags from the tag bar.
+        this.#searchNotes();
+        this.#updateTagBar();
+
+        this.#history.record({
+            label: 'Delete note',
+            undo: () => {
+                this.addNote(noteProperties, this.#notesContainer);
+                this.moveNote(noteID, this.#notesIndex.size, parseInt(index));
+            },
+            redo: () => {
+                this.deleteNote(noteID);
+            },
+        });
+
+        this.#scheduleSave();
+
+        this.#events.emit('note:deleted', { note: noteProperties });
     }
 
     /**
@@ -152,7 +489,14 @@ class Notepad {
 
         if (note) {
             // Check if the new typed position is within min-max range.
-            newIndex = newIndex <= this.#notesIndex.size ? newIndex : this.#notesIndex.size;
+            newIndex = Math.min(Math.max(newIndex, 1), this.#notesIndex.size);
+
+            // Nothing to move if the note is already in that position: just restore the index shown in the note.
+            if (newIndex === oldIndex) {
+                this.#indexNotes();
+
+                return;
+            }
 
             const currentNote = this.#notesContainer.querySelector('[data-note-index="' + newIndex + '"]');
 
@@ -200,837 +544,6214 @@ class Notepad {
             }
 
             this.#indexNotes();
+
+            this.#history.record({
+                label: 'Move note',
+                undo: () => {
+                    this.moveNote(noteID, newIndex, oldIndex);
+                },
+                redo: () => {
+                    this.moveNote(noteID, oldIndex, newIndex);
+                },
+            });
+
+            this.#scheduleSave();
+
+            this.#events.emit('note:moved', { note: this.#serialiseNote(note), oldIndex, newIndex });
         }
     }
 
     /**
-     * Change the accent color of the note from a list of available colors.
+     * Change the properties of a note. Only the properties included are changed.
      *
      * @param {String} noteID The DOM id of the object containing the properties of the note.
+     * @param {Object} noteProperties The new properties: title, content, accentColor, tags, markdown and/or target
+     * (see exportNotepad() for their format). Colors and targets not in that format are ignored.
+     *
+     * @returns {Object|null} The updated note (see exportNotepad() for its format), or null if there is no such note.
      */
-    changeNoteAccentColor(noteID) {
+    updateNote(noteID, noteProperties = {}) {
+        if (!this.#hasNote(noteID)) {
+            return null;
+        }
+
         const note = document.getElementById(noteID);
+        const changes = [];
 
-        const noteTitleContainer = note.querySelector('.note-title-container');
+        if (noteProperties.title !== undefined) {
+            note.querySelector('.note-title').innerText = noteProperties.title || this.#defaults.noteTitle;
+            changes.push('title');
+        }
 
-        const currentColor = noteTitleContainer.getAttribute('data-accent-color')
-            ? noteTitleContainer.getAttribute('data-accent-color').toLowerCase()
-            : '';
+        if (noteProperties.content !== undefined) {
+            note.querySelector('.note-text').innerText = noteProperties.content || '';
 
-        if (this.#accentColors.includes(currentColor)) {
-            const currentColorIndex = this.#accentColors.indexOf(currentColor);
+            if (note.classList.contains('note-previewing')) {
+                this.#showNotePreview(noteID, true);
+            }
 
-            if (currentColorIndex != this.#accentColors.length - 1) {
-                const nextColor = this.#accentColors[currentColorIndex + 1];
+            this.#runNoteCounters(noteID);
+            this.#scheduleNoteVersion(noteID);
+            changes.push('content');
+        }
 
-                noteTitleContainer.style.backgroundColor = nextColor ? nextColor : 'inherit';
-                noteTitleContainer.dataset.accentColor = nextColor ? nextColor : '';
-            } else {
-                const nextColor = this.#accentColors[0];
+        if (noteProperties.tags !== undefined) {
+            this.#setNoteTags(noteID, Array.isArray(noteProperties.tags) ? noteProperties.tags : []);
+            changes.push('tags');
+        }
+
+        if (noteProperties.markdown !== undefined) {
+            this.#setNoteMarkdownMode(noteID, noteProperties.markdown === true);
+            changes.push('markdown');
+        }
 
-                noteTitleContainer.style.backgroundColor = nextColor ? nextColor : 'inherit';
-                noteTitleContainer.dataset.accentColor = nextColor ? nextColor : '';
+        // Targets that are not valid are ignored, as the notepad could not be loaded.
+        if (noteProperties.target !== undefined) {
+            if (!noteProperties.target || format.validateTarget(noteProperties.target).length === 0) {
+                this.#setNoteTarget(noteID, noteProperties.target || null);
+                changes.push('target');
             }
-        } else {
-            // In case the color is not specified, start from the beginning.
-            const nextColor = this.#accentColors[0];
+        }
+
+        if (changes.length > 0) {
+            this.#searchNotes();
+            this.#noteChanged(noteID, changes);
+        }
 
-            // Change colors to the container of the note title.
-            noteTitleContainer.style.backgroundColor = nextColor ? nextColor : 'inherit';
-            noteTitleContainer.dataset.accentColor = nextColor ? nextColor : '';
+        // The accent color can be undone (see changeNoteAccentColor()).
+        if (noteProperties.accentColor !== undefined) {
+            this.changeNoteAccentColor(noteID, noteProperties.accentColor || '');
         }
+
+        return this.getNote(noteID);
     }
 
     /**
-     * Count the number of characters and words in each note and measure the time to silently read the text.
+     * Get a note.
      *
      * @param {String} noteID The DOM id of the object containing the properties of the note.
+     *
+     * @returns {Object|null} The note (see exportNotepad() for its format), or null if there is no such note.
      */
-    #runNoteCounters(noteID) {
-        const note = document.getElementById(noteID);
-
-        const noteText = note.querySelector('.note-text').textContent;
-
-        const characterCounter = note.querySelector('.character-counter');
-        const wordCounter = note.querySelector('.word-counter');
-
-        const readTimeCounter = note.querySelector('.time-counter');
-
-        // Count characters
-        characterCounter.textContent = noteText.length;
-
-        // Count words
-        wordCounter.textContent = utilities.countWords(noteText);
-
-        // Get read time
-        readTimeCounter.textContent = utilities.getReadTime(noteText);
+    getNote(noteID) {
+        return this.#hasNote(noteID) ? this.#serialiseNote(document.getElementById(noteID)) : null;
     }
 
     /**
-     * Determine the index of each note and the min-max range.
+     * Get all the notes.
+     *
+     * @returns {Array} The notes, in index order (see exportNotepad() for their format).
      */
-    #indexNotes() {
-        for (const [index, id] of this.#notesIndex) {
-            // Add the new index values to the note.
-            const note = document.getElementById(this.#notesIndex.get(index));
-
-            note.dataset.noteIndex = index;
-
-            const noteIndexContainer = note.querySelector('.note-index');
-
-            noteIndexContainer.value = index;
-            noteIndexContainer.defaultValue = index;
-            noteIndexContainer.max = this.#notesIndex.size;
-        }
+    getNotes() {
+        return this.#serialiseNotepad().notes;
     }
 
     /**
-     * Add the notes container to the DOM and include a new empty note.
+     * Check if a note belongs to the notepad.
      *
-     * @param {Element} parentElement The parent element where to insert the notes container.
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
      *
-     * @returns The HTML element representing the notes container.
+     * @returns {Boolean} True if the note is in the notepad.
      */
-    #addNotesContainer(parentElement = this.#entryPoint) {
-        const notesContainer = document.createElement('div');
-        notesContainer.classList.add('notes-container');
-
-        parentElement.insertAdjacentElement('beforeend', notesContainer);
-
-        // Add a new empty note.
-        this.addNote(undefined, notesContainer);
-
-        return notesContainer;
+    #hasNote(noteID) {
+        return [...this.#notesIndex.values()].includes(noteID);
     }
 
-    // Notepad-related methods
-
     /**
-     * Add notepad's controls in the DOM.
-     *
-     * @param {Element} parentElement The parent element where to insert the controls.
+     * Mark a note as modified, save it and notify the listeners of the change.
      *
-     * @returns The HTML element representing the toolbox.
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
+     * @param {Array} changes The names of the changed properties, e.g. ['title'].
      */
-    #addToolbox(parentElement = this.#entryPoint) {
-        const toolbox = this.#createToolbox();
-        toolbox.classList.add('toolbox');
+    #noteChanged(noteID, changes) {
+        const note = document.getElementById(noteID);
 
-        parentElement.insertAdjacentElement('beforeend', toolbox);
+        note.dataset.modified = new Date().toISOString();
 
-        return toolbox;
+        this.#scheduleSave();
+
+        // Called at every keystroke: the note is only serialised if there is a listener.
+        if (this.#events.hasListeners('note:changed')) {
+            this.#events.emit('note:changed', { note: this.#serialiseNote(note), changes });
+        }
     }
 
     /**
-     * Export the notepad content (title and notes) as a JSON file.
-     *
-     * JSON file format:
+     * Change the accent color of the note, either to a given color or to the next one in the palette.
      *
-     * {
-     *      notepadTitle: {String},
-     *      notes: [
-     *          {
-     *              id: {String},
-     *              title: {String},
-     *              content: {String},
-     *              accentColor: {string} - Hex color code.
-     *          }
-     *      ]
-     * }
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
+     * @param {String} accentColor The hex color code to be applied (an empty string for no color). If undefined, the
+     * next color of the palette is applied, after the current one. Other values are ignored.
      */
-    exportNotepad() {
-        const notes = this.#notesContainer.querySelectorAll('.note');
-
-        const notepadTitle = this.#headerContainer.querySelector('.notepad-title').innerText;
+    changeNoteAccentColor(noteID, accentColor) {
+        const note = document.getElementById(noteID);
 
-        const notepadObject = {
-            notepadTitle: notepadTitle,
-            notes: [],
-        };
+        const noteTitleContainer = note.querySelector('.note-title-container');
 
-        for (const note of notes) {
-            const noteObject = {
-                id: note.id || '',
-                title: note.querySelector('.note-title').textContent || '',
-                content: note.querySelector('.note-text').textContent || '',
-                accentColor: note.querySelector('.note-title-container').getAttribute('data-accent-color') || '',
-            };
+        const currentColor = noteTitleContainer.getAttribute('data-accent-color')
+            ? noteTitleContainer.getAttribute('data-accent-color').toLowerCase()
+            : '';
 
-            notepadObject.notes.push(noteObject);
+        // Values that are not hex color codes are ignored, as the notepad could not be loaded.
+        if (accentColor !== undefined && accentColor !== '' && !format.isHexColor(accentColor)) {
+            return;
         }
 
-        const encodedUri = encodeURIComponent(JSON.stringify(notepadObject));
+        let nextColor = accentColor === undefined ? undefined : accentColor.toLowerCase();
 
-        const temporaryLink = document.createElement('a');
+        if (nextColor === undefined) {
+            // Cycle through the palette, from no color to the last one.
+            const accentColors = ['', ...this.#palette.map((paletteColor) => paletteColor.color)];
 
-        temporaryLink.setAttribute('href', 'data:application/json;charset=utf-8,' + encodedUri);
+            // In case the color is not in the palette, start from the beginning.
+            const currentColorIndex = accentColors.indexOf(currentColor);
 
-        const filename = notepadTitle.replace(/[^\p{L}^\p{N}^\s]+/gu, '') + '.json';
+            nextColor = accentColors[(currentColorIndex + 1) % accentColors.length];
+        }
 
-        temporaryLink.setAttribute('download', filename);
+        if (nextColor === currentColor) {
+            return;
+        }
 
-        temporaryLink.click();
+        this.#setNoteAccentColor(noteID, nextColor);
 
-        temporaryLink.remove();
+        this.#history.record({
+            label: 'Change accent color',
+            undo: () => {
+                this.#setNoteAccentColor(noteID, currentColor);
+            },
+            redo: () => {
+                this.#setNoteAccentColor(noteID, nextColor);
+            },
+        });
     }
 
     /**
-     * Import an existing notepad from a JSON file.
+     * Apply an accent color to the note.
      *
-     * JSON file format: see exportNotepad()
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
+     * @param {String} accentColor The hex color code to be applied (an empty string for no color).
      */
-    importNotepad() {
-        const temporaryInput = document.createElement('input');
-
-        temporaryInput.type = 'file';
-        temporaryInput.accept = 'application/json';
-
-        // Add event listener to the temporary input
-        temporaryInput.onchange = (event) => {
-            const file = temporaryInput.files.item(0);
-
-            var reader = new FileReader();
+    #setNoteAccentColor(noteID, accentColor = '') {
+        const note = document.getElementById(noteID);
 
-            reader.addEventListener('load', () => {
-                const importedNotepad = reader.result;
+        if (note) {
+            const noteTitleContainer = note.querySelector('.note-title-container');
 
-                if (importedNotepad) {
-                    // Clear the notepad.
-                    this.clear();
+            // Change colors to the container of the note title. Colors are remapped to the theme (see themes.js).
+            const displayColor = themes.getAccentDisplayColor(accentColor, this.#getTheme());
 
-                    // Parse the imported JSON data.
-                    const importedNotepadObject = JSON.parse(importedNotepad);
+            noteTitleContainer.style.backgroundColor = displayColor ? displayColor : 'inherit';
+            noteTitleContainer.dataset.accentColor = accentColor ? accentColor : '';
 
-                    // Notepad title
-                    if (importedNotepadObject && importedNotepadObject.notepadTitle) {
-                        this.#updateNotepadTitle(importedNotepadObject.notepadTitle, this.#headerContainer);
-                    }
+            this.#updateNoteColorLabel(note);
 
-                    // Notes
-                    if (importedNotepadObject && importedNotepadObject.notes && importedNotepadObject.notes.length > 0) {
-                        // Add the imported notes.
-                        importedNotepadObject.notes.forEach((noteProperties) => {
-                            this.addNote(noteProperties, this.#notesContainer);
-                        });
-                    }
-                }
-            });
+            // The note may no longer match the color filter.
+            this.#filterNotes();
 
-            reader.readAsText(file);
-        };
+            this.#noteChanged(noteID, ['accentColor']);
+        }
+    }
 
-        temporaryInput.click();
+    /**
+     * Show the label of the accent color of a note, if the color has one in the palette.
+     *
+     * @param {Element} note The HTML element representing the note.
+     */
+    #updateNoteColorLabel(note) {
+        const colorLabel = note.querySelector('.note-color-label');
 
-        temporaryInput.remove();
+        colorLabel.innerText = this.#getColorLabel(note.querySelector('.note-title-container').dataset.accentColor);
+        colorLabel.hidden = !colorLabel.innerText;
     }
 
     /**
-     * Clear the notepad to its original state.
+     * Get the label of an accent color.
      *
-     * @param {Boolean} addNewNote If true, add a new empty note to the cleared notepad.
+     * @param {String} accentColor The hex color code.
+     *
+     * @returns {String} The label of the color in the palette, or an empty string if it has none.
      */
-    clear(addNewNote = false) {
-        // Empty the notepad container.
-        this.#notesContainer.replaceChildren();
+    #getColorLabel(accentColor) {
+        const color = (accentColor || '').toLowerCase();
+        const paletteColor = this.#palette.find((paletteColor) => paletteColor.color === color);
 
-        // Reset the notes index.
-        this.#notesIndex.clear();
+        return paletteColor ? paletteColor.label : '';
+    }
 
-        // If specified, add a new empty note.
-        if (addNewNote) {
-            this.addNote(undefined, this.#notesContainer);
+    /**
+     * Replace the palette of accent colors, and update the labels of the notes and the color filter.
+     *
+     * @param {Array} palette The colors and their labels: [{ color, label }]. The default colors, without labels, if
+     * undefined.
+     */
+    #setPalette(palette = this.#defaults.accentColors.map((color) => ({ color, label: '' }))) {
+        this.#palette = palette.map((paletteColor) => ({
+            color: paletteColor.color.toLowerCase(),
+            label: paletteColor.label.trim(),
+        }));
+
+        if (this.#notesContainer) {
+            for (const note of this.#notesContainer.querySelectorAll('.note')) {
+                this.#updateNoteColorLabel(note);
+            }
         }
 
-        // Reset the notepad title to the default one.
-        this.#updateNotepadTitle(undefined, this.#headerContainer);
-
-        // Restore accent colors to the default ones.
-        this.#accentColors = [...this.#defaults.accentColors];
+        this.#updateColorFilter();
     }
 
-    // Header-related methods
+    /**
+     * List the labelled colors of the palette in the color filter, and show only the notes with the selected color.
+     */
+    #updateColorFilter() {
+        const colorFilter = this.#headerContainer ? this.#headerContainer.querySelector('.color-filter') : null;
+
+        if (!colorFilter) {
+            return;
+        }
+
+        const labelledColors = this.#palette.filter((paletteColor) => paletteColor.label);
+
+        // A color no longer labelled is deselected.
+        if (!labelledColors.some((paletteColor) => paletteColor.color === this.#colorFilter)) {
+            this.#colorFilter = '';
+        }
+
+        const allColorsOption = document.createElement('option');
+        allColorsOption.value = '';
+        allColorsOption.innerText = 'All colors';
+
+        colorFilter.replaceChildren(allColorsOption);
+
+        for (const paletteColor of labelledColors) {
+            const option = document.createElement('option');
+            option.value = paletteColor.color;
+            option.innerText = paletteColor.label;
+            colorFilter.insertAdjacentElement('beforeend', option);
+        }
+
+        colorFilter.value = this.#colorFilter;
+        colorFilter.hidden = labelledColors.length === 0;
+
+        if (this.#colorFilter) {
+            this.#noteFilters.set('color', (note) => {
+                return note.querySelector('.note-title-container').dataset.accentColor === this.#colorFilter;
+            });
+        } else {
+            this.#noteFilters.delete('color');
+        }
+
+        this.#filterNotes();
+    }
 
     /**
-     * Add the header to the notepad.
-     *
-     * @param {String} notepadTitle The text to be used as notepad's title.
-     * @param {Element} parentElement The parent element containing the header.
+     * Count the number of characters and words in each note and measure the time to silently read the text.
      *
-     * @returns The HTML element representing the header.
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
      */
-    #addHeader(notepadTitle, parentElement = this.#entryPoint) {
-        const header = this.#createHeader(notepadTitle);
-        header.classList.add('header');
+    #runNoteCounters(noteID) {
+        const note = document.getElementById(noteID);
 
-        parentElement.insertAdjacentElement('beforeend', header);
+        const noteText = note.querySelector('.note-text').textContent;
 
-        return header;
+        const characterCounter = note.querySelector('.character-counter');
+        const wordCounter = note.querySelector('.word-counter');
+
+        const readTimeCounter = note.querySelector('.time-counter');
+
+        // Count characters
+        characterCounter.textContent = noteText.length;
+
+        const language = this.#getNotepadLanguage();
+
+        // Count words
+        wordCounter.textContent = utilities.countWords(noteText, language);
+
+        // Get read time
+        readTimeCounter.textContent = utilities.getReadTime(noteText, language);
+
+        // Count the done and total tasks of the checklists, shown only if the note has any.
+        const tasks = markdown.countTasks(noteText, note.classList.contains('note-markdown'));
+
+        note.querySelector('.checklist-counter').textContent = tasks.done + '/' + tasks.total;
+        note.querySelector('.checklist-counter-container').hidden = tasks.total === 0;
+
+        // Plain text notes can be previewed only to tick their checklists.
+        note.classList.toggle('note-checklist', tasks.total > 0);
+
+        if (note.classList.contains('note-previewing') && !this.#canPreviewNote(note)) {
+            this.#showNotePreview(noteID, false);
+        }
+
+        this.#updateNoteInsightsPanel(noteID);
+
+        this.#updateNoteTarget(noteID);
     }
 
     /**
-     * Update the notepad's title.
+     * Show the statistics of the text of a note in its insights panel, if the panel is expanded.
      *
-     * @param {String} notepadTitle The text to be used as the new notepad's title.
-     * @param {Element} parentElement The parent element containing the notepad's title.
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
      */
-    #updateNotepadTitle(notepadTitle = this.#defaults.notepadTitle, parentElement = this.#headerContainer) {
-        const title = parentElement.querySelector('.notepad-title');
-        title.innerText = notepadTitle;
-    }
+    #updateNoteInsightsPanel(noteID) {
+        const note = document.getElementById(noteID);
+        const insightsPanel = note ? note.querySelector('.note-insights-panel') : null;
 
-    // Footer-related methods
+        // The statistics are not computed while the panel is collapsed.
+        if (!insightsPanel || insightsPanel.hidden) {
+            return;
+        }
+
+        const noteText = note.querySelector('.note-text').textContent;
+        const statistics = utilities.getTextStatistics(noteText, this.#getNotepadLanguage());
+
+        insightsPanel.replaceChildren(this.#createStatisticsList(statistics));
+    }
 
     /**
-     * Add the footer to the notepad.
+     * Create the list of the statistics of a text (see utilities.getTextStatistics()).
      *
-     * @param {String} footerContent The new text to be used in the footer.
-     * @param {Element} parentElement The parent element containing the footer.
+     * @param {Object} statistics The statistics of the text.
+     * @param {Array} additionalItems Additional statistics shown first, as [label, value] pairs.
      *
-     * @return The HTML element representing the footer
+     * @returns The HTML element representing the list.
      */
-    #addFooter(footerContent, parentElement = this.#entryPoint) {
-        const footer = this.#createFooter(footerContent);
-        footer.classList.add('footer');
+    #createStatisticsList(statistics, additionalItems = []) {
+        const formatDuration = (seconds) => {
+            return seconds < 60 ? seconds + ' s' : Math.floor(seconds / 60) + ' min ' + (seconds % 60) + ' s';
+        };
 
-        parentElement.insertAdjacentElement('beforeend', footer);
+        // Flesch reading-ease score ranges.
+        const readingEaseLevels = [
+            [90, 'very easy'],
+            [80, 'easy'],
+            [70, 'fairly easy'],
+            [60, 'plain English'],
+            [50, 'fairly difficult'],
+            [30, 'difficult'],
+            [-Infinity, 'very difficult'],
+        ];
 
-        return footer;
-    }
+        // The reading-ease score is only available for English.
+        let readingEase = '\u2013';
 
-    // Dialog-related methods
+        if (statistics.readingEase !== null) {
+            const [, level] = readingEaseLevels.find(([minimum]) => statistics.readingEase >= minimum);
+
+            readingEase = Math.round(statistics.readingEase) + ' (' + level + ')';
+        }
+
+        const frequentWords = statistics.frequentWords.map(({ word, count }) => word + ' (' + count + ')').join(', ');
+
+        const items = [
+            ...additionalItems,
+            ['Characters', statistics.characters],
+            ['Words', statistics.words],
+            ['Sentences', statistics.sentences],
+            ['Paragraphs', statistics.paragraphs],
+            ['Average sentence length', Math.round(statistics.averageSentenceLength * 10) / 10 + ' words'],
+            ['Reading ease', readingEase],
+            ['Reading time', formatDuration(statistics.readTime)],
+            ['Speaking time', formatDuration(statistics.speakTime)],
+            ['Most frequent words', frequentWords || '\u2013'],
+        ];
+
+        const list = document.createElement('dl');
+        list.classList.add('statistics-list');
+
+        for (const [label, value] of items) {
+            const term = document.createElement('dt');
+            term.innerText = label;
+            list.insertAdjacentElement('beforeend', term);
+
+            const description = document.createElement('dd');
+            description.innerText = value;
+            list.insertAdjacentElement('beforeend', description);
+        }
+
+        return list;
+    }
 
     /**
-     * Add a dialog element to the DOM.
+     * Take a snapshot of the content of a note once it has not been edited for a while.
      *
-     * @param {Element} parentElement The parent element where to insert the dialog.
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
      */
-    #addConfirmationDialog(action, actionLabel, message, customClasses, parentElement = document.body) {
-        const dialog = this.#createConfirmationDialog(action, actionLabel, message, customClasses);
-        parentElement.insertAdjacentElement('beforeend', dialog);
+    #scheduleNoteVersion(noteID) {
+        clearTimeout(this.#versionTimeouts.get(noteID));
+
+        this.#versionTimeouts.set(
+            noteID,
+            setTimeout(() => {
+                this.#saveNoteVersion(noteID);
+            }, this.#defaults.versionIdleDelay)
+        );
     }
 
-    // Notepad's HTML elements
-
     /**
-     * Create the HTML element representing the note.
+     * Take a snapshot of the content of a note, unless it is the same as the last one.
      *
-     * @param {string} noteID The DOM id to be assigned to the note.
-     * @param {string} noteTitle The title of the note.
-     * @param {string} noteText The text of the note.
-     * @param {string} noteAccentColor The color to be used to style the note's title container.
-     * @param {number} noteIndex The position of the note in the notepad.
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
      *
-     * @returns The HTML element representing the note.
+     * @returns {Boolean} True if a new snapshot has been taken.
      */
-    #createNote(noteID, noteTitle, noteText, noteAccentColor, noteIndex = 0) {
-        const note = document.createElement('div');
-        note.id = noteID;
-        note.classList.add('note');
+    #saveNoteVersion(noteID) {
+        const note = document.getElementById(noteID);
 
-        // Note title
-        const titleContainer = document.createElement('div');
-        titleContainer.classList.add('note-title-container');
-        titleContainer.dataset.accentColor = noteAccentColor;
-        titleContainer.style.backgroundColor = noteAccentColor;
+        clearTimeout(this.#versionTimeouts.get(noteID));
+        this.#versionTimeouts.delete(noteID);
 
-        const title = document.createElement('h3');
-        title.contentEditable = 'plaintext-only';
-        title.classList.add('note-title', 'editable');
-        title.innerText = noteTitle;
-        titleContainer.insertAdjacentElement('beforeend', title);
+        if (!note) {
+            return false;
+        }
 
-        note.insertAdjacentElement('beforeend', titleContainer);
+        const content = note.querySelector('.note-text').textContent;
+        const noteVersions = this.#noteVersions.get(noteID) || [];
+        const lastVersion = noteVersions[noteVersions.length - 1];
 
-        // Note text
-        const textContainer = document.createElement('div');
-        textContainer.classList.add('note-text-container');
+        if (lastVersion && lastVersion.content === content) {
+            return false;
+        }
 
-        const text = document.createElement('div');
-        text.contentEditable = 'plaintext-only';
-        text.classList.add('note-text');
-        text.innerText = noteText;
-        textContainer.insertAdjacentElement('beforeend', text);
+        noteVersions.push({ timestamp: new Date().toISOString(), content: content });
 
-        note.insertAdjacentElement('beforeend', textContainer);
+        // Drop the oldest snapshots beyond the limits.
+        noteVersions.splice(0, noteVersions.length - this.#defaults.maxNoteVersions);
 
-        // Note toolbox
-        const toolbox = document.createElement('div');
-        toolbox.classList.add('note-toolbox-container');
+        let versionsLength = noteVersions.reduce((length, version) => length + version.content.length, 0);
 
-        // Note toolbox - Insights
-        const insights = document.createElement('div');
-        insights.classList.add('note-insights');
+        while (noteVersions.length > 1 && versionsLength > this.#defaults.maxNoteVersionsLength) {
+            versionsLength -= noteVersions.shift().content.length;
+        }
 
-        // Note toolbox - Insights - Character counter
-        const characterCounterContainer = document.createElement('div');
-        characterCounterContainer.classList.add('insight-container');
+        this.#noteVersions.set(noteID, noteVersions);
 
-        const characterCounter = document.createElement('div');
-        characterCounter.classList.add('insight-content', 'hovering-label');
-        characterCounter.ariaLabel = 'Characters';
+        this.#scheduleSave();
 
-        const characterCounterLabel = document.createElement('span');
-        characterCounterLabel.innerText = 'C: ';
-        characterCounter.insertAdjacentElement('beforeend', characterCounterLabel);
+        return true;
+    }
 
-        const characterCounterValue = document.createElement('span');
-        characterCounterValue.classList.add('character-counter');
-        characterCounter.insertAdjacentElement('beforeend', characterCounterValue);
+    /**
+     * Replace the content of a note with one of its snapshots. The current content is kept as a snapshot first.
+     *
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
+     * @param {Object} version The snapshot to be restored: { timestamp, content }.
+     */
+    #restoreNoteVersion(noteID, version) {
+        const note = document.getElementById(noteID);
 
-        characterCounterContainer.insertAdjacentElement('beforeend', characterCounter);
+        if (note) {
+            this.#saveNoteVersion(noteID);
 
-        insights.insertAdjacentElement('beforeend', characterCounterContainer);
+            note.querySelector('.note-text').innerText = version.content;
 
-        // Note toolbox - Insights - Word counter
-        const wordCounterContainer = document.createElement('div');
-        wordCounterContainer.classList.add('insight-container');
+            if (note.classList.contains('note-previewing')) {
+                this.#showNotePreview(noteID, true);
+            }
 
-        const wordCounter = document.createElement('div');
-        wordCounter.classList.add('insight-content', 'hovering-label');
-        wordCounter.ariaLabel = 'Words';
+            this.#runNoteCounters(noteID);
+            this.#searchNotes();
 
-        const wordCounterLabel = document.createElement('span');
-        wordCounterLabel.innerText = 'W: ';
-        wordCounter.insertAdjacentElement('beforeend', wordCounterLabel);
+            // The restored content is now the latest snapshot.
+            this.#saveNoteVersion(noteID);
 
-        const wordCounterValue = document.createElement('span');
-        wordCounterValue.classList.add('word-counter');
-        wordCounter.insertAdjacentElement('beforeend', wordCounterValue);
+            this.#noteChanged(noteID, ['content']);
+        }
+    }
 
-        wordCounterContainer.insertAdjacentElement('beforeend', wordCounter);
+    /**
+     * Determine the index of each note and the min-max range.
+     */
+    #indexNotes() {
+        for (const [index, id] of this.#notesIndex) {
+            // Add the new index values to the note.
+            const note = document.getElementById(this.#notesIndex.get(index));
 
-        insights.insertAdjacentElement('beforeend', wordCounterContainer);
+            note.dataset.noteIndex = index;
 
-        // Note toolbox - Insights - Time counter
-        const timeCounterContainer = document.createElement('div');
-        timeCounterContainer.classList.add('insight-container');
+            const noteIndexContainer = note.querySelector('.note-index');
 
-        const timeCounter = document.createElement('div');
-        timeCounter.classList.add('insight-content', 'hovering-label');
-        timeCounter.ariaLabel = 'Time (sec)';
+            noteIndexContainer.value = index;
+            noteIndexContainer.defaultValue = index;
+            noteIndexContainer.max = this.#notesIndex.size;
+        }
 
-        const timeCounterLabel = document.createElement('span');
-        timeCounterLabel.innerText = 'T: ';
-        timeCounter.insertAdjacentElement('beforeend', timeCounterLabel);
+        // Notes added or removed change the selection.
+        this.#updateSelectionBar();
+    }
 
-        const timeCounterValue = document.createElement('span');
-        timeCounterValue.classList.add('time-counter');
-        timeCounter.insertAdjacentElement('beforeend', timeCounterValue);
+    /**
+     * Replace the tags of a note. Tags are trimmed, and duplicates (regardless of case) and tags that are not texts
+     * (e.g. given to updateNote()) are left out.
+     *
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
+     * @param {Array} tags The new tags of the note.
+     */
+    #setNoteTags(noteID, tags = []) {
+        const note = document.getElementById(noteID);
 
-        timeCounterContainer.insertAdjacentElement('beforeend', timeCounter);
+        if (!note) {
+            return;
+        }
 
-        insights.insertAdjacentElement('beforeend', timeCounterContainer);
+        const noteTags = [];
 
-        // Note toolbox - Controls
-        const controls = document.createElement('div');
-        controls.classList.add('note-controls');
+        for (const tag of tags.filter((tag) => typeof tag === 'string')) {
+            const normalisedTag = tag.replace(/\s+/g, ' ').trim();
+            const isDuplicate = noteTags.some((noteTag) => noteTag.toLowerCase() === normalisedTag.toLowerCase());
 
-        // Note toolbox - Controls - Copy text
-        const copyTextContainer = document.createElement('div');
-        copyTextContainer.classList.add('note-control-container');
+            if (normalisedTag && !isDuplicate) {
+                noteTags.push(normalisedTag);
+            }
+        }
 
-        const copyTextControl = document.createElement('button');
-        copyTextControl.type = 'button';
-        copyTextControl.classList.add('note-control', 'hovering-label', 'copy-text');
-        copyTextControl.ariaLabel = 'Copy text';
-        copyTextControl.innerHTML = ` <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
-            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
-            <path d="M13 0H6a2 2 0 0 0-2 2 2 2 0 0 0-2 2v10a2 2 0 0 0 2 2h7a2 2 0 0 0 2-2 2 2 0 0 0 2-2V2a2 2 0 0 0-2-2zm0 13V4a2 2 0 0 0-2-2H5a1 1 0 0 1 1-1h7a1 1 0 0 1 1 1v10a1 1 0 0 1-1 1zM3 4a1 1 0 0 1 1-1h7a1 1 0 0 1 1 1v10a1 1 0 0 1-1 1H4a1 1 0 0 1-1-1V4z"/>
-        </svg>`;
-        copyTextContainer.insertAdjacentElement('beforeend', copyTextControl);
+        // Replace the tags shown in the note, keeping the input to add new ones at the end.
+        const tagsContainer = note.querySelector('.note-tags');
+        const tagInput = tagsContainer.querySelector('.note-tag-input');
 
-        controls.insertAdjacentElement('beforeend', copyTextContainer);
+        tagsContainer.querySelectorAll('.note-tag').forEach((tagElement) => tagElement.remove());
 
-        // Note toolbox - Controls - Download note
-        const downloadNoteContainer = document.createElement('div');
-        downloadNoteContainer.classList.add('note-control-container');
+        for (const tag of noteTags) {
+            const tagElement = document.createElement('span');
+            tagElement.classList.add('note-tag');
+            tagElement.dataset.tag = tag;
+            tagElement.innerText = tag;
 
-        const downloadNoteControl = document.createElement('button');
-        downloadNoteControl.type = 'button';
-        downloadNoteControl.classList.add('note-control', 'hovering-label', 'downloadNote');
-        downloadNoteControl.ariaLabel = 'Download note';
-        downloadNoteControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
-            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
-            <path d="M8.5 6.5a.5.5 0 0 0-1 0v3.793L6.354 9.146a.5.5 0 1 0-.708.708l2 2a.5.5 0 0 0 .708 0l2-2a.5.5 0 0 0-.708-.708L8.5 10.293V6.5z"/>
-            <path d="M14 14V4.5L9.5 0H4a2 2 0 0 0-2 2v12a2 2 0 0 0 2 2h8a2 2 0 0 0 2-2zM9.5 3A1.5 1.5 0 0 0 11 4.5h2V14a1 1 0 0 1-1 1H4a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1h5.5v2z"/>
-        </svg>
-        `;
-        downloadNoteContainer.insertAdjacentElement('beforeend', downloadNoteControl);
+            const removeTagControl = document.createElement('button');
+            removeTagControl.type = 'button';
+            removeTagControl.classList.add('note-tag-remove');
+            removeTagControl.ariaLabel = 'Remove tag ' + tag;
+            removeTagControl.innerText = '\u00D7';
+            tagElement.insertAdjacentElement('beforeend', removeTagControl);
 
-        controls.insertAdjacentElement('beforeend', downloadNoteContainer);
+            tagInput.insertAdjacentElement('beforebegin', tagElement);
+        }
+
+        this.#updateTagBar();
+
+        this.#scheduleSave();
+    }
+
+    /**
+     * Turn the Markdown mode of a note on or off. In Markdown mode, the content can be shown rendered (see
+     * #showNotePreview()), while the Markdown source is still the content that is saved, exported, copied and counted.
+     *
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
+     * @param {Boolean} isMarkdown True to turn the Markdown mode on.
+     */
+    #setNoteMarkdownMode(noteID, isMarkdown) {
+        const note = document.getElementById(noteID);
+
+        if (!note) {
+            return;
+        }
+
+        note.classList.toggle('note-markdown', isMarkdown);
+        note.querySelector('.markdown-mode').ariaPressed = isMarkdown ? 'true' : 'false';
+
+        // Render the preview again for the new mode, and count the tasks that the new mode renders.
+        if (note.classList.contains('note-previewing')) {
+            this.#showNotePreview(noteID, true);
+        }
+
+        this.#runNoteCounters(noteID);
+    }
+
+    /**
+     * Show the content of a note rendered from its Markdown source, or the source to be edited.
+     *
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
+     * @param {Boolean} isPreview True to show the rendered content, false to show the source.
+     */
+    #showNotePreview(noteID, isPreview) {
+        const note = document.getElementById(noteID);
+
+        if (!note) {
+            return;
+        }
+
+        const text = note.querySelector('.note-text');
+        const preview = note.querySelector('.note-preview');
+        const previewNoteControl = note.querySelector('.preview-note');
+
+        const isMarkdown = note.classList.contains('note-markdown');
+
+        if (isPreview) {
+            preview.replaceChildren(
+                isMarkdown ? markdown.renderMarkdown(text.textContent) : markdown.renderChecklist(text.textContent)
+            );
+
+            // Tasks cannot be ticked while the notepad is read-only.
+            preview.querySelectorAll('.task-checkbox').forEach((checkbox) => (checkbox.disabled = this.#isReadOnly));
+        } else {
+            preview.replaceChildren();
+        }
+
+        text.hidden = isPreview;
+        preview.hidden = !isPreview;
+        preview.classList.toggle('note-preview-checklist', !isMarkdown);
+
+        note.classList.toggle('note-previewing', isPreview);
+        previewNoteControl.ariaPressed = isPreview ? 'true' : 'false';
+        previewNoteControl.ariaLabel = isPreview ? 'Edit' : 'Preview';
+    }
+
+    /**
+     * Set or remove the writing target of a note.
+     *
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
+     * @param {Object|null} target The target (see exportNotepad() for its format), or null to remove it.
+     */
+    #setNoteTarget(noteID, target) {
+        const note = document.getElementById(noteID);
+
+        if (!note) {
+            return;
+        }
+
+        if (target) {
+            note.dataset.target = JSON.stringify({
+                unit: target.unit === 'characters' ? 'characters' : 'words',
+                min: Number.isInteger(target.min) ? target.min : null,
+                max: Number.isInteger(target.max) ? target.max : null,
+                deadline: target.deadline || null,
+            });
+        } else {
+            delete note.dataset.target;
+        }
+
+        this.#updateNoteTarget(noteID);
+    }
+
+    /**
+     * Show the progress of a note towards its writing target. The progress turns to a warning color when the note is
+     * shorter or longer than the target, and the deadline is highlighted once passed.
+     *
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
+     */
+    #updateNoteTarget(noteID) {
+        const note = document.getElementById(noteID);
+        const targetContainer = note ? note.querySelector('.note-target') : null;
+
+        if (!targetContainer) {
+            return;
+        }
+
+        targetContainer.hidden = !note.dataset.target;
+
+        if (!note.dataset.target) {
+            return;
+        }
+
+        const { unit, min, max, deadline } = JSON.parse(note.dataset.target);
+
+        const noteText = note.querySelector('.note-text').textContent;
+        const length = unit === 'words' ? utilities.countWords(noteText, this.#getNotepadLanguage()) : noteText.length;
+
+        // Length
+        let status = 'within';
+
+        if (max !== null && length > max) {
+            status = 'over';
+        } else if (min !== null && length < min) {
+            status = 'under';
+        }
+
+        const statusTexts = [];
+
+        if (min !== null || max !== null) {
+            const limit = max !== null ? max : min;
+            const progress = limit > 0 ? Math.min(length / limit, 1) * 100 : 100;
+
+            let range;
+
+            if (min !== null && max !== null) {
+                range = min === max ? String(min) : min + '\u2013' + max;
+            } else if (max !== null) {
+                range = 'up to ' + max;
+            } else {
+                range = 'at least ' + min;
+            }
+
+            statusTexts.push(length + ' ' + unit + ' (target: ' + range + ')');
+
+            targetContainer.querySelector('.note-target-progress').style.width = progress + '%';
+            targetContainer.querySelector('.note-target-bar').ariaValueNow = Math.round(progress);
+        }
+
+        targetContainer.querySelector('.note-target-bar').hidden = min === null && max === null;
+
+        // Deadline (midnight of the due date, in local time)
+        let isOverdue = false;
+
+        if (deadline) {
+            const [year, month, day] = deadline.split('-').map((part) => parseInt(part));
+            const today = new Date();
+
+            const daysLeft = Math.round(
+                (new Date(year, month - 1, day) - new Date(today.getFullYear(), today.getMonth(), today.getDate())) /
+                    86400000
+            );
+
+            isOverdue = daysLeft < 0;
+
+            if (daysLeft === 0) {
+                statusTexts.push('due today');
+            } else if (daysLeft > 0) {
+                statusTexts.push('due in ' + daysLeft + (daysLeft === 1 ? ' day' : ' days'));
+            } else {
+                statusTexts.push('overdue by ' + -daysLeft + (daysLeft === -1 ? ' day' : ' days'));
+            }
+        }
+
+        const statusText = statusTexts.join(', ');
+        targetContainer.querySelector('.note-target-status').innerText =
+            statusText.charAt(0).toUpperCase() + statusText.slice(1);
+
+        targetContainer.classList.toggle('note-target-over', status === 'over');
+        targetContainer.classList.toggle('note-target-under', status === 'under');
+        targetContainer.classList.toggle('note-target-overdue', isOverdue);
+    }
+
+    /**
+     * Check if a note can be shown rendered (see #showNotePreview()).
+     *
+     * @param {Element} note The HTML element representing the note.
+     *
+     * @returns {Boolean} True if the note is in Markdown mode, or has checklists.
+     */
+    #canPreviewNote(note) {
+        return note.classList.contains('note-markdown') || note.classList.contains('note-checklist');
+    }
+
+    /**
+     * Tick or untick a task of a note, updating its content.
+     *
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
+     * @param {Number} lineIndex The index of the line of the task in the content.
+     * @param {Boolean} isDone True if the task is done.
+     */
+    #setNoteTask(noteID, lineIndex, isDone) {
+        const note = document.getElementById(noteID);
+
+        if (!note) {
+            return;
+        }
+
+        const text = note.querySelector('.note-text');
+
+        this.updateNote(noteID, { content: markdown.toggleTask(text.textContent, lineIndex, isDone) });
+    }
+
+    /**
+     * Get the tags of a note.
+     *
+     * @param {Element} note The HTML element representing the note.
+     *
+     * @returns {Array} The tags of the note, in the order they were added.
+     */
+    #getNoteTags(note) {
+        return [...note.querySelectorAll('.note-tag')].map((tagElement) => tagElement.dataset.tag);
+    }
+
+    /**
+     * List the tags of the notepad in the tag bar, and show only the notes matching the selected ones.
+     */
+    #updateTagBar() {
+        // The header and the notes container are not available while the notepad is being built.
+        const tagBar = this.#headerContainer ? this.#headerContainer.querySelector('.tag-bar') : null;
+
+        if (!tagBar || !this.#notesContainer) {
+            return;
+        }
+
+        const notes = [...this.#notesContainer.querySelectorAll('.note')];
+        const notepadTags = [...new Set(notes.flatMap((note) => this.#getNoteTags(note)))].sort((a, b) =>
+            a.localeCompare(b)
+        );
+
+        // Selected tags no longer used by any note are deselected.
+        for (const selectedTag of this.#tagFilter.tags) {
+            if (!notepadTags.includes(selectedTag)) {
+                this.#tagFilter.tags.delete(selectedTag);
+            }
+        }
+
+        const tagFilters = tagBar.querySelector('.tag-filters');
+        tagFilters.replaceChildren();
+
+        for (const tag of notepadTags) {
+            const tagFilter = document.createElement('button');
+            tagFilter.type = 'button';
+            tagFilter.classList.add('tag-filter');
+            tagFilter.dataset.tag = tag;
+            tagFilter.innerText = tag;
+            tagFilter.ariaPressed = this.#tagFilter.tags.has(tag) ? 'true' : 'false';
+            tagFilters.insertAdjacentElement('beforeend', tagFilter);
+        }
+
+        tagBar.hidden = notepadTags.length === 0;
+
+        // Show only the notes with any (OR) or all (AND) of the selected tags.
+        if (this.#tagFilter.tags.size > 0) {
+            const selectedTags = [...this.#tagFilter.tags];
+
+            this.#noteFilters.set('tags', (note) => {
+                const noteTags = this.#getNoteTags(note);
+                const hasTag = (tag) => noteTags.includes(tag);
+
+                return this.#tagFilter.matching === 'all' ? selectedTags.every(hasTag) : selectedTags.some(hasTag);
+            });
+        } else {
+            this.#noteFilters.delete('tags');
+        }
+
+        this.#filterNotes();
+    }
+
+    /**
+     * Check whether a note being dragged would be dropped after the note below the pointer (rather than before it).
+     *
+     * @param {Element} note The HTML element representing the note below the pointer.
+     * @param {DragEvent} event The drag event.
+     *
+     * @returns {Boolean} True if the pointer is on the second half (right side) of the note.
+     */
+    #isDropAfter(note, event) {
+        const noteRect = note.getBoundingClientRect();
+
+        return event.clientX > noteRect.left + noteRect.width / 2;
+    }
+
+    /**
+     * Remove the drop indicators shown between notes while a note is dragged.
+     */
+    #clearDropIndicators() {
+        for (const note of this.#notesContainer.querySelectorAll('.drop-before, .drop-after')) {
+            note.classList.remove('drop-before', 'drop-after');
+        }
+    }
+
+    /**
+     * Search the notes for the query of the search bar: hide the notes without matches, highlight the matches in the
+     * visible notes and show the number of matches.
+     *
+     * @param {Object} searchOptions The search options to be changed (see #searchOptions).
+     */
+    #searchNotes(searchOptions = {}) {
+        Object.assign(this.#searchOptions, searchOptions);
+
+        const { query, caseSensitive, wholeWord } = this.#searchOptions;
+
+        // The notes container is not available yet while the first notes are being added.
+        const notes = this.#notesContainer ? this.#notesContainer.querySelectorAll('.note') : [];
+
+        const highlightRanges = [];
+        const notesWithMatches = new Set();
+
+        for (const note of notes) {
+            for (const element of note.querySelectorAll('.note-title, .note-text')) {
+                const matches = utilities.findMatches(element.textContent, query, { caseSensitive, wholeWord });
+
+                if (matches.length > 0) {
+                    notesWithMatches.add(note.id);
+                }
+
+                for (const match of matches) {
+                    highlightRanges.push(this.#createTextRange(element, match.start, match.end));
+                }
+            }
+        }
+
+        // Show only the notes with matches. The note being edited is kept visible.
+        if (query) {
+            this.#noteFilters.set('search', (note) => {
+                return notesWithMatches.has(note.id) || note.contains(document.activeElement);
+            });
+        } else {
+            this.#noteFilters.delete('search');
+        }
+
+        this.#filterNotes();
+
+        // Highlight the matches, where the CSS Custom Highlight API is supported (the text itself is not changed).
+        if (typeof CSS !== 'undefined' && CSS.highlights) {
+            if (highlightRanges.length > 0) {
+                CSS.highlights.set('search-match', new Highlight(...highlightRanges));
+            } else {
+                CSS.highlights.delete('search-match');
+            }
+        }
+
+        // Show the number of matches.
+        const searchCounter = this.#headerContainer ? this.#headerContainer.querySelector('.search-counter') : null;
+
+        if (searchCounter) {
+            searchCounter.textContent = query
+                ? highlightRanges.length + (highlightRanges.length === 1 ? ' match' : ' matches')
+                : '';
+        }
+    }
+
+    /**
+     * Show the notes meeting all the conditions in #noteFilters and hide the others.
+     */
+    #filterNotes() {
+        if (!this.#notesContainer) {
+            return;
+        }
+
+        for (const note of this.#notesContainer.querySelectorAll('.note')) {
+            const isVisible = [...this.#noteFilters.values()].every((filter) => filter(note));
+
+            note.classList.toggle('note-filtered', !isVisible);
+        }
+    }
+
+    /**
+     * Create a range spanning a portion of the text of an element, which may be split into several text nodes.
+     *
+     * @param {Element} element The element containing the text.
+     * @param {Number} start The index of the first character of the range in the element's textContent.
+     * @param {Number} end The index after the last character of the range in the element's textContent.
+     *
+     * @returns {Range} The range.
+     */
+    #createTextRange(element, start, end) {
+        const range = document.createRange();
+
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+
+        let offset = 0;
+        let isStartSet = false;
+
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const length = node.textContent.length;
+
+            if (!isStartSet && start < offset + length) {
+                range.setStart(node, start - offset);
+                isStartSet = true;
+            }
+
+            if (isStartSet && end <= offset + length) {
+                range.setEnd(node, end - offset);
+                break;
+            }
+
+            offset += length;
+        }
+
+        return range;
+    }
+
+    /**
+     * Add the notes container to the DOM and include the given notes (a new empty note by default).
+     *
+     * @param {Element} parentElement The parent element where to insert the notes container.
+     * @param {Array} notes The properties of the notes to be included (see exportNotepad()).
+     *
+     * @returns The HTML element representing the notes container.
+     */
+    #addNotesContainer(parentElement = this.#entryPoint, notes = [{}]) {
+        const notesContainer = document.createElement('div');
+        notesContainer.classList.add('notes-container');
+
+        parentElement.insertAdjacentElement('beforeend', notesContainer);
+
+        // Add the notes.
+        notes.forEach((noteProperties) => {
+            this.addNote(noteProperties, notesContainer);
+        });
+
+        return notesContainer;
+    }
+
+    // Selection-related methods
+
+    /**
+     * Show or hide the checkboxes selecting the notes, to run an action on several notes at once (e.g. delete them).
+     * Leaving the selection mode deselects all the notes.
+     *
+     * @param {Boolean} isSelecting True to select notes.
+     */
+    setSelectionMode(isSelecting = true) {
+        this.#isSelecting = isSelecting;
+
+        this.#entryPoint.classList.toggle('notepad-selecting', isSelecting);
+
+        if (!isSelecting) {
+            for (const checkbox of this.#notesContainer.querySelectorAll('.note-select')) {
+                checkbox.checked = false;
+            }
+
+            this.#lastSelectedNoteID = undefined;
+        }
+
+        this.#toolboxContainer.querySelector('.select-notes').ariaPressed = isSelecting ? 'true' : 'false';
+
+        this.#updateSelectionBar();
+    }
+
+    /**
+     * Check if the notes can be selected (see setSelectionMode()).
+     *
+     * @returns {Boolean} True if the checkboxes selecting the notes are shown.
+     */
+    isSelecting() {
+        return this.#isSelecting;
+    }
+
+    /**
+     * Select or deselect notes, turning the selection mode on if needed.
+     *
+     * @param {Array} noteIDs The DOM ids of the notes.
+     * @param {Boolean} isSelected True to select the notes, false to deselect them.
+     */
+    selectNotes(noteIDs, isSelected = true) {
+        if (!this.#isSelecting) {
+            this.setSelectionMode(true);
+        }
+
+        for (const noteID of noteIDs.filter((id) => this.#hasNote(id))) {
+            document.getElementById(noteID).querySelector('.note-select').checked = isSelected;
+        }
+
+        this.#updateSelectionBar();
+    }
+
+    /**
+     * Get the selected notes.
+     *
+     * @returns {Array} The DOM ids of the selected notes, in index order.
+     */
+    getSelectedNoteIDs() {
+        return this.#getIndexedNoteIDs().filter(
+            (noteID) => document.getElementById(noteID).querySelector('.note-select').checked
+        );
+    }
+
+    /**
+     * Delete several notes at once. The deletion is undone as a single operation.
+     *
+     * @param {Array} noteIDs The DOM ids of the notes.
+     */
+    deleteNotes(noteIDs) {
+        const deletedNoteIDs = this.#getIndexedNoteIDs().filter((noteID) => noteIDs.includes(noteID));
+
+        if (deletedNoteIDs.length === 0) {
+            return;
+        }
+
+        // Keep the note properties, so that the notes can be restored at their original indexes.
+        const deletedNotes = this.#removeNotes(deletedNoteIDs);
+
+        this.#history.record({
+            label: deletedNoteIDs.length === 1 ? 'Delete note' : 'Delete notes',
+            undo: () => {
+                this.#restoreNotes(deletedNotes);
+            },
+            redo: () => {
+                this.deleteNotes(deletedNoteIDs);
+            },
+        });
+    }
+
+    /**
+     * Move several notes at once, next to each other and in their current order.
+     *
+     * @param {Array} noteIDs The DOM ids of the notes.
+     * @param {Number} newIndex The new index (position) of the first of the notes.
+     */
+    moveNotes(noteIDs, newIndex) {
+        const previousNoteIDs = this.#getIndexedNoteIDs();
+
+        const movedNoteIDs = previousNoteIDs.filter((noteID) => noteIDs.includes(noteID));
+        const otherNoteIDs = previousNoteIDs.filter((noteID) => !noteIDs.includes(noteID));
+
+        if (movedNoteIDs.length === 0) {
+            return;
+        }
+
+        // Check if the new position is within min-max range.
+        newIndex = Math.min(Math.max(newIndex, 1), otherNoteIDs.length + 1);
+
+        const newNoteIDs = [
+            ...otherNoteIDs.slice(0, newIndex - 1),
+            ...movedNoteIDs,
+            ...otherNoteIDs.slice(newIndex - 1),
+        ];
+
+        // Nothing to move if the notes are already in that position.
+        if (newNoteIDs.every((noteID, index) => noteID === previousNoteIDs[index])) {
+            return;
+        }
+
+        this.#reorderNotes(newNoteIDs);
+
+        this.#history.record({
+            label: movedNoteIDs.length === 1 ? 'Move note' : 'Move notes',
+            undo: () => {
+                this.#reorderNotes(previousNoteIDs);
+            },
+            redo: () => {
+                this.#reorderNotes(newNoteIDs);
+            },
+        });
+
+        this.#scheduleSave();
+
+        for (const [index, noteID] of newNoteIDs.entries()) {
+            const oldIndex = previousNoteIDs.indexOf(noteID) + 1;
+
+            if (oldIndex !== index + 1) {
+                const note = document.getElementById(noteID);
+
+                this.#events.emit('note:moved', { note: this.#serialiseNote(note), oldIndex, newIndex: index + 1 });
+            }
+        }
+    }
+
+    /**
+     * Apply the same accent color to several notes at once. The change is undone as a single operation.
+     *
+     * @param {Array} noteIDs The DOM ids of the notes.
+     * @param {String} accentColor The hex color code to be applied (an empty string for no color). Other values are
+     * ignored.
+     */
+    changeNotesAccentColor(noteIDs, accentColor = '') {
+        // Values that are not hex color codes are ignored, as the notepad could not be loaded.
+        if (accentColor !== '' && !format.isHexColor(accentColor)) {
+            return;
+        }
+
+        const nextColor = accentColor.toLowerCase();
+
+        // The current colors, to be restored when the change is undone.
+        const previousColors = new Map();
+
+        for (const noteID of noteIDs.filter((id) => this.#hasNote(id))) {
+            const noteTitleContainer = document.getElementById(noteID).querySelector('.note-title-container');
+            const currentColor = (noteTitleContainer.dataset.accentColor || '').toLowerCase();
+
+            if (currentColor !== nextColor) {
+                previousColors.set(noteID, currentColor);
+            }
+        }
+
+        if (previousColors.size === 0) {
+            return;
+        }
+
+        previousColors.forEach((currentColor, noteID) => this.#setNoteAccentColor(noteID, nextColor));
+
+        this.#history.record({
+            label: 'Change accent color',
+            undo: () => {
+                previousColors.forEach((currentColor, noteID) => this.#setNoteAccentColor(noteID, currentColor));
+            },
+            redo: () => {
+                previousColors.forEach((currentColor, noteID) => this.#setNoteAccentColor(noteID, nextColor));
+            },
+        });
+    }
+
+    /**
+     * Merge several notes into the first of them, in index order. The text of each other note is added, after its
+     * title, to the text of the first note, which also gets all their tags. The other notes are then deleted.
+     *
+     * @param {Array} noteIDs The DOM ids of the notes.
+     *
+     * @returns {Object|null} The merged note (see exportNotepad() for its format), or null if there were fewer than two
+     * notes to merge.
+     */
+    mergeNotes(noteIDs) {
+        const mergedNoteIDs = this.#getIndexedNoteIDs().filter((noteID) => noteIDs.includes(noteID));
+
+        if (mergedNoteIDs.length < 2) {
+            return null;
+        }
+
+        const [firstNote, ...otherNotes] = mergedNoteIDs.map((noteID) => this.getNote(noteID));
+
+        // In Markdown mode, the titles of the other notes become headings.
+        const headingPrefix = firstNote.markdown ? '## ' : '';
+
+        const content = [
+            firstNote.content,
+            ...otherNotes.map((note) => headingPrefix + note.title + '\n\n' + note.content),
+        ].join('\n\n');
+
+        const tags = [firstNote, ...otherNotes].flatMap((note) => note.tags);
+
+        this.updateNote(firstNote.id, { content, tags });
+
+        const deletedNotes = this.#removeNotes(otherNotes.map((note) => note.id));
+
+        // Undoing the merge restores the other notes and the text and the tags the first note had before.
+        this.#history.record({
+            label: 'Merge notes',
+            undo: () => {
+                this.#restoreNotes(deletedNotes);
+                this.updateNote(firstNote.id, { content: firstNote.content, tags: firstNote.tags });
+            },
+            redo: () => {
+                this.mergeNotes(mergedNoteIDs);
+            },
+        });
+
+        return this.getNote(firstNote.id);
+    }
+
+    /**
+     * Export several notes as a notepad, with the title, language and palette of the notepad.
+     *
+     * @param {Array} noteIDs The DOM ids of the notes.
+     * @param {String} fileFormat The format of the file: 'json', 'markdown', 'html' or 'docx'.
+     */
+    exportNotes(noteIDs, fileFormat = 'json') {
+        const notepadObject = this.#serialiseNotepad();
+
+        notepadObject.notes = notepadObject.notes.filter((note) => noteIDs.includes(note.id));
+
+        if (notepadObject.notes.length > 0) {
+            this.#downloadNotepad(notepadObject, fileFormat);
+        }
+    }
+
+    /**
+     * Get the DOM ids of the notes.
+     *
+     * @returns {Array} The DOM ids, in index order.
+     */
+    #getIndexedNoteIDs() {
+        const noteIDs = [];
+
+        for (let index = 1; index <= this.#notesIndex.size; index++) {
+            noteIDs.push(this.#notesIndex.get(index));
+        }
+
+        return noteIDs;
+    }
+
+    /**
+     * Remove several notes from the DOM and rebuild the notes index once, without recording the operation in the
+     * history.
+     *
+     * @param {Array} noteIDs The DOM ids of the notes.
+     *
+     * @returns {Array} The removed notes, with the index they had: [{ index, note }], where note is in the format of
+     * exportNotepad(). The notes can be restored with #restoreNotes().
+     */
+    #removeNotes(noteIDs) {
+        const removedNotes = [];
+
+        for (const noteID of noteIDs) {
+            const note = document.getElementById(noteID);
+
+            removedNotes.push({ index: parseInt(note.dataset.noteIndex), note: this.#serialiseNote(note) });
+
+            note.remove();
+
+            clearTimeout(this.#versionTimeouts.get(noteID));
+            this.#versionTimeouts.delete(noteID);
+            this.#noteVersions.delete(noteID);
+        }
+
+        this.#setNotesIndex(this.#getIndexedNoteIDs().filter((noteID) => !noteIDs.includes(noteID)));
+
+        // Remove the notes from the search results, and their tags from the tag bar.
+        this.#searchNotes();
+        this.#updateTagBar();
+
+        this.#scheduleSave();
+
+        removedNotes.forEach((removedNote) => this.#events.emit('note:deleted', { note: removedNote.note }));
+
+        // Restored in index order, each note is put back at its index.
+        return removedNotes.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Add back the notes removed with #removeNotes(), at the indexes they had, and rebuild the notes index once.
+     *
+     * @param {Array} removedNotes The removed notes: [{ index, note }], in index order.
+     */
+    #restoreNotes(removedNotes) {
+        const noteIDs = this.#getIndexedNoteIDs();
+
+        for (const { index, note } of removedNotes) {
+            const noteID = this.addNote(note, this.#notesContainer);
+
+            noteIDs.splice(index - 1, 0, noteID);
+        }
+
+        this.#reorderNotes(noteIDs);
+    }
+
+    /**
+     * Put the notes in a new order, in the DOM and in the notes index, without recording the operation in the history.
+     *
+     * @param {Array} noteIDs The DOM ids of all the notes, in their new order.
+     */
+    #reorderNotes(noteIDs) {
+        for (const noteID of noteIDs) {
+            this.#notesContainer.insertAdjacentElement('beforeend', document.getElementById(noteID));
+        }
+
+        this.#setNotesIndex(noteIDs);
+    }
+
+    /**
+     * Replace the notes index, and show the new index in each note.
+     *
+     * @param {Array} noteIDs The DOM ids of the notes, in index order.
+     */
+    #setNotesIndex(noteIDs) {
+        this.#notesIndex.clear();
+
+        noteIDs.forEach((noteID, index) => this.#notesIndex.set(index + 1, noteID));
+
+        this.#indexNotes();
+    }
+
+    /**
+     * Select or deselect a note from its checkbox. With Shift, the notes shown between the note and the one selected
+     * or deselected last are also selected or deselected.
+     *
+     * @param {String} noteID The DOM id of the note.
+     * @param {Boolean} isRange True to select or deselect a range of notes.
+     */
+    #toggleNoteSelection(noteID, isRange) {
+        const isSelected = document.getElementById(noteID).querySelector('.note-select').checked;
+
+        if (isRange && this.#lastSelectedNoteID && this.#hasNote(this.#lastSelectedNoteID)) {
+            const noteIDs = this.#getIndexedNoteIDs();
+
+            const start = noteIDs.indexOf(this.#lastSelectedNoteID);
+            const end = noteIDs.indexOf(noteID);
+
+            const rangeNoteIDs = noteIDs
+                .slice(Math.min(start, end), Math.max(start, end) + 1)
+                .filter((id) => !document.getElementById(id).classList.contains('note-filtered'));
+
+            this.selectNotes(rangeNoteIDs, isSelected);
+        }
+
+        this.#lastSelectedNoteID = noteID;
+
+        this.#updateSelectionBar();
+    }
+
+    /**
+     * Show the number of selected notes in the selection bar, and enable the actions that can be run on them.
+     */
+    #updateSelectionBar() {
+        // The notes may be indexed while the header is being created.
+        const selectionBar = this.#headerContainer ? this.#headerContainer.querySelector('.selection-bar') : null;
+
+        if (!selectionBar) {
+            return;
+        }
+
+        const selectedCount = this.#isSelecting ? this.getSelectedNoteIDs().length : 0;
+
+        selectionBar.hidden = !this.#isSelecting;
+
+        selectionBar.querySelector('.selection-count').innerText =
+            selectedCount === 1 ? '1 note selected' : selectedCount + ' notes selected';
+
+        for (const action of selectionBar.querySelectorAll('.selection-action')) {
+            action.disabled = selectedCount < (action.classList.contains('merge-notes') ? 2 : 1);
+        }
+    }
+
+    // Notepad-related methods
+
+    /**
+     * Add notepad's controls in the DOM.
+     *
+     * @param {Element} parentElement The parent element where to insert the controls.
+     *
+     * @returns The HTML element representing the toolbox.
+     */
+    #addToolbox(parentElement = this.#entryPoint) {
+        const toolbox = this.#createToolbox();
+        toolbox.classList.add('toolbox');
+
+        parentElement.insertAdjacentElement('beforeend', toolbox);
+
+        return toolbox;
+    }
+
+    /**
+     * Export the notepad content (title and notes) as a JSON file, a Markdown document, an HTML page or a DOCX
+     * document.
+     *
+     * Markdown document format: see markdown.js
+     * HTML and DOCX documents: see documents.js
+     * JSON file format:
+     *
+     * {
+     *      formatVersion: {Number} - The version of the format (see format.js).
+     *      notepadTitle: {String},
+     *      language: {String} - BCP 47 language tag of the notes, e.g. 'en' or 'pt-BR' (empty for the browser's one).
+     *      palette: [
+     *          {
+     *              color: {String} - Hex color code, offered as accent color for the notes.
+     *              label: {String} - The name of the color, e.g. 'Urgent' (empty for none).
+     *          }
+     *      ]
+     *      created: {String} - ISO 8601 timestamp.
+     *      modified: {String} - ISO 8601 timestamp.
+     *      notes: [
+     *          {
+     *              id: {String},
+     *              title: {String},
+     *              content: {String},
+     *              accentColor: {string} - Hex color code.
+     *              tags: {Array} - The tags of the note, e.g. ['draft', 'work'].
+     *              markdown: {Boolean} - True if the content is written in Markdown.
+     *              target: {
+     *                  unit: {String} - 'words' or 'characters'.
+     *                  min: {Number|null} - The minimum length.
+     *                  max: {Number|null} - The maximum length.
+     *                  deadline: {String|null} - The due date, in the YYYY-MM-DD format.
+     *              } - The writing target of the note, or null.
+     *              created: {String} - ISO 8601 timestamp.
+     *              modified: {String} - ISO 8601 timestamp.
+     *              versions: [
+     *                  {
+     *                      timestamp: {String} - ISO 8601 timestamp.
+     *                      content: {String} - The content of the note at that time.
+     *                  }
+     *              ]
+     *          }
+     *      ]
+     * }
+     *
+     * Notes are listed in their index (position) order. The same format is used to save the notepad in the browser.
+     *
+     * @param {String} fileFormat The format of the file: 'json', 'markdown', 'html' or 'docx'.
+     */
+    exportNotepad(fileFormat = 'json') {
+        this.#downloadNotepad(this.#serialiseNotepad(), fileFormat);
+    }
+
+    /**
+     * Download a notepad object as a file named after the title of the notepad.
+     *
+     * @param {Object} notepadObject The notepad to be downloaded (see exportNotepad() for its format).
+     * @param {String} fileFormat The format of the file: 'json', 'markdown', 'html' or 'docx'.
+     */
+    #downloadNotepad(notepadObject, fileFormat) {
+        const filename = this.#getNotepadFilename();
+
+        if (fileFormat === 'markdown') {
+            utilities.downloadFile(markdown.notepadToMarkdown(notepadObject), filename + '.md', 'text/markdown');
+        } else if (fileFormat === 'html') {
+            utilities.downloadFile(documents.notepadToHtml(notepadObject), filename + '.html', 'text/html');
+        } else if (fileFormat === 'docx') {
+            utilities.downloadFile(documents.notepadToDocx(notepadObject), filename + '.docx', documents.docxMimeType);
+        } else {
+            utilities.downloadFile(JSON.stringify(notepadObject), filename + '.json', 'application/json');
+        }
+    }
+
+    /**
+     * Export a note as a text file, an HTML page or a DOCX document.
+     *
+     * @param {String} noteID The DOM id of the note.
+     * @param {String} fileFormat The format of the file: 'text', 'html' or 'docx'.
+     */
+    exportNote(noteID, fileFormat = 'text') {
+        const note = this.getNote(noteID);
+
+        if (!note) {
+            return;
+        }
+
+        const filename = utilities.getSafeFilename(note.title, 'note');
+
+        // The documents of a single note have no notepad title: they start with the title of the note.
+        const notepadObject = { language: this.#notepadLanguage, notepadTitle: '', notes: [note] };
+
+        if (fileFormat === 'html') {
+            utilities.downloadFile(documents.notepadToHtml(notepadObject), filename + '.html', 'text/html');
+        } else if (fileFormat === 'docx') {
+            utilities.downloadFile(documents.notepadToDocx(notepadObject), filename + '.docx', documents.docxMimeType);
+        } else {
+            utilities.downloadFile(note.title + '\n\n' + note.content, filename + '.txt', 'text/plain');
+        }
+    }
+
+    /**
+     * Open the print dialog of the browser, e.g. to save the notepad as PDF. Each note is printed on a new page,
+     * without the controls of the notepad (see the print styles of the stylesheet).
+     */
+    printNotepad() {
+        window.print();
+    }
+
+    /**
+     * Open the print dialog of the browser to print a single note, e.g. to save it as PDF.
+     *
+     * @param {String} noteID The DOM id of the note.
+     */
+    printNote(noteID) {
+        if (!this.#hasNote(noteID)) {
+            return;
+        }
+
+        const note = document.getElementById(noteID);
+
+        this.#entryPoint.classList.add('notepad-printing-note');
+        note.classList.add('note-printing');
+
+        // The other notes are shown again once the print dialog is closed.
+        window.addEventListener(
+            'afterprint',
+            () => {
+                this.#entryPoint.classList.remove('notepad-printing-note');
+                note.classList.remove('note-printing');
+            },
+            { once: true }
+        );
+
+        window.print();
+    }
+
+    /**
+     * Import an existing notepad from a JSON file or a Markdown document.
+     *
+     * The file is validated first: if it does not follow the notepad format, the problems are listed in a dialog and the
+     * notepad is left unchanged. Otherwise, a dialog asks whether to replace the notepad or to merge the imported notes
+     * into it, and whether to rename or skip notes whose id is already used.
+     *
+     * JSON file format: see exportNotepad()
+     * Markdown document format: see markdown.js
+     *
+     * @param {File} file The file to be imported, e.g. one opened from the operating system. If undefined, the user is
+     * asked to choose one.
+     */
+    importNotepad(file) {
+        if (file) {
+            this.#importFile(file);
+
+            return;
+        }
+
+        const temporaryInput = document.createElement('input');
+
+        temporaryInput.type = 'file';
+        temporaryInput.accept = 'application/json,.json,text/markdown,.md,.markdown';
+
+        // Add event listener to the temporary input
+        temporaryInput.onchange = (event) => {
+            const file = temporaryInput.files.item(0);
+
+            if (file) {
+                this.#importFile(file);
+            }
+        };
+
+        temporaryInput.click();
+
+        temporaryInput.remove();
+    }
+
+    /**
+     * Read, parse and validate a notepad file, then ask how to import it.
+     *
+     * @param {File} file The JSON file or Markdown document to be imported.
+     */
+    #importFile(file) {
+        const reader = new FileReader();
+
+        reader.addEventListener('load', () => {
+            const { notepadObject, errors } = this.#parseNotepadFile(file, reader.result);
+
+            if (errors.length > 0) {
+                this.#showMessageDialog('The notepad cannot be imported', errors);
+            } else {
+                this.#showImportDialog(notepadObject);
+            }
+        });
+
+        reader.addEventListener('error', () => {
+            this.#showMessageDialog('The notepad cannot be imported', ['"' + file.name + '" cannot be read.']);
+        });
+
+        reader.readAsText(file);
+    }
+
+    /**
+     * Parse and validate the content of a notepad file.
+     *
+     * @param {File} file The JSON file or Markdown document.
+     * @param {String} content The text of the file.
+     *
+     * @returns {Object} { notepadObject, errors }: the notepad, upgraded to the current format, or the description of
+     * each problem found.
+     */
+    #parseNotepadFile(file, content) {
+        // Parse the Markdown or JSON data.
+        const isMarkdown = /\.(md|markdown)$/i.test(file.name) || file.type === 'text/markdown';
+
+        let notepadObject;
+
+        try {
+            notepadObject = isMarkdown ? markdown.markdownToNotepad(content) : JSON.parse(content);
+        } catch (error) {
+            const fileFormat = isMarkdown ? 'Markdown document' : 'JSON file';
+
+            return { errors: ['"' + file.name + '" is not a valid ' + fileFormat + ': ' + error.message] };
+        }
+
+        const errors = format.validateNotepad(notepadObject);
+
+        // Files saved in an older format are upgraded to the current one.
+        return errors.length > 0 ? { errors } : { notepadObject: format.upgradeNotepad(notepadObject), errors };
+    }
+
+    /**
+     * Add the notes of an imported notepad, either in place of the current ones or after them.
+     *
+     * @param {Object} importedNotepadObject The imported notepad (see exportNotepad() for its format).
+     * @param {String} mode 'replace' to replace the current notepad, 'merge' to append the notes to it.
+     * @param {String} duplicates What to do with notes whose id is already used: 'rename' to give them a new id or
+     * 'skip' to leave them out.
+     */
+    #applyImport(importedNotepadObject, mode = 'replace', duplicates = 'rename') {
+        // Keep the current notepad and palette, so that the import can be undone.
+        const previousNotepadObject = this.#serialiseNotepad();
+        const previousPalette = this.#palette.map((paletteColor) => ({ ...paletteColor }));
+
+        if (mode === 'replace') {
+            this.#clearNotepad();
+
+            if (importedNotepadObject.notepadTitle) {
+                this.#updateNotepadTitle(importedNotepadObject.notepadTitle, this.#headerContainer);
+            }
+
+            this.#setPalette(importedNotepadObject.palette);
+        } else if (importedNotepadObject.palette) {
+            // Colors of the imported palette missing from the current one are added, with their labels.
+            const newColors = importedNotepadObject.palette.filter((importedColor) => {
+                return !this.#palette.some((paletteColor) => paletteColor.color === importedColor.color.toLowerCase());
+            });
+
+            this.#setPalette([...this.#palette, ...newColors]);
+        }
+
+        const usedNoteIDs = new Set(this.#notesIndex.values());
+        const addedNoteIDs = [];
+
+        for (const noteProperties of importedNotepadObject.notes) {
+            if (noteProperties.id && usedNoteIDs.has(noteProperties.id)) {
+                if (duplicates === 'skip') {
+                    continue;
+                }
+
+                // Without an id, the note receives a new one.
+                addedNoteIDs.push(this.addNote({ ...noteProperties, id: undefined }, this.#notesContainer));
+            } else {
+                addedNoteIDs.push(this.addNote(noteProperties, this.#notesContainer));
+            }
+
+            usedNoteIDs.add(noteProperties.id);
+        }
+
+        if (mode === 'replace') {
+            const importedResult = this.#serialiseNotepad();
+
+            this.#history.record({
+                label: 'Import notepad',
+                undo: () => {
+                    this.#replaceNotepad(previousNotepadObject);
+                },
+                redo: () => {
+                    this.#replaceNotepad(importedResult);
+                },
+            });
+        } else {
+            // Merged notes are added after the existing ones: undoing the import only removes them, so that the
+            // changes made to the other notes in the meantime are kept.
+            const mergedPalette = this.#palette.map((paletteColor) => ({ ...paletteColor }));
+
+            let removedNotes = [];
+
+            this.#history.record({
+                label: 'Import notepad',
+                undo: () => {
+                    removedNotes = this.#removeNotes(addedNoteIDs);
+                    this.#setPalette(previousPalette);
+                },
+                redo: () => {
+                    this.#setPalette(mergedPalette);
+                    this.#restoreNotes(removedNotes);
+                },
+            });
+        }
+    }
+
+    /**
+     * Clear the notepad to its original state.
+     *
+     * @param {Boolean} addNewNote If true, add a new empty note to the cleared notepad.
+     */
+    clear(addNewNote = false) {
+        // Keep the current notepad, so that it can be restored.
+        const previousNotepadObject = this.#serialiseNotepad();
+
+        this.#clearNotepad(addNewNote);
+
+        this.#history.record({
+            label: 'Close notepad',
+            undo: () => {
+                this.#replaceNotepad(previousNotepadObject);
+            },
+            redo: () => {
+                this.#clearNotepad(addNewNote);
+            },
+        });
+    }
+
+    /**
+     * Revert the last structural operation (e.g. a deleted or moved note).
+     */
+    undo() {
+        this.#history.undo();
+    }
+
+    /**
+     * Apply again the last structural operation reverted.
+     */
+    redo() {
+        this.#history.redo();
+    }
+
+    /**
+     * Get the notepad as an object, e.g. to save it elsewhere. JSON.stringify() uses it too.
+     *
+     * @returns {Object} The notepad (see exportNotepad() for its format).
+     */
+    toJSON() {
+        return this.#serialiseNotepad();
+    }
+
+    /**
+     * Replace the content of the notepad with a notepad object, e.g. one returned by toJSON(). Notepads saved in an
+     * older format are upgraded. The operation can be undone.
+     *
+     * @param {Object} notepadObject The notepad to be loaded (see exportNotepad() for its format).
+     *
+     * @returns {Array} The problems found in the notepad object (see format.js). If any, the notepad is left unchanged.
+     */
+    load(notepadObject) {
+        const errors = format.validateNotepad(notepadObject);
+
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        // Keep the current notepad, so that it can be restored.
+        const previousNotepadObject = this.#serialiseNotepad();
+
+        this.#replaceNotepad(format.upgradeNotepad(notepadObject));
+
+        const loadedNotepadObject = this.#serialiseNotepad();
+
+        this.#history.record({
+            label: 'Load notepad',
+            undo: () => {
+                this.#replaceNotepad(previousNotepadObject);
+            },
+            redo: () => {
+                this.#replaceNotepad(loadedNotepadObject);
+            },
+        });
+
+        this.#scheduleSave();
+
+        return [];
+    }
+
+    /**
+     * Listen to the changes to the notepad.
+     *
+     * Events (the listener receives an object with the type of the event and its details):
+     *
+     * - 'note:added': { note } - A note was added, e.g. by the user, an import or an undo.
+     * - 'note:changed': { note, changes } - The properties of a note changed, e.g. changes: ['title', 'tags'].
+     * - 'note:moved': { note, oldIndex, newIndex } - A note was moved to another position.
+     * - 'note:deleted': { note } - A note was deleted. The note is the one before the deletion.
+     * - 'notepad:cleared': {} - All the notes were removed, e.g. before loading another notepad.
+     *
+     * Notes are in the format of exportNotepad().
+     *
+     * @param {String} type The name of the event.
+     * @param {Function} listener The function to be called with each event.
+     *
+     * @returns {Function} A function removing the listener.
+     */
+    on(type, listener) {
+        return this.#events.on(type, listener);
+    }
+
+    /**
+     * Stop listening to the changes to the notepad.
+     *
+     * @param {String} type The name of the event.
+     * @param {Function} listener The function added with on().
+     */
+    off(type, listener) {
+        this.#events.off(type, listener);
+    }
+
+    /**
+     * Allow or prevent changes to the notepad from the page. While read-only, the notes can still be read, searched,
+     * previewed, copied and exported, and they can still be changed through the methods of the notepad.
+     *
+     * @param {Boolean} isReadOnly True to prevent changes.
+     */
+    setReadOnly(isReadOnly = true) {
+        this.#isReadOnly = isReadOnly;
+
+        this.#entryPoint.classList.toggle('notepad-read-only', isReadOnly);
+
+        this.#headerContainer.querySelector('.notepad-title').contentEditable = isReadOnly ? 'false' : 'plaintext-only';
+        this.#headerContainer.querySelector('.notepad-language').disabled = isReadOnly;
+
+        for (const note of this.#notesContainer.querySelectorAll('.note')) {
+            this.#setNoteReadOnly(note, isReadOnly);
+        }
+    }
+
+    /**
+     * Check if the notepad is read-only (see setReadOnly()).
+     *
+     * @returns {Boolean} True if the notes cannot be changed from the page.
+     */
+    isReadOnly() {
+        return this.#isReadOnly;
+    }
+
+    /**
+     * Allow or prevent changes to a note from the page.
+     *
+     * @param {Element} note The HTML element representing the note.
+     * @param {Boolean} isReadOnly True to prevent changes.
+     */
+    #setNoteReadOnly(note, isReadOnly) {
+        for (const editableElement of note.querySelectorAll('.note-title, .note-text')) {
+            editableElement.contentEditable = isReadOnly ? 'false' : 'plaintext-only';
+        }
+
+        note.querySelector('.note-tag-input').disabled = isReadOnly;
+
+        if (note.classList.contains('note-previewing')) {
+            this.#showNotePreview(note.id, true);
+        }
+    }
+
+    /**
+     * Clear the notepad to its original state, without recording the operation in the history.
+     *
+     * @param {Boolean} addNewNote If true, add a new empty note to the cleared notepad.
+     */
+    #clearNotepad(addNewNote = false) {
+        // Empty the notepad container.
+        this.#notesContainer.replaceChildren();
+
+        // Reset the notes index.
+        this.#notesIndex.clear();
+
+        // Remove the snapshots of the notes.
+        this.#versionTimeouts.forEach((versionTimeout) => clearTimeout(versionTimeout));
+        this.#versionTimeouts.clear();
+        this.#noteVersions.clear();
+
+        this.#updateSelectionBar();
+
+        this.#events.emit('notepad:cleared');
+
+        // If specified, add a new empty note.
+        if (addNewNote) {
+            this.addNote(undefined, this.#notesContainer);
+        }
+
+        // Reset the notepad title to the default one.
+        this.#updateNotepadTitle(undefined, this.#headerContainer);
+
+        // Restore the default palette.
+        this.#setPalette();
+
+        // The cleared notepad counts as a new one.
+        this.#notepadCreated = new Date().toISOString();
+        this.#setNotepadLanguage('');
+
+        this.#searchNotes();
+        this.#updateTagBar();
+
+        this.#scheduleSave();
+    }
+
+    /**
+     * Change the language of the notes, and count them again in the new language.
+     *
+     * @param {String} language The BCP 47 language tag, e.g. 'en' or 'pt-BR'. Empty for the language of the browser.
+     */
+    #setNotepadLanguage(language = '') {
+        const languageSelect = this.#headerContainer.querySelector('.notepad-language');
+
+        // Languages without a known reading speed (e.g. from an imported notepad) are added to the list.
+        if (language && ![...languageSelect.options].some((option) => option.value === language)) {
+            languageSelect.insertAdjacentElement('beforeend', this.#createLanguageOption(language));
+        }
+
+        this.#notepadLanguage = language;
+        languageSelect.value = language;
+
+        if (this.#notesContainer) {
+            if (language) {
+                this.#notesContainer.lang = language;
+            } else {
+                this.#notesContainer.removeAttribute('lang');
+            }
+
+            for (const note of this.#notesContainer.querySelectorAll('.note')) {
+                this.#runNoteCounters(note.id);
+            }
+        }
+    }
+
+    /**
+     * Get the language of the notes.
+     *
+     * @returns {String} The BCP 47 language tag of the notepad, or of the browser if the notepad has none.
+     */
+    #getNotepadLanguage() {
+        return this.#notepadLanguage || navigator.language || 'en';
+    }
+
+    /**
+     * Create an option of the language list, named in the language of the browser, e.g. "German" for 'de'.
+     *
+     * @param {String} language The BCP 47 language tag.
+     *
+     * @returns The HTML element representing the option.
+     */
+    #createLanguageOption(language) {
+        const option = document.createElement('option');
+        option.value = language;
+
+        try {
+            const languageNames = new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' });
+            option.innerText = languageNames.of(language) || language;
+        } catch (error) {
+            option.innerText = language;
+        }
+
+        return option;
+    }
+
+    /**
+     * Replace the content of the notepad with the one of a notepad object.
+     *
+     * @param {Object} notepadObject The notepad to be loaded (see exportNotepad() for its format).
+     */
+    #replaceNotepad(notepadObject) {
+        this.#clearNotepad();
+
+        this.#loadNotepad(notepadObject);
+    }
+
+    /**
+     * Add the title and the notes of a notepad object to the notepad.
+     *
+     * @param {Object} notepadObject The notepad to be loaded (see exportNotepad() for its format).
+     */
+    #loadNotepad(notepadObject) {
+        // Notepads saved in an older format are upgraded to the current one.
+        if (notepadObject && notepadObject.notes) {
+            notepadObject = format.upgradeNotepad(notepadObject);
+        }
+
+        // Notepad title
+        if (notepadObject && notepadObject.notepadTitle) {
+            this.#updateNotepadTitle(notepadObject.notepadTitle, this.#headerContainer);
+        }
+
+        // Notepad language
+        if (notepadObject && notepadObject.language) {
+            this.#setNotepadLanguage(notepadObject.language);
+        }
+
+        // Palette of accent colors
+        if (notepadObject && notepadObject.palette) {
+            this.#setPalette(notepadObject.palette);
+        }
+
+        // Notes
+        if (notepadObject && notepadObject.notes && notepadObject.notes.length > 0) {
+            // Add the imported notes.
+            notepadObject.notes.forEach((noteProperties) => {
+                this.addNote(noteProperties, this.#notesContainer);
+            });
+        }
+
+        // Timestamps (set after adding the notes, which counts as a modification).
+        if (notepadObject && notepadObject.created) {
+            this.#notepadCreated = notepadObject.created;
+            this.#notepadModified = notepadObject.modified || notepadObject.created;
+        }
+    }
+
+    /**
+     * Get the notepad content (title and notes, in index order) as an object.
+     *
+     * @returns {Object} The notepad object (see exportNotepad() for its format).
+     */
+    #serialiseNotepad() {
+        const notepadTitle = this.#headerContainer.querySelector('.notepad-title').innerText;
+
+        const notepadObject = {
+            formatVersion: format.formatVersion,
+            notepadTitle: notepadTitle,
+            language: this.#notepadLanguage,
+            palette: this.#palette.map((paletteColor) => ({ ...paletteColor })),
+            created: this.#notepadCreated,
+            modified: this.#notepadModified,
+            notes: [],
+        };
+
+        for (let index = 1; index <= this.#notesIndex.size; index++) {
+            const note = document.getElementById(this.#notesIndex.get(index));
+
+            notepadObject.notes.push(this.#serialiseNote(note));
+        }
+
+        return notepadObject;
+    }
+
+    /**
+     * Get the properties of a note as an object.
+     *
+     * @param {Element} note The HTML element representing the note.
+     *
+     * @returns {Object} The note object (see exportNotepad() for its format).
+     */
+    #serialiseNote(note) {
+        return {
+            id: note.id || '',
+            title: note.querySelector('.note-title').textContent || '',
+            content: note.querySelector('.note-text').textContent || '',
+            accentColor: note.querySelector('.note-title-container').getAttribute('data-accent-color') || '',
+            tags: this.#getNoteTags(note),
+            markdown: note.classList.contains('note-markdown'),
+            target: note.dataset.target ? JSON.parse(note.dataset.target) : null,
+            created: note.dataset.created,
+            modified: note.dataset.modified,
+            versions: (this.#noteVersions.get(note.id) || []).map((version) => ({ ...version })),
+        };
+    }
+
+    /**
+     * Save the notepad in the browser after a short delay, so that consecutive changes (e.g. typing) are saved once.
+     */
+    #scheduleSave() {
+        // Any change to be saved is a modification of the notepad.
+        this.#notepadModified = new Date().toISOString();
+
+        // ... and a change not yet saved to the file of the notepad, if any.
+        const file = this.#files.get(this.#notepadID);
+
+        if (file && !file.isDirty) {
+            file.isDirty = true;
+            this.#updateFileStatus();
+        }
+
+        clearTimeout(this.#autosaveTimeout);
+
+        this.#autosaveTimeout = setTimeout(() => {
+            this.#saveNotepad();
+        }, this.#defaults.autosaveDelay);
+    }
+
+    /**
+     * Save the notepad in the browser, so that it can be restored when the page is reloaded.
+     */
+    #saveNotepad() {
+        clearTimeout(this.#autosaveTimeout);
+
+        const isSaved = storage.saveNotepad(this.#notepadID, this.#serialiseNotepad());
+
+        // Tell the user once, rather than at every autosave, until the notepad can be saved again.
+        if (!isSaved && !this.#hasStorageError) {
+            this.#showMessageDialog('The notepad cannot be saved in the browser', [
+                'The browser storage may be full or disabled: the latest changes will be lost when the page is closed.',
+                'Save the notepad as a file or export it to keep them, and delete the notepads no longer needed.',
+            ]);
+        }
+
+        this.#hasStorageError = !isSaved;
+    }
+
+    // Library-related methods
+
+    /**
+     * Create a new empty notepad in the library and open it.
+     *
+     * @returns {String} The id of the new notepad.
+     */
+    createNotepad() {
+        const notepadID = this.#createNotepadID();
+
+        // Keep the changes made to the current notepad.
+        this.#saveNotepad();
+
+        this.#switchNotepad(notepadID, { notes: [{}] });
+
+        // Add the new notepad to the library straight away.
+        this.#saveNotepad();
+
+        return notepadID;
+    }
+
+    /**
+     * Open a notepad of the library in place of the current one.
+     *
+     * @param {String} notepadID The id of the notepad to be opened.
+     */
+    openNotepad(notepadID) {
+        const notepadObject = this.#loadStoredNotepad(notepadID);
+
+        if (notepadObject && notepadID !== this.#notepadID) {
+            // Keep the changes made to the current notepad.
+            this.#saveNotepad();
+
+            this.#switchNotepad(notepadID, notepadObject);
+        }
+    }
+
+    /**
+     * Change the title of a notepad of the library.
+     *
+     * @param {String} notepadID The id of the notepad to be renamed.
+     * @param {String} notepadTitle The new title of the notepad.
+     */
+    renameNotepad(notepadID, notepadTitle = this.#defaults.notepadTitle) {
+        if (notepadID === this.#notepadID) {
+            this.#updateNotepadTitle(notepadTitle, this.#headerContainer);
+
+            this.#saveNotepad();
+        } else {
+            const notepadObject = storage.loadNotepad(notepadID);
+
+            if (notepadObject) {
+                notepadObject.notepadTitle = notepadTitle;
+
+                storage.saveNotepad(notepadID, notepadObject);
+            }
+        }
+    }
+
+    /**
+     * Add a copy of a notepad to the library.
+     *
+     * @param {String} notepadID The id of the notepad to be copied.
+     *
+     * @returns {String|undefined} The id of the copy or undefined if the notepad is not in the library.
+     */
+    duplicateNotepad(notepadID) {
+        // Ensure the copy includes the latest changes made to the current notepad.
+        this.#saveNotepad();
+
+        const notepadObject = storage.loadNotepad(notepadID);
+
+        if (notepadObject) {
+            const copyID = this.#createNotepadID();
+
+            notepadObject.notepadTitle = (notepadObject.notepadTitle || this.#defaults.notepadTitle) + ' (copy)';
+
+            storage.saveNotepad(copyID, notepadObject);
+
+            return copyID;
+        }
+    }
+
+    /**
+     * Remove a notepad from the library. If it is the current notepad, another one is opened (or a new one created).
+     *
+     * @param {String} notepadID The id of the notepad to be deleted.
+     *
+     * @returns {Boolean} True if the notepad has been deleted, false if the browser storage cannot be changed.
+     */
+    deleteNotepad(notepadID) {
+        if (!storage.removeNotepad(notepadID)) {
+            return false;
+        }
+
+        this.#files.delete(notepadID);
+
+        if (notepadID === this.#notepadID) {
+            // Open the first notepad that is still saved, as the list may include notepads no longer available.
+            for (const otherNotepad of storage.getNotepads()) {
+                const notepadObject = this.#loadStoredNotepad(otherNotepad.id);
+
+                if (notepadObject) {
+                    this.#switchNotepad(otherNotepad.id, notepadObject);
+
+                    return true;
+                }
+            }
+
+            this.#switchNotepad(this.#createNotepadID(), { notes: [{}] });
+
+            this.#saveNotepad();
+        }
+
+        return true;
+    }
+
+    /**
+     * Replace the current notepad with another one, without saving the current notepad.
+     *
+     * @param {String} notepadID The id of the notepad to be shown.
+     * @param {Object} notepadObject The notepad to be shown (see exportNotepad() for its format).
+     */
+    #switchNotepad(notepadID, notepadObject) {
+        // Discard any pending save of the notepad being replaced.
+        clearTimeout(this.#autosaveTimeout);
+
+        this.#notepadID = notepadID;
+
+        storage.setActiveNotepadID(notepadID);
+
+        // Showing the notepad is not a change to be saved to its file.
+        const file = this.#files.get(notepadID);
+        const isFileDirty = file ? file.isDirty : false;
+
+        this.#replaceNotepad(notepadObject);
+
+        if (file) {
+            file.isDirty = isFileDirty;
+        }
+
+        this.#updateFileStatus();
+
+        // Operations made on another notepad cannot be undone in this one.
+        this.#history.clear();
+    }
+
+    /**
+     * Load a notepad saved in the browser. Damaged notepads (e.g. changed by hand or partially written) are not
+     * discarded: a copy of them is kept in the browser storage, the notes that are still valid are recovered, and the
+     * user is told.
+     *
+     * @param {String} notepadID The id of the notepad.
+     *
+     * @returns {Object|null} The saved notepad or what could be recovered from it (see exportNotepad() for its format),
+     * or null if it is missing.
+     */
+    #loadStoredNotepad(notepadID) {
+        const notepadObject = storage.loadNotepad(notepadID);
+
+        if (notepadObject === null) {
+            return null;
+        }
+
+        const errors =
+            notepadObject === undefined ? ['The saved data cannot be read.'] : format.validateNotepad(notepadObject);
+
+        if (errors.length === 0) {
+            return notepadObject;
+        }
+
+        // Keep a copy of the damaged notepad, as it is replaced by what can be recovered from it: the properties and the
+        // notes that are still valid, each checked on its own in an otherwise empty notepad.
+        const backupKey = storage.backupNotepad(notepadID);
+
+        const isValid = (property, value) => format.validateNotepad({ notes: [], [property]: value }).length === 0;
+
+        const notes = notepadObject && Array.isArray(notepadObject.notes) ? notepadObject.notes : [];
+        const validNotes = notes.filter((note) => isValid('notes', [note]));
+
+        const recoveredNotepad = { notes: validNotes.length > 0 ? validNotes : [{}] };
+
+        for (const [property, value] of Object.entries(notepadObject || {})) {
+            if (property !== 'notes' && isValid(property, value)) {
+                recoveredNotepad[property] = value;
+            }
+        }
+
+        this.#showMessageDialog('The saved notepad is damaged', [
+            ...errors,
+            validNotes.length + ' of ' + notes.length + ' notes have been recovered.',
+            backupKey
+                ? 'A copy of the damaged notepad is kept in the browser storage as "' + backupKey + '".'
+                : 'A copy of the damaged notepad cannot be kept: it is not overwritten until there is room for it.',
+        ]);
+
+        return recoveredNotepad;
+    }
+
+    /**
+     * Generate an id not yet used in the library of notepads.
+     *
+     * @returns {String} The new id.
+     */
+    #createNotepadID() {
+        const savedNotepadIDs = storage.getNotepads().map((savedNotepad) => savedNotepad.id);
+
+        let notepadID = 'notepad-' + Date.now();
+
+        for (let suffix = 1; savedNotepadIDs.includes(notepadID) || notepadID === this.#notepadID; suffix++) {
+            notepadID = 'notepad-' + Date.now() + '-' + suffix;
+        }
+
+        return notepadID;
+    }
+
+    // File-related methods
+
+    /**
+     * Open a notepad from a JSON file or a Markdown document on disk, as a new notepad of the library. The file is
+     * kept, so that saveFile() overwrites it. Opening a file again shows the notepad it was opened as.
+     *
+     * In browsers without the File System Access API, the file is imported instead (see importNotepad()).
+     *
+     * @param {FileSystemFileHandle} fileHandle The file to be opened, e.g. one opened from the operating system. If
+     * undefined, the user is asked to choose one.
+     */
+    async openFile(fileHandle) {
+        if (!fileHandle && !window.showOpenFilePicker) {
+            this.importNotepad();
+
+            return;
+        }
+
+        try {
+            fileHandle = fileHandle || (await window.showOpenFilePicker({ types: this.#fileTypes }))[0];
+        } catch (error) {
+            // The user closed the file picker.
+            if (error.name !== 'AbortError') {
+                this.#showMessageDialog('The file cannot be opened', [error.message]);
+            }
+
+            return;
+        }
+
+        for (const [notepadID, file] of this.#files) {
+            if (await file.handle.isSameEntry(fileHandle)) {
+                this.openNotepad(notepadID);
+
+                return;
+            }
+        }
+
+        let notepadObject, errors;
+
+        try {
+            const file = await fileHandle.getFile();
+
+            ({ notepadObject, errors } = this.#parseNotepadFile(file, await file.text()));
+        } catch (error) {
+            errors = ['"' + fileHandle.name + '" cannot be read.'];
+        }
+
+        if (errors.length > 0) {
+            this.#showMessageDialog('The file cannot be opened', errors);
+
+            return;
+        }
+
+        // Keep the changes made to the current notepad.
+        this.#saveNotepad();
+
+        const notepadID = this.#createNotepadID();
+
+        this.#files.set(notepadID, { handle: fileHandle, isDirty: false });
+
+        this.#switchNotepad(notepadID, notepadObject);
+
+        this.#saveNotepad();
+    }
+
+    /**
+     * Save the notepad to the file it was opened from or last saved to. If there is none, the user is asked to choose
+     * one (see saveFileAs()).
+     */
+    async saveFile() {
+        const file = this.#files.get(this.#notepadID);
+
+        if (file) {
+            await this.#writeFile(file);
+        } else {
+            await this.saveFileAs();
+        }
+    }
+
+    /**
+     * Save the notepad to a new JSON file or Markdown document, chosen by the user. The file is kept, so that
+     * saveFile() overwrites it.
+     *
+     * In browsers without the File System Access API, the notepad is downloaded as a JSON file (see exportNotepad()).
+     */
+    async saveFileAs() {
+        if (!window.showSaveFilePicker) {
+            this.exportNotepad();
+
+            return;
+        }
+
+        let fileHandle;
+
+        try {
+            fileHandle = await window.showSaveFilePicker({
+                suggestedName: this.#getNotepadFilename() + '.json',
+                types: this.#fileTypes,
+            });
+        } catch (error) {
+            // The user closed the file picker.
+            if (error.name !== 'AbortError') {
+                this.#showMessageDialog('The notepad cannot be saved', [error.message]);
+            }
+
+            return;
+        }
+
+        const file = { handle: fileHandle, isDirty: true };
+
+        this.#files.set(this.#notepadID, file);
+
+        await this.#writeFile(file);
+    }
+
+    /**
+     * Check if a notepad opened from or saved to a file has changed since it was last saved to it.
+     *
+     * @returns {Boolean} True if any file has unsaved changes.
+     */
+    hasUnsavedChanges() {
+        return [...this.#files.values()].some((file) => file.isDirty);
+    }
+
+    /**
+     * Overwrite a file with the current notepad, as a Markdown document if the file has a Markdown extension, or else
+     * as a JSON file.
+     *
+     * @param {Object} file The file of the notepad: { handle, isDirty }.
+     */
+    async #writeFile(file) {
+        const notepadObject = this.#serialiseNotepad();
+
+        const content = /\.(md|markdown)$/i.test(file.handle.name)
+            ? markdown.notepadToMarkdown(notepadObject)
+            : JSON.stringify(notepadObject);
+
+        // Changes made while the file is being written are left unsaved.
+        file.isDirty = false;
+        this.#updateFileStatus();
+
+        try {
+            const writable = await file.handle.createWritable();
+
+            await writable.write(content);
+            await writable.close();
+        } catch (error) {
+            file.isDirty = true;
+            this.#updateFileStatus();
+
+            this.#showMessageDialog('The notepad cannot be saved', ['"' + file.handle.name + '": ' + error.message]);
+        }
+    }
+
+    /**
+     * Show the name of the file of the current notepad in the header, and whether it has unsaved changes.
+     */
+    #updateFileStatus() {
+        const file = this.#files.get(this.#notepadID);
+        const fileStatus = this.#headerContainer.querySelector('.file-status');
+
+        fileStatus.hidden = !file;
+        fileStatus.classList.toggle('file-unsaved', Boolean(file && file.isDirty));
+
+        if (file) {
+            fileStatus.innerText = file.handle.name + (file.isDirty ? ' \u2022' : '');
+            fileStatus.title = file.isDirty ? 'Unsaved changes' : 'Saved';
+        }
+
+        this.#updateDocumentTitle(this.#headerContainer.querySelector('.notepad-title').innerText);
+    }
+
+    // Header-related methods
+
+    /**
+     * Add the header to the notepad.
+     *
+     * @param {String} notepadTitle The text to be used as notepad's title.
+     * @param {Element} parentElement The parent element containing the header.
+     *
+     * @returns The HTML element representing the header.
+     */
+    #addHeader(notepadTitle, parentElement = this.#entryPoint) {
+        const header = this.#createHeader(notepadTitle, this.#options.showClock);
+        header.classList.add('header');
+
+        parentElement.insertAdjacentElement('beforeend', header);
+
+        return header;
+    }
+
+    /**
+     * Update the notepad's title.
+     *
+     * @param {String} notepadTitle The text to be used as the new notepad's title.
+     * @param {Element} parentElement The parent element containing the notepad's title.
+     */
+    #updateNotepadTitle(notepadTitle = this.#defaults.notepadTitle, parentElement = this.#headerContainer) {
+        const title = parentElement.querySelector('.notepad-title');
+        title.innerText = notepadTitle;
+    }
+
+    // Footer-related methods
+
+    /**
+     * Add the footer to the notepad.
+     *
+     * @param {String} footerContent The new text to be used in the footer.
+     * @param {Element} parentElement The parent element containing the footer.
+     *
+     * @return The HTML element representing the footer
+     */
+    #addFooter(footerContent, parentElement = this.#entryPoint) {
+        const footer = this.#createFooter(footerContent);
+        footer.classList.add('footer');
+
+        parentElement.insertAdjacentElement('beforeend', footer);
+
+        return footer;
+    }
+
+    // Dialog-related methods
+
+    /**
+     * Add a dialog element to the DOM.
+     *
+     * @param {Element} parentElement The parent element where to insert the dialog.
+     */
+    #addConfirmationDialog(action, actionLabel, message, customClasses, parentElement = document.body) {
+        const dialog = this.#createConfirmationDialog(action, actionLabel, message, customClasses);
+        parentElement.insertAdjacentElement('beforeend', dialog);
+    }
+
+    // Notepad's HTML elements
+
+    /**
+     * Create the HTML element representing the note.
+     *
+     * @param {string} noteID The DOM id to be assigned to the note.
+     * @param {string} noteTitle The title of the note.
+     * @param {string} noteText The text of the note.
+     * @param {string} noteAccentColor The color to be used to style the note's title container.
+     * @param {number} noteIndex The position of the note in the notepad.
+     *
+     * @returns The HTML element representing the note.
+     */
+    #createNote(noteID, noteTitle, noteText, noteAccentColor, noteIndex = 0) {
+        const note = document.createElement('div');
+        note.id = noteID;
+        note.classList.add('note');
+
+        // Note title
+        const titleContainer = document.createElement('div');
+        titleContainer.classList.add('note-title-container');
+        titleContainer.dataset.accentColor = noteAccentColor;
+        titleContainer.style.backgroundColor = themes.getAccentDisplayColor(noteAccentColor, this.#getTheme());
+
+        // Note title - The checkbox selecting the note, shown in the selection mode (see setSelectionMode())
+        const selectCheckbox = document.createElement('input');
+        selectCheckbox.type = 'checkbox';
+        selectCheckbox.classList.add('note-select');
+        selectCheckbox.ariaLabel = 'Select note (Shift to select a range)';
+        titleContainer.insertAdjacentElement('beforeend', selectCheckbox);
+
+        const dragHandle = document.createElement('div');
+        dragHandle.classList.add('note-drag-handle', 'hovering-label');
+        dragHandle.ariaLabel = 'Drag to move (Alt+\u2191 / Alt+\u2193)';
+        dragHandle.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M7 2a1 1 0 1 1-2 0 1 1 0 0 1 2 0m3 0a1 1 0 1 1-2 0 1 1 0 0 1 2 0M7 5a1 1 0 1 1-2 0 1 1 0 0 1 2 0m3 0a1 1 0 1 1-2 0 1 1 0 0 1 2 0M7 8a1 1 0 1 1-2 0 1 1 0 0 1 2 0m3 0a1 1 0 1 1-2 0 1 1 0 0 1 2 0m-3 3a1 1 0 1 1-2 0 1 1 0 0 1 2 0m3 0a1 1 0 1 1-2 0 1 1 0 0 1 2 0m-3 3a1 1 0 1 1-2 0 1 1 0 0 1 2 0m3 0a1 1 0 1 1-2 0 1 1 0 0 1 2 0"/>
+        </svg>`;
+        titleContainer.insertAdjacentElement('beforeend', dragHandle);
+
+        const title = document.createElement('h3');
+        title.contentEditable = 'plaintext-only';
+        title.classList.add('note-title', 'editable');
+        title.innerText = noteTitle;
+        titleContainer.insertAdjacentElement('beforeend', title);
+
+        // Note title - The label of the accent color (see #updateNoteColorLabel())
+        const colorLabel = document.createElement('span');
+        colorLabel.classList.add('note-color-label');
+        colorLabel.innerText = this.#getColorLabel(noteAccentColor);
+        colorLabel.hidden = !colorLabel.innerText;
+        titleContainer.insertAdjacentElement('beforeend', colorLabel);
+
+        note.insertAdjacentElement('beforeend', titleContainer);
+
+        // Note text
+        const textContainer = document.createElement('div');
+        textContainer.classList.add('note-text-container');
+
+        const text = document.createElement('div');
+        text.contentEditable = 'plaintext-only';
+        text.classList.add('note-text');
+        text.innerText = noteText;
+        textContainer.insertAdjacentElement('beforeend', text);
+
+        // Note text - Rendered Markdown (see #showNotePreview())
+        const preview = document.createElement('div');
+        preview.classList.add('note-preview');
+        preview.hidden = true;
+        textContainer.insertAdjacentElement('beforeend', preview);
+
+        note.insertAdjacentElement('beforeend', textContainer);
+
+        // Note toolbox
+        const toolbox = document.createElement('div');
+        toolbox.classList.add('note-toolbox-container');
+
+        // Note toolbox - Insights
+        const insights = document.createElement('div');
+        insights.classList.add('note-insights');
+
+        // Note toolbox - Insights - Character counter
+        const characterCounterContainer = document.createElement('div');
+        characterCounterContainer.classList.add('insight-container');
+
+        const characterCounter = document.createElement('div');
+        characterCounter.classList.add('insight-content', 'hovering-label');
+        characterCounter.ariaLabel = 'Characters';
+
+        const characterCounterLabel = document.createElement('span');
+        characterCounterLabel.innerText = 'C: ';
+        characterCounter.insertAdjacentElement('beforeend', characterCounterLabel);
+
+        const characterCounterValue = document.createElement('span');
+        characterCounterValue.classList.add('character-counter');
+        characterCounter.insertAdjacentElement('beforeend', characterCounterValue);
+
+        characterCounterContainer.insertAdjacentElement('beforeend', characterCounter);
+
+        insights.insertAdjacentElement('beforeend', characterCounterContainer);
+
+        // Note toolbox - Insights - Word counter
+        const wordCounterContainer = document.createElement('div');
+        wordCounterContainer.classList.add('insight-container');
+
+        const wordCounter = document.createElement('div');
+        wordCounter.classList.add('insight-content', 'hovering-label');
+        wordCounter.ariaLabel = 'Words';
+
+        const wordCounterLabel = document.createElement('span');
+        wordCounterLabel.innerText = 'W: ';
+        wordCounter.insertAdjacentElement('beforeend', wordCounterLabel);
+
+        const wordCounterValue = document.createElement('span');
+        wordCounterValue.classList.add('word-counter');
+        wordCounter.insertAdjacentElement('beforeend', wordCounterValue);
+
+        wordCounterContainer.insertAdjacentElement('beforeend', wordCounter);
+
+        insights.insertAdjacentElement('beforeend', wordCounterContainer);
+
+        // Note toolbox - Insights - Time counter
+        const timeCounterContainer = document.createElement('div');
+        timeCounterContainer.classList.add('insight-container');
+
+        const timeCounter = document.createElement('div');
+        timeCounter.classList.add('insight-content', 'hovering-label');
+        timeCounter.ariaLabel = 'Time (sec)';
+
+        const timeCounterLabel = document.createElement('span');
+        timeCounterLabel.innerText = 'T: ';
+        timeCounter.insertAdjacentElement('beforeend', timeCounterLabel);
+
+        const timeCounterValue = document.createElement('span');
+        timeCounterValue.classList.add('time-counter');
+        timeCounter.insertAdjacentElement('beforeend', timeCounterValue);
+
+        timeCounterContainer.insertAdjacentElement('beforeend', timeCounter);
+
+        insights.insertAdjacentElement('beforeend', timeCounterContainer);
+
+        // Note toolbox - Insights - Checklist counter
+        const checklistCounterContainer = document.createElement('div');
+        checklistCounterContainer.classList.add('insight-container', 'checklist-counter-container');
+        checklistCounterContainer.hidden = true;
+
+        const checklistCounter = document.createElement('div');
+        checklistCounter.classList.add('insight-content', 'hovering-label');
+        checklistCounter.ariaLabel = 'Tasks done';
+
+        const checklistCounterLabel = document.createElement('span');
+        checklistCounterLabel.innerText = '\u2713 ';
+        checklistCounter.insertAdjacentElement('beforeend', checklistCounterLabel);
+
+        const checklistCounterValue = document.createElement('span');
+        checklistCounterValue.classList.add('checklist-counter');
+        checklistCounter.insertAdjacentElement('beforeend', checklistCounterValue);
+
+        checklistCounterContainer.insertAdjacentElement('beforeend', checklistCounter);
+
+        insights.insertAdjacentElement('beforeend', checklistCounterContainer);
+
+        // Note toolbox - Insights - More insights (see #updateNoteInsightsPanel())
+        const insightsToggleContainer = document.createElement('div');
+        insightsToggleContainer.classList.add('insight-container');
+
+        const insightsToggle = document.createElement('button');
+        insightsToggle.type = 'button';
+        insightsToggle.classList.add('insight-content', 'hovering-label', 'insights-toggle');
+        insightsToggle.ariaLabel = 'More insights';
+        insightsToggle.ariaExpanded = 'false';
+        insightsToggle.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path fill-rule="evenodd" d="M1.646 4.646a.5.5 0 0 1 .708 0L8 10.293l5.646-5.647a.5.5 0 0 1 .708.708l-6 6a.5.5 0 0 1-.708 0l-6-6a.5.5 0 0 1 0-.708"/>
+        </svg>`;
+        insightsToggleContainer.insertAdjacentElement('beforeend', insightsToggle);
+
+        insights.insertAdjacentElement('beforeend', insightsToggleContainer);
+
+        // Note toolbox - Controls
+        const controls = document.createElement('div');
+        controls.classList.add('note-controls');
+
+        // Note toolbox - Controls - Copy text
+        const copyTextContainer = document.createElement('div');
+        copyTextContainer.classList.add('note-control-container');
+
+        const copyTextControl = document.createElement('button');
+        copyTextControl.type = 'button';
+        copyTextControl.classList.add('note-control', 'hovering-label', 'copy-text');
+        copyTextControl.ariaLabel = 'Copy text';
+        copyTextControl.innerHTML = ` <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M13 0H6a2 2 0 0 0-2 2 2 2 0 0 0-2 2v10a2 2 0 0 0 2 2h7a2 2 0 0 0 2-2 2 2 0 0 0 2-2V2a2 2 0 0 0-2-2zm0 13V4a2 2 0 0 0-2-2H5a1 1 0 0 1 1-1h7a1 1 0 0 1 1 1v10a1 1 0 0 1-1 1zM3 4a1 1 0 0 1 1-1h7a1 1 0 0 1 1 1v10a1 1 0 0 1-1 1H4a1 1 0 0 1-1-1V4z"/>
+        </svg>`;
+        copyTextContainer.insertAdjacentElement('beforeend', copyTextControl);
+
+        controls.insertAdjacentElement('beforeend', copyTextContainer);
+
+        // Note toolbox - Controls - Export note
+        const downloadNoteContainer = document.createElement('div');
+        downloadNoteContainer.classList.add('note-control-container');
+
+        const downloadNoteControl = document.createElement('button');
+        downloadNoteControl.type = 'button';
+        downloadNoteControl.classList.add('note-control', 'hovering-label', 'downloadNote');
+        downloadNoteControl.ariaLabel = 'Export note';
+        downloadNoteControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M8.5 6.5a.5.5 0 0 0-1 0v3.793L6.354 9.146a.5.5 0 1 0-.708.708l2 2a.5.5 0 0 0 .708 0l2-2a.5.5 0 0 0-.708-.708L8.5 10.293V6.5z"/>
+            <path d="M14 14V4.5L9.5 0H4a2 2 0 0 0-2 2v12a2 2 0 0 0 2 2h8a2 2 0 0 0 2-2zM9.5 3A1.5 1.5 0 0 0 11 4.5h2V14a1 1 0 0 1-1 1H4a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1h5.5v2z"/>
+        </svg>
+        `;
+        downloadNoteContainer.insertAdjacentElement('beforeend', downloadNoteControl);
+
+        controls.insertAdjacentElement('beforeend', downloadNoteContainer);
+
+        // Note toolbox - Controls - Note history
+        const noteHistoryContainer = document.createElement('div');
+        noteHistoryContainer.classList.add('note-control-container');
+
+        const noteHistoryControl = document.createElement('button');
+        noteHistoryControl.type = 'button';
+        noteHistoryControl.classList.add('note-control', 'hovering-label', 'note-history');
+        noteHistoryControl.ariaLabel = 'History';
+        noteHistoryControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M8.515 1.019A7 7 0 0 0 8 1V0a8 8 0 0 1 .589.022zm2.004.45a7 7 0 0 0-.985-.299l.219-.976q.576.129 1.126.342zm1.37.71a7 7 0 0 0-.439-.27l.493-.87a8 8 0 0 1 .979.654l-.615.789a7 7 0 0 0-.418-.302zm1.834 1.79a7 7 0 0 0-.653-.796l.724-.69q.406.429.747.91zm.744 1.352a7 7 0 0 0-.214-.468l.893-.45a8 8 0 0 1 .45 1.088l-.95.313a7 7 0 0 0-.179-.483m.53 2.507a7 7 0 0 0-.1-1.025l.985-.17q.1.58.116 1.17zm-.131 1.538q.05-.254.081-.51l.993.123a8 8 0 0 1-.23 1.155l-.964-.267q.069-.247.12-.501m-.952 2.379q.276-.436.486-.908l.914.405q-.24.54-.555 1.038zm-.964 1.205q.183-.183.35-.378l.758.653a8 8 0 0 1-.401.432z"/>
+            <path d="M8 1a7 7 0 1 0 4.95 11.95l.707.707A8.001 8.001 0 1 1 8 0z"/>
+            <path d="M7.5 3a.5.5 0 0 1 .5.5v5.21l3.248 1.856a.5.5 0 0 1-.496.868l-3.5-2A.5.5 0 0 1 7 9V3.5a.5.5 0 0 1 .5-.5"/>
+        </svg>`;
+        noteHistoryContainer.insertAdjacentElement('beforeend', noteHistoryControl);
+
+        controls.insertAdjacentElement('beforeend', noteHistoryContainer);
+
+        // Note toolbox - Controls - Writing target
+        const noteTargetContainer = document.createElement('div');
+        noteTargetContainer.classList.add('note-control-container', 'edit-control');
+
+        const noteTargetControl = document.createElement('button');
+        noteTargetControl.type = 'button';
+        noteTargetControl.classList.add('note-control', 'hovering-label', 'note-target-control');
+        noteTargetControl.ariaLabel = 'Target';
+        noteTargetControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M8 15A7 7 0 1 1 8 1a7 7 0 0 1 0 14m0 1A8 8 0 1 0 8 0a8 8 0 0 0 0 16"/>
+            <path d="M8 13A5 5 0 1 1 8 3a5 5 0 0 1 0 10m0 1A6 6 0 1 0 8 2a6 6 0 0 0 0 12"/>
+            <path d="M8 11a3 3 0 1 1 0-6 3 3 0 0 1 0 6m0 1a4 4 0 1 0 0-8 4 4 0 0 0 0 8"/>
+            <path d="M9.5 8a1.5 1.5 0 1 1-3 0 1.5 1.5 0 0 1 3 0"/>
+        </svg>`;
+        noteTargetContainer.insertAdjacentElement('beforeend', noteTargetControl);
+
+        controls.insertAdjacentElement('beforeend', noteTargetContainer);
+
+        // Note toolbox - Controls - Markdown mode
+        const markdownModeContainer = document.createElement('div');
+        markdownModeContainer.classList.add('note-control-container', 'edit-control');
+
+        const markdownModeControl = document.createElement('button');
+        markdownModeControl.type = 'button';
+        markdownModeControl.classList.add('note-control', 'hovering-label', 'markdown-mode');
+        markdownModeControl.ariaLabel = 'Markdown';
+        markdownModeControl.ariaPressed = 'false';
+        markdownModeControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M14 3a1 1 0 0 1 1 1v8a1 1 0 0 1-1 1H2a1 1 0 0 1-1-1V4a1 1 0 0 1 1-1zM2 2a2 2 0 0 0-2 2v8a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V4a2 2 0 0 0-2-2z"/>
+            <path fill-rule="evenodd" d="M9.146 8.146a.5.5 0 0 1 .708 0L11.5 9.793l1.646-1.647a.5.5 0 0 1 .708.708l-2 2a.5.5 0 0 1-.708 0l-2-2a.5.5 0 0 1 0-.708"/>
+            <path fill-rule="evenodd" d="M11.5 5a.5.5 0 0 1 .5.5v4a.5.5 0 0 1-1 0v-4a.5.5 0 0 1 .5-.5"/>
+            <path d="M3.56 11V7.01h.056l1.428 3.239h.774l1.42-3.24h.056V11h1.073V5.001h-1.2l-1.71 3.894h-.039l-1.71-3.894H2.5V11z"/>
+        </svg>`;
+        markdownModeContainer.insertAdjacentElement('beforeend', markdownModeControl);
+
+        controls.insertAdjacentElement('beforeend', markdownModeContainer);
+
+        // Note toolbox - Controls - Preview (only available in Markdown mode, or for notes with checklists)
+        const previewNoteContainer = document.createElement('div');
+        previewNoteContainer.classList.add('note-control-container', 'preview-note-container');
+
+        const previewNoteControl = document.createElement('button');
+        previewNoteControl.type = 'button';
+        previewNoteControl.classList.add('note-control', 'hovering-label', 'preview-note');
+        previewNoteControl.ariaLabel = 'Preview';
+        previewNoteControl.ariaPressed = 'false';
+        previewNoteControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M16 8s-3-5.5-8-5.5S0 8 0 8s3 5.5 8 5.5S16 8 16 8M1.173 8a13 13 0 0 1 1.66-2.043C4.12 4.668 5.88 3.5 8 3.5s3.879 1.168 5.168 2.457A13 13 0 0 1 14.828 8q-.086.13-.195.288c-.335.48-.83 1.12-1.465 1.755C11.879 11.332 10.119 12.5 8 12.5s-3.879-1.168-5.168-2.457A13 13 0 0 1 1.172 8z"/>
+            <path d="M8 5.5a2.5 2.5 0 1 0 0 5 2.5 2.5 0 0 0 0-5M4.5 8a3.5 3.5 0 1 1 7 0 3.5 3.5 0 0 1-7 0"/>
+        </svg>`;
+        previewNoteContainer.insertAdjacentElement('beforeend', previewNoteControl);
+
+        controls.insertAdjacentElement('beforeend', previewNoteContainer);
+
+        // Note toolbox - Controls - Change accent color
+        const changeAccentColorContainer = document.createElement('div');
+        changeAccentColorContainer.classList.add('note-control-container', 'edit-control');
+
+        const changeAccentColorControl = document.createElement('button');
+        changeAccentColorControl.type = 'button';
+        changeAccentColorControl.classList.add('note-control', 'hovering-label', 'change-accent-color');
+        changeAccentColorControl.ariaLabel = 'Accent color';
+        changeAccentColorControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path fill-rule="evenodd" d="M7.21.8C7.69.295 8 0 8 0c.109.363.234.708.371 1.038.812 1.946 2.073 3.35 3.197 4.6C12.878 7.096 14 8.345 14 10a6 6 0 0 1-12 0C2 6.668 5.58 2.517 7.21.8zm.413 1.021A31.25 31.25 0 0 0 5.794 3.99c-.726.95-1.436 2.008-1.96 3.07C3.304 8.133 3 9.138 3 10a5 5 0 0 0 10 0c0-1.201-.796-2.157-2.181-3.7l-.03-.032C9.75 5.11 8.5 3.72 7.623 1.82z"/>
+            <path fill-rule="evenodd" d="M4.553 7.776c.82-1.641 1.717-2.753 2.093-3.13l.708.708c-.29.29-1.128 1.311-1.907 2.87l-.894-.448z"/>
+        </svg>`;
+        changeAccentColorContainer.insertAdjacentElement('beforeend', changeAccentColorControl);
+
+        controls.insertAdjacentElement('beforeend', changeAccentColorContainer);
+
+        // Note toolbox - Controls - Delete note
+        const deleteNoteContainer = document.createElement('div');
+        deleteNoteContainer.classList.add('note-control-container', 'edit-control');
+
+        const deleteNoteControl = document.createElement('button');
+        deleteNoteControl.type = 'button';
+        deleteNoteControl.classList.add('note-control', 'hovering-label', 'delete-note');
+        deleteNoteControl.ariaLabel = 'Delete note';
+        deleteNoteControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M6.5 1h3a.5.5 0 0 1 .5.5v1H6v-1a.5.5 0 0 1 .5-.5ZM11 2.5v-1A1.5 1.5 0 0 0 9.5 0h-3A1.5 1.5 0 0 0 5 1.5v1H2.506a.58.58 0 0 0-.01 0H1.5a.5.5 0 0 0 0 1h.538l.853 10.66A2 2 0 0 0 4.885 16h6.23a2 2 0 0 0 1.994-1.84l.853-10.66h.538a.5.5 0 0 0 0-1h-.995a.59.59 0 0 0-.01 0H11Zm1.958 1-.846 10.58a1 1 0 0 1-.997.92h-6.23a1 1 0 0 1-.997-.92L3.042 3.5h9.916Zm-7.487 1a.5.5 0 0 1 .528.47l.5 8.5a.5.5 0 0 1-.998.06L5 5.03a.5.5 0 0 1 .47-.53Zm5.058 0a.5.5 0 0 1 .47.53l-.5 8.5a.5.5 0 1 1-.998-.06l.5-8.5a.5.5 0 0 1 .528-.47ZM8 4.5a.5.5 0 0 1 .5.5v8.5a.5.5 0 0 1-1 0V5a.5.5 0 0 1 .5-.5Z"/>
+        </svg>`;
+        deleteNoteContainer.insertAdjacentElement('beforeend', deleteNoteControl);
+
+        controls.insertAdjacentElement('beforeend', deleteNoteContainer);
+
+        // Note toolbox - Controls - Move note
+        const moveNoteContainer = document.createElement('div');
+        moveNoteContainer.classList.add('note-control-container', 'edit-control');
+
+        const moveNoteWrap = document.createElement('div');
+        moveNoteWrap.classList.add('note-control', 'hovering-label', 'move-note');
+        moveNoteWrap.ariaLabel = 'Move note';
+
+        const moveNoteControl = document.createElement('input');
+        moveNoteControl.type = 'number';
+        moveNoteControl.min = 1;
+        moveNoteControl.max = noteIndex;
+        moveNoteControl.classList.add('note-index', 'editable');
+        moveNoteControl.ariaLabel = 'Note index';
+        moveNoteWrap.insertAdjacentElement('beforeend', moveNoteControl);
+
+        moveNoteContainer.insertAdjacentElement('beforeend', moveNoteWrap);
+
+        controls.insertAdjacentElement('beforeend', moveNoteContainer);
+
+        // Note toolbox - Tags (see #setNoteTags())
+        const tags = document.createElement('div');
+        tags.classList.add('note-tags');
+
+        const tagInput = document.createElement('input');
+        tagInput.type = 'text';
+        tagInput.classList.add('note-tag-input');
+        tagInput.placeholder = 'Add tag';
+        tagInput.ariaLabel = 'Add tag';
+        tags.insertAdjacentElement('beforeend', tagInput);
+
+        toolbox.insertAdjacentElement('beforeend', insights);
+        toolbox.insertAdjacentElement('beforeend', controls);
+
+        // Note toolbox - Insights panel
+        const insightsPanel = document.createElement('div');
+        insightsPanel.classList.add('note-insights-panel');
+        insightsPanel.hidden = true;
+        toolbox.insertAdjacentElement('beforeend', insightsPanel);
+
+        // Note toolbox - Writing target progress (see #updateNoteTarget())
+        const target = document.createElement('div');
+        target.classList.add('note-target');
+        target.hidden = true;
+
+        const targetBar = document.createElement('div');
+        targetBar.classList.add('note-target-bar');
+        targetBar.role = 'progressbar';
+        targetBar.ariaValueMin = 0;
+        targetBar.ariaValueMax = 100;
+
+        const targetProgress = document.createElement('div');
+        targetProgress.classList.add('note-target-progress');
+        targetBar.insertAdjacentElement('beforeend', targetProgress);
+
+        target.insertAdjacentElement('beforeend', targetBar);
+
+        const targetStatus = document.createElement('div');
+        targetStatus.classList.add('note-target-status');
+        target.insertAdjacentElement('beforeend', targetStatus);
+
+        toolbox.insertAdjacentElement('beforeend', target);
+        toolbox.insertAdjacentElement('beforeend', tags);
+
+        note.insertAdjacentElement('beforeend', toolbox);
+
+        // Event listeners
+
+        // Input events
+        text.addEventListener(
+            'input',
+            (event) => {
+                const noteID = event.target.closest('.note').id;
+                this.#runNoteCounters(noteID);
+
+                this.#scheduleNoteVersion(noteID);
+            },
+            false
+        );
+
+        // Input events - Save the note and update the search results when its title or text changes.
+        note.addEventListener('input', (event) => {
+            this.#searchNotes();
+
+            // Moving the note does not change it, and tags change it once added (see updateNote()).
+            if (event.target.matches('.note-title, .note-text')) {
+                this.#noteChanged(note.id, [event.target.matches('.note-title') ? 'title' : 'content']);
+            } else {
+                this.#scheduleSave();
+            }
+        });
+
+        // Event listeners - Select note
+        selectCheckbox.addEventListener('click', (event) => {
+            this.#toggleNoteSelection(note.id, event.shiftKey);
+        });
+
+        // Event listeners - Copy text
+        copyTextControl.addEventListener('click', (event) => {
+            this.#copyText(event.target, text.textContent);
+        });
+
+        // Event listeners - Export note
+        downloadNoteControl.addEventListener('click', (event) => {
+            this.#showNoteExportDialog(note.id);
+        });
+
+        // Event listeners - Note history
+        noteHistoryControl.addEventListener('click', (event) => {
+            const noteID = event.target.closest('.note').id;
+            this.#showNoteHistoryDialog(noteID);
+        });
+
+        // Event listeners - More insights
+        insightsToggle.addEventListener('click', (event) => {
+            const isExpanded = insightsPanel.hidden;
+
+            insightsPanel.hidden = !isExpanded;
+            insightsToggle.ariaExpanded = isExpanded ? 'true' : 'false';
+            insightsToggle.ariaLabel = isExpanded ? 'Fewer insights' : 'More insights';
+
+            this.#updateNoteInsightsPanel(note.id);
+        });
+
+        // Event listeners - Writing target
+        noteTargetControl.addEventListener('click', (event) => {
+            this.#showNoteTargetDialog(note.id);
+        });
+
+        // Event listeners - Markdown mode
+        markdownModeControl.addEventListener('click', (event) => {
+            this.updateNote(note.id, { markdown: !note.classList.contains('note-markdown') });
+        });
+
+        // Event listeners - Preview (double-click the preview to edit the text again)
+        previewNoteControl.addEventListener('click', (event) => {
+            this.#showNotePreview(note.id, !note.classList.contains('note-previewing'));
+        });
+
+        preview.addEventListener('dblclick', (event) => {
+            if (!event.target.closest('.task-checkbox, a')) {
+                this.#showNotePreview(note.id, false);
+                text.focus();
+            }
+        });
+
+        // ... Tick or untick a task of a checklist.
+        preview.addEventListener('change', (event) => {
+            if (event.target.classList.contains('task-checkbox')) {
+                this.#setNoteTask(note.id, parseInt(event.target.dataset.line), event.target.checked);
+            }
+        });
+
+        // Event listeners - Change accent color
+        changeAccentColorControl.addEventListener('click', (event) => {
+            this.#showAccentColorDialog([note.id]);
+        });
+
+        // Event listeners - Delete note
+        deleteNoteControl.addEventListener('click', (event) => {
+            const deleteNoteDialog = event.target.closest('.note').querySelector('.delete-note-dialog');
+            deleteNoteDialog.showModal();
+        });
+
+        // Add delete note's confirmation dialog.
+        const deleteNote = () => {
+            if (noteID) {
+                this.deleteNote(noteID);
+            }
+        };
+
+        this.#addConfirmationDialog(deleteNote, 'Delete', 'Delete note?', ['delete-note-dialog'], note);
+
+        // Event listeners - Tags
+        const addTypedTags = () => {
+            const typedTags = tagInput.value.split(',');
+
+            tagInput.value = '';
+
+            this.updateNote(note.id, { tags: [...this.#getNoteTags(note), ...typedTags] });
+        };
+
+        tagInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ',') {
+                // Add the typed tag.
+                event.preventDefault();
+                addTypedTags();
+            } else if (event.key === 'Backspace' && !tagInput.value) {
+                // Remove the last tag.
+                this.updateNote(note.id, { tags: this.#getNoteTags(note).slice(0, -1) });
+            }
+        });
+
+        tagInput.addEventListener('blur', (event) => {
+            if (tagInput.value.trim()) {
+                addTypedTags();
+            }
+        });
+
+        tags.addEventListener('click', (event) => {
+            const removeTagControl = event.target.closest('.note-tag-remove');
+
+            if (removeTagControl) {
+                const removedTag = removeTagControl.closest('.note-tag').dataset.tag;
+                const noteTags = this.#getNoteTags(note).filter((tag) => tag !== removedTag);
+
+                this.updateNote(note.id, { tags: noteTags });
+            }
+        });
+
+        // Event listeners - Drag and drop
+        // The note is draggable only from the handle, so that the text of the title can still be selected.
+        dragHandle.addEventListener('pointerdown', (event) => {
+            note.draggable = true;
+        });
+
+        dragHandle.addEventListener('pointerup', (event) => {
+            note.draggable = false;
+        });
+
+        note.addEventListener('dragstart', (event) => {
+            this.#draggedNoteID = note.id;
+
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', note.querySelector('.note-title').textContent);
+
+            note.classList.add('note-dragging');
+        });
+
+        note.addEventListener('dragend', (event) => {
+            this.#draggedNoteID = undefined;
+
+            note.draggable = false;
+            note.classList.remove('note-dragging');
+
+            this.#clearDropIndicators();
+        });
+
+        note.addEventListener('dragover', (event) => {
+            if (this.#draggedNoteID && this.#draggedNoteID !== note.id) {
+                // Allow the drop.
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'move';
+
+                // Show where the note will be dropped: before or after the note below the pointer.
+                const isAfter = this.#isDropAfter(note, event);
+
+                this.#clearDropIndicators();
+                note.classList.add(isAfter ? 'drop-after' : 'drop-before');
+            }
+        });
+
+        note.addEventListener('dragleave', (event) => {
+            if (!note.contains(event.relatedTarget)) {
+                note.classList.remove('drop-before', 'drop-after');
+            }
+        });
+
+        note.addEventListener('drop', (event) => {
+            const draggedNote = this.#draggedNoteID ? document.getElementById(this.#draggedNoteID) : null;
+
+            if (draggedNote && draggedNote !== note) {
+                event.preventDefault();
+
+                const oldIndex = parseInt(draggedNote.dataset.noteIndex);
+                const targetIndex = parseInt(note.dataset.noteIndex);
+                const isAfter = this.#isDropAfter(note, event);
+
+                // The index of the dragged note once it is placed before or after the target note.
+                let newIndex;
+
+                if (oldIndex < targetIndex) {
+                    newIndex = isAfter ? targetIndex : targetIndex - 1;
+                } else {
+                    newIndex = isAfter ? targetIndex + 1 : targetIndex;
+                }
+
+                this.moveNote(draggedNote.id, oldIndex, newIndex);
+            }
+
+            this.#clearDropIndicators();
+        });
+
+        // Event listeners - Keep track of the focused note, on which note commands are run (see #registerCommands()).
+        note.addEventListener('focusin', (event) => {
+            this.#lastFocusedNoteID = note.id;
+        });
+
+        // Event listener - Move note
+        moveNoteControl.addEventListener(
+            'change',
+            (event) => {
+                // Update the notes index when the position of the note is changed.
+                const isNoteIndex = event.target.classList.contains('note-index');
+
+                if (isNoteIndex && event.target.value) {
+                    const oldIndex = parseInt(event.target.defaultValue);
+                    const noteID = this.#notesContainer.querySelector('[data-note-index="' + oldIndex + '"]').id;
+                    const newIndex = parseInt(event.target.value);
+
+                    this.moveNote(noteID, oldIndex, newIndex);
+                }
+            },
+            false
+        );
+
+        return note;
+    }
+
+    /**
+     * Add the toolbox to the DOM and enable event listeners.
+     *
+     * @returns The HTML element representing the toolbox.
+     */
+    #createToolbox() {
+        const notepadControls = document.createElement('div');
+        notepadControls.classList.add('notepad-controls');
+
+        // Notepad controls - New note
+        const newNoteControlContainer = document.createElement('div');
+        newNoteControlContainer.classList.add('toolbox-control-container', 'edit-control');
+
+        const newNoteControl = document.createElement('button');
+        newNoteControl.type = 'button';
+        newNoteControl.classList.add('toolbox-control', 'hovering-label', 'add-note');
+        newNoteControl.ariaLabel = 'Add new note';
+        newNoteControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M15.502 1.94a.5.5 0 0 1 0 .706L14.459 3.69l-2-2L13.502.646a.5.5 0 0 1 .707 0l1.293 1.293zm-1.75 2.456-2-2L4.939 9.21a.5.5 0 0 0-.121.196l-.805 2.414a.25.25 0 0 0 .316.316l2.414-.805a.5.5 0 0 0 .196-.12l6.813-6.814z" />
+            <path fill-rule="evenodd" d="M1 13.5A1.5 1.5 0 0 0 2.5 15h11a1.5 1.5 0 0 0 1.5-1.5v-6a.5.5 0 0 0-1 0v6a.5.5 0 0 1-.5.5h-11a.5.5 0 0 1-.5-.5v-11a.5.5 0 0 1 .5-.5H9a.5.5 0 0 0 0-1H2.5A1.5 1.5 0 0 0 1 2.5v11z" />
+        </svg>`;
+        newNoteControlContainer.insertAdjacentElement('beforeend', newNoteControl);
+
+        notepadControls.insertAdjacentElement('beforeend', newNoteControlContainer);
+
+        // Notepad controls - Notepads
+        const notepadsControlContainer = document.createElement('div');
+        notepadsControlContainer.classList.add('toolbox-control-container', 'edit-control');
+
+        const notepadsControl = document.createElement('button');
+        notepadsControl.type = 'button';
+        notepadsControl.classList.add('toolbox-control', 'hovering-label', 'notepads');
+        notepadsControl.ariaLabel = 'Notepads';
+        notepadsControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M5 0h8a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2 2 2 0 0 1-2 2H3a2 2 0 0 1-2-2h1a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1V4a1 1 0 0 0-1-1H3a1 1 0 0 0-1 1H1a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v9a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H5a1 1 0 0 0-1 1H3a2 2 0 0 1 2-2"/>
+            <path d="M1 6v-.5a.5.5 0 0 1 1 0V6h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1zm0 3v-.5a.5.5 0 0 1 1 0V9h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1zm0 2.5v.5H.5a.5.5 0 0 0 0 1h2a.5.5 0 0 0 0-1H2v-.5a.5.5 0 0 0-1 0"/>
+        </svg>`;
+        notepadsControlContainer.insertAdjacentElement('beforeend', notepadsControl);
+
+        notepadControls.insertAdjacentElement('beforeend', notepadsControlContainer);
+
+        // Notepad controls - Notepads - Library dialog
+        const notepadsDialog = this.#createNotepadsDialog();
+        document.body.insertAdjacentElement('beforeend', notepadsDialog);
+
+        // Notepad controls - Import notepad
+        const importNotepadControlContainer = document.createElement('div');
+        importNotepadControlContainer.classList.add('toolbox-control-container', 'edit-control');
+
+        const importNotepadControl = document.createElement('button');
+        importNotepadControl.type = 'button';
+        importNotepadControl.classList.add('toolbox-control', 'hovering-label', 'import-notepad');
+        importNotepadControl.ariaLabel = 'Import notepad';
+        importNotepadControl.innerHTML = ` <svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M1 3.5A1.5 1.5 0 0 1 2.5 2h2.764c.958 0 1.76.56 2.311 1.184C7.985 3.648 8.48 4 9 4h4.5A1.5 1.5 0 0 1 15 5.5v.64c.57.265.94.876.856 1.546l-.64 5.124A2.5 2.5 0 0 1 12.733 15H3.266a2.5 2.5 0 0 1-2.481-2.19l-.64-5.124A1.5 1.5 0 0 1 1 6.14V3.5zM2 6h12v-.5a.5.5 0 0 0-.5-.5H9c-.964 0-1.71-.629-2.174-1.154C6.374 3.334 5.82 3 5.264 3H2.5a.5.5 0 0 0-.5.5V6zm-.367 1a.5.5 0 0 0-.496.562l.64 5.124A1.5 1.5 0 0 0 3.266 14h9.468a1.5 1.5 0 0 0 1.489-1.314l.64-5.124A.5.5 0 0 0 14.367 7H1.633z" />
+        </svg>`;
+        importNotepadControlContainer.insertAdjacentElement('beforeend', importNotepadControl);
+
+        notepadControls.insertAdjacentElement('beforeend', importNotepadControlContainer);
+
+        // Notepad controls - Open file
+        const openFileControlContainer = document.createElement('div');
+        openFileControlContainer.classList.add('toolbox-control-container', 'edit-control');
+
+        const openFileControl = document.createElement('button');
+        openFileControl.type = 'button';
+        openFileControl.classList.add('toolbox-control', 'hovering-label', 'open-file');
+        openFileControl.ariaLabel = 'Open file';
+        openFileControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M5.5 7a.5.5 0 0 0 0 1h5a.5.5 0 0 0 0-1zM5 9.5a.5.5 0 0 1 .5-.5h5a.5.5 0 0 1 0 1h-5a.5.5 0 0 1-.5-.5m0 2a.5.5 0 0 1 .5-.5h2a.5.5 0 0 1 0 1h-2a.5.5 0 0 1-.5-.5"/>
+            <path d="M9.5 0H4a2 2 0 0 0-2 2v12a2 2 0 0 0 2 2h8a2 2 0 0 0 2-2V4.5zm0 1v2A1.5 1.5 0 0 0 11 4.5h2V14a1 1 0 0 1-1 1H4a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1z"/>
+        </svg>`;
+        openFileControlContainer.insertAdjacentElement('beforeend', openFileControl);
+
+        notepadControls.insertAdjacentElement('beforeend', openFileControlContainer);
+
+        // Notepad controls - Save file
+        const saveFileControlContainer = document.createElement('div');
+        saveFileControlContainer.classList.add('toolbox-control-container');
+
+        const saveFileControl = document.createElement('button');
+        saveFileControl.type = 'button';
+        saveFileControl.classList.add('toolbox-control', 'hovering-label', 'save-file');
+        saveFileControl.ariaLabel = 'Save file';
+        saveFileControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M11 2H9v3h2z"/>
+            <path d="M1.5 0h11.586a1.5 1.5 0 0 1 1.06.44l1.415 1.414A1.5 1.5 0 0 1 16 2.914V14.5a1.5 1.5 0 0 1-1.5 1.5h-13A1.5 1.5 0 0 1 0 14.5v-13A1.5 1.5 0 0 1 1.5 0M1 1.5v13a.5.5 0 0 0 .5.5H2v-4.5A1.5 1.5 0 0 1 3.5 9h9a1.5 1.5 0 0 1 1.5 1.5V15h.5a.5.5 0 0 0 .5-.5V2.914a.5.5 0 0 0-.146-.353l-1.415-1.415A.5.5 0 0 0 13.086 1H13v4.5A1.5 1.5 0 0 1 11.5 7h-7A1.5 1.5 0 0 1 3 5.5V1H1.5a.5.5 0 0 0-.5.5m3 4a.5.5 0 0 0 .5.5h7a.5.5 0 0 0 .5-.5V1H4zM3 15h10v-4.5a.5.5 0 0 0-.5-.5h-9a.5.5 0 0 0-.5.5z"/>
+        </svg>`;
+        saveFileControlContainer.insertAdjacentElement('beforeend', saveFileControl);
+
+        notepadControls.insertAdjacentElement('beforeend', saveFileControlContainer);
+
+        // Notepad controls - Export notepad
+        const exportNotepadControlContainer = document.createElement('div');
+        exportNotepadControlContainer.classList.add('toolbox-control-container');
+
+        const exportNotepadControl = document.createElement('button');
+        exportNotepadControl.type = 'button';
+        exportNotepadControl.classList.add('toolbox-control', 'hovering-label', 'export-notepad');
+        exportNotepadControl.ariaLabel = 'Export notepad';
+        exportNotepadControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path fill-rule="evenodd" d="M8 5a.5.5 0 0 1 .5.5v3.793l1.146-1.147a.5.5 0 0 1 .708.708l-2 2a.5.5 0 0 1-.708 0l-2-2a.5.5 0 1 1 .708-.708L7.5 9.293V5.5A.5.5 0 0 1 8 5z" />
+            <path d="M3 0h10a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2v-1h1v1a1 1 0 0 0 1 1h10a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H3a1 1 0 0 0-1 1v1H1V2a2 2 0 0 1 2-2z" />
+            <path d="M1 5v-.5a.5.5 0 0 1 1 0V5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0V8h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0v.5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1z" />
+        </svg>`;
+        exportNotepadControlContainer.insertAdjacentElement('beforeend', exportNotepadControl);
+
+        notepadControls.insertAdjacentElement('beforeend', exportNotepadControlContainer);
+
+        // Notepad controls - Export notepad - Format dialog
+        const exportNotepadDialog = this.#createExportDialog();
+        document.body.insertAdjacentElement('beforeend', exportNotepadDialog);
+
+        // Notepad controls - Statistics
+        const statisticsControlContainer = document.createElement('div');
+        statisticsControlContainer.classList.add('toolbox-control-container');
+
+        const statisticsControl = document.createElement('button');
+        statisticsControl.type = 'button';
+        statisticsControl.classList.add('toolbox-control', 'hovering-label', 'notepad-statistics');
+        statisticsControl.ariaLabel = 'Statistics';
+        statisticsControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M4 11H2v3h2zm5-4H7v7h2zm5-5v12h-2V2zm-2-1a1 1 0 0 0-1 1v12a1 1 0 0 0 1 1h2a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1zM6 7a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1v7a1 1 0 0 1-1 1H7a1 1 0 0 1-1-1zm-5 4a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1v3a1 1 0 0 1-1 1H2a1 1 0 0 1-1-1z"/>
+        </svg>`;
+        statisticsControlContainer.insertAdjacentElement('beforeend', statisticsControl);
+
+        notepadControls.insertAdjacentElement('beforeend', statisticsControlContainer);
+
+        // Notepad controls - Select notes
+        const selectNotesControlContainer = document.createElement('div');
+        selectNotesControlContainer.classList.add('toolbox-control-container');
+
+        const selectNotesControl = document.createElement('button');
+        selectNotesControl.type = 'button';
+        selectNotesControl.classList.add('toolbox-control', 'hovering-label', 'select-notes');
+        selectNotesControl.ariaLabel = 'Select notes';
+        selectNotesControl.ariaPressed = 'false';
+        selectNotesControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M7 2.5a.5.5 0 0 1 .5-.5h7a.5.5 0 0 1 .5.5v1a.5.5 0 0 1-.5.5h-7a.5.5 0 0 1-.5-.5zM2 1a2 2 0 0 0-2 2v2a2 2 0 0 0 2 2h2a2 2 0 0 0 2-2V3a2 2 0 0 0-2-2zm0 8a2 2 0 0 0-2 2v2a2 2 0 0 0 2 2h2a2 2 0 0 0 2-2v-2a2 2 0 0 0-2-2zm.854-3.646a.5.5 0 0 1-.708 0l-1-1a.5.5 0 1 1 .708-.708l.646.647 1.646-1.647a.5.5 0 1 1 .708.708zm0 8a.5.5 0 0 1-.708 0l-1-1a.5.5 0 0 1 .708-.708l.646.647 1.646-1.647a.5.5 0 0 1 .708.708zM7 10.5a.5.5 0 0 1 .5-.5h7a.5.5 0 0 1 .5.5v1a.5.5 0 0 1-.5.5h-7a.5.5 0 0 1-.5-.5zm0-5a.5.5 0 0 1 .5-.5h5a.5.5 0 0 1 0 1h-5a.5.5 0 0 1-.5-.5m0 8a.5.5 0 0 1 .5-.5h5a.5.5 0 0 1 0 1h-5a.5.5 0 0 1-.5-.5"/>
+        </svg>`;
+        selectNotesControlContainer.insertAdjacentElement('beforeend', selectNotesControl);
+
+        notepadControls.insertAdjacentElement('beforeend', selectNotesControlContainer);
+
+        // Notepad controls - Theme
+        const themeControlContainer = document.createElement('div');
+        themeControlContainer.classList.add('toolbox-control-container');
+
+        const themeControl = document.createElement('button');
+        themeControl.type = 'button';
+        themeControl.classList.add('toolbox-control', 'hovering-label', 'notepad-theme');
+        themeControl.ariaLabel = 'Theme';
+        themeControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M8 15A7 7 0 1 0 8 1zm0 1A8 8 0 1 1 8 0a8 8 0 0 1 0 16"/>
+        </svg>`;
+        themeControlContainer.insertAdjacentElement('beforeend', themeControl);
+
+        notepadControls.insertAdjacentElement('beforeend', themeControlContainer);
+
+        // Notepad controls - Close notepad
+        const closeNotepadControlContainer = document.createElement('div');
+        closeNotepadControlContainer.classList.add('toolbox-control-container', 'edit-control');
+
+        const closeNotepadControl = document.createElement('button');
+        closeNotepadControl.type = 'button';
+        closeNotepadControl.classList.add('toolbox-control', 'hovering-label', 'close-notepad');
+        closeNotepadControl.ariaLabel = 'Close notepad';
+        closeNotepadControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M4.54.146A.5.5 0 0 1 4.893 0h6.214a.5.5 0 0 1 .353.146l4.394 4.394a.5.5 0 0 1 .146.353v6.214a.5.5 0 0 1-.146.353l-4.394 4.394a.5.5 0 0 1-.353.146H4.893a.5.5 0 0 1-.353-.146L.146 11.46A.5.5 0 0 1 0 11.107V4.893a.5.5 0 0 1 .146-.353L4.54.146zM5.1 1 1 5.1v5.8L5.1 15h5.8l4.1-4.1V5.1L10.9 1H5.1z"/>
+            <path d="M4.646 4.646a.5.5 0 0 1 .708 0L8 7.293l2.646-2.647a.5.5 0 0 1 .708.708L8.707 8l2.647 2.646a.5.5 0 0 1-.708.708L8 8.707l-2.646 2.647a.5.5 0 0 1-.708-.708L7.293 8 4.646 5.354a.5.5 0 0 1 0-.708z"/>
+        </svg>`;
+        closeNotepadControlContainer.insertAdjacentElement('beforeend', closeNotepadControl);
+
+        notepadControls.insertAdjacentElement('beforeend', closeNotepadControlContainer);
+
+        // Notepad controls - Undo
+        const undoControlContainer = document.createElement('div');
+        undoControlContainer.classList.add('toolbox-control-container', 'edit-control');
+
+        const undoControl = document.createElement('button');
+        undoControl.type = 'button';
+        undoControl.classList.add('toolbox-control', 'hovering-label', 'undo');
+        undoControl.ariaLabel = 'Undo';
+        undoControl.disabled = true;
+        undoControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path fill-rule="evenodd" d="M8 3a5 5 0 1 1-4.546 2.914.5.5 0 0 0-.908-.417A6 6 0 1 0 8 2z"/>
+            <path d="M8 4.466V.534a.25.25 0 0 0-.41-.192L5.23 2.308a.25.25 0 0 0 0 .384l2.36 1.966A.25.25 0 0 0 8 4.466"/>
+        </svg>`;
+        undoControlContainer.insertAdjacentElement('beforeend', undoControl);
+
+        notepadControls.insertAdjacentElement('beforeend', undoControlContainer);
+
+        // Notepad controls - Redo
+        const redoControlContainer = document.createElement('div');
+        redoControlContainer.classList.add('toolbox-control-container', 'edit-control');
+
+        const redoControl = document.createElement('button');
+        redoControl.type = 'button';
+        redoControl.classList.add('toolbox-control', 'hovering-label', 'redo');
+        redoControl.ariaLabel = 'Redo';
+        redoControl.disabled = true;
+        redoControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path fill-rule="evenodd" d="M8 3a5 5 0 1 0 4.546 2.914.5.5 0 0 1 .908-.417A6 6 0 1 1 8 2z"/>
+            <path d="M8 4.466V.534a.25.25 0 0 1 .41-.192l2.36 1.966c.12.1.12.284 0 .384L8.41 4.658A.25.25 0 0 1 8 4.466"/>
+        </svg>`;
+        redoControlContainer.insertAdjacentElement('beforeend', redoControl);
+
+        notepadControls.insertAdjacentElement('beforeend', redoControlContainer);
+
+        // Notepad controls - Command palette
+        const commandPaletteControlContainer = document.createElement('div');
+        commandPaletteControlContainer.classList.add('toolbox-control-container');
+
+        const commandPaletteControl = document.createElement('button');
+        commandPaletteControl.type = 'button';
+        commandPaletteControl.classList.add('toolbox-control', 'hovering-label', 'command-palette-control');
+        commandPaletteControl.ariaLabel = 'Commands (Ctrl+K)';
+        commandPaletteControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
+            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
+            <path d="M3.5 2A1.5 1.5 0 0 1 5 3.5V5H3.5a1.5 1.5 0 1 1 0-3M6 5V3.5A2.5 2.5 0 1 0 3.5 6H5v4H3.5A2.5 2.5 0 1 0 6 12.5V11h4v1.5a2.5 2.5 0 1 0 2.5-2.5H11V6h1.5A2.5 2.5 0 1 0 10 3.5V5zm4 1v4H6V6zm1-1V3.5A1.5 1.5 0 1 1 12.5 5zm0 6h1.5a1.5 1.5 0 1 1-1.5 1.5zm-6 0v1.5A1.5 1.5 0 1 1 3.5 11z"/>
+        </svg>`;
+        commandPaletteControlContainer.insertAdjacentElement('beforeend', commandPaletteControl);
+
+        notepadControls.insertAdjacentElement('beforeend', commandPaletteControlContainer);
+
+        // Notepad controls - Close notepad - Confirmation dialog
+        const closeNotepad = () => {
+            this.clear(true);
+        };
+
+        this.#addConfirmationDialog(closeNotepad, 'Close', 'Close notepad?', ['close-notepad-dialog'], document.body);
+
+        // Notepad controls - Event listeners
+
+        // Event listeners - Add note
+        newNoteControl.addEventListener('click', (event) => {
+            this.addNote(undefined, this.#notesContainer);
+        });
+
+        // Event listeners - Notepads
+        notepadsControl.addEventListener('click', (event) => {
+            this.#updateNotepadsList(notepadsDialog);
+            notepadsDialog.showModal();
+        });
+
+        // Event listeners - Import notepad
+        importNotepadControl.addEventListener('click', (event) => {
+            this.importNotepad();
+        });
+
+        // Event listeners - Open file
+        openFileControl.addEventListener('click', (event) => {
+            this.openFile();
+        });
+
+        // Event listeners - Save file
+        saveFileControl.addEventListener('click', (event) => {
+            this.saveFile();
+        });
+
+        // Event listeners - Export notepad
+        exportNotepadControl.addEventListener('click', (event) => {
+            exportNotepadDialog.showModal();
+        });
+
+        // Event listeners - Statistics
+        statisticsControl.addEventListener('click', (event) => {
+            this.#showStatisticsDialog();
+        });
+
+        // Event listeners - Close notepad - Confirmation dialog
+        closeNotepadControl.addEventListener('click', (event) => {
+            const closeNotepadDialog = document.body.querySelector('.close-notepad-dialog');
+            closeNotepadDialog.showModal();
+        });
+
+        // Event listeners - Undo
+        undoControl.addEventListener('click', (event) => {
+            this.undo();
+        });
+
+        // Event listeners - Redo
+        redoControl.addEventListener('click', (event) => {
+            this.redo();
+        });
+
+        // Event listeners - Select notes
+        selectNotesControl.addEventListener('click', (event) => {
+            this.setSelectionMode(!this.#isSelecting);
+        });
+
+        // Event listeners - Theme
+        themeControl.addEventListener('click', (event) => {
+            this.#showThemesDialog();
+        });
+
+        // Event listeners - Command palette
+        commandPaletteControl.addEventListener('click', (event) => {
+            this.#showCommandPalette();
+        });
+
+        return notepadControls;
+    }
+
+    /**
+     * Add the header to the DOM and enable event listeners.
+     *
+     * @param {String} notepadTitle The name of the notepad.
+     * @param {Boolean} showTime If true, display the current time in the header.
+     *
+     * @returns The HTML element representing the header.
+     */
+    #createHeader(notepadTitle = this.#defaults.notepadTitle, showTime = true) {
+        const header = document.createElement('header');
+
+        // Header - Branding
+        const branding = document.createElement('div');
+        branding.classList.add('header-element', 'branding');
+        branding.innerHTML = this.#defaults.branding.logo;
+
+        header.insertAdjacentElement('beforeend', branding);
+
+        // Header - Notepad title
+        const title = document.createElement('h1');
+        title.contentEditable = 'plaintext-only';
+        title.classList.add('editable', 'notepad-title');
+        title.innerText = notepadTitle;
+
+        header.insertAdjacentElement('beforeend', title);
+
+        // Header - Notepad title - Update document's title
+        this.#updateDocumentTitle(title.innerText);
+
+        // ... Update document's title when the notepad title's textContent changes.
+        const observerOptions = { characterData: false, attributes: false, childList: true, subtree: false };
+        const observer = new MutationObserver(() => {
+            this.#updateDocumentTitle(title.innerText);
+        });
+        observer.observe(title, observerOptions);
+
+        // ... Update document's title when new text is typed in the notepad title.
+        title.addEventListener('input', (event) => {
+            this.#updateDocumentTitle(event.target.innerText);
+
+            this.#scheduleSave();
+        });
+
+        // Header - Time
+        const time = document.createElement('div');
+        time.classList.add('header-element', 'time');
+
+        header.insertAdjacentElement('beforeend', time);
+
+        // Show current time (update every second).
+        if (showTime) {
+            setInterval(() => {
+                time.textContent = utilities.getCurrentTime();
+            }, 1000);
+        }
+
+        // Header - Bar
+        const headerBar = document.createElement('div');
+        headerBar.classList.add('header-bar');
+
+        header.insertAdjacentElement('beforeend', headerBar);
+
+        // Header - Bar - Search
+        const search = document.createElement('div');
+        search.classList.add('notepad-search');
+
+        const searchInput = document.createElement('input');
+        searchInput.type = 'search';
+        searchInput.classList.add('search-input');
+        searchInput.placeholder = 'Search notes';
+        searchInput.ariaLabel = 'Search notes';
+        search.insertAdjacentElement('beforeend', searchInput);
+
+        const caseSensitiveOption = this.#createSearchOption('Aa', 'Match case', 'case-sensitive-option');
+        search.insertAdjacentElement('beforeend', caseSensitiveOption);
+
+        const wholeWordOption = this.#createSearchOption('Word', 'Whole word', 'whole-word-option');
+        search.insertAdjacentElement('beforeend', wholeWordOption);
+
+        const searchCounter = document.createElement('span');
+        searchCounter.classList.add('search-counter');
+        searchCounter.ariaLive = 'polite';
+        search.insertAdjacentElement('beforeend', searchCounter);
+
+        headerBar.insertAdjacentElement('beforeend', search);
+
+        // ... Search the notes while the query is typed.
+        searchInput.addEventListener('input', (event) => {
+            this.#searchNotes({ query: searchInput.value });
+        });
+
+        // ... Clear the search with the Escape key.
+        searchInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                searchInput.value = '';
+                this.#searchNotes({ query: '' });
+            }
+        });
+
+        caseSensitiveOption.querySelector('input').addEventListener('change', (event) => {
+            this.#searchNotes({ caseSensitive: event.target.checked });
+        });
+
+        wholeWordOption.querySelector('input').addEventListener('change', (event) => {
+            this.#searchNotes({ wholeWord: event.target.checked });
+        });
+
+        // Header - Bar - File (see #updateFileStatus())
+        const fileStatus = document.createElement('span');
+        fileStatus.classList.add('file-status');
+        fileStatus.ariaLive = 'polite';
+        fileStatus.hidden = true;
+
+        headerBar.insertAdjacentElement('beforeend', fileStatus);
+
+        // Header - Bar - Language (see #setNotepadLanguage())
+        const languageSelect = document.createElement('select');
+        languageSelect.classList.add('notepad-language');
+        languageSelect.ariaLabel = 'Language of the notes';
+
+        const automaticLanguageOption = document.createElement('option');
+        automaticLanguageOption.value = '';
+        automaticLanguageOption.innerText = 'Browser language';
+        languageSelect.insertAdjacentElement('beforeend', automaticLanguageOption);
+
+        const languageOptions = utilities.getReadingLanguages().map((language) => this.#createLanguageOption(language));
+
+        languageOptions.sort((a, b) => a.innerText.localeCompare(b.innerText));
+        languageOptions.forEach((option) => languageSelect.insertAdjacentElement('beforeend', option));
+
+        headerBar.insertAdjacentElement('beforeend', languageSelect);
+
+        // ... Count words and reading times in the chosen language.
+        languageSelect.addEventListener('change', (event) => {
+            this.#setNotepadLanguage(languageSelect.value);
+            this.#scheduleSave();
+        });
+
+        // Header - Bar - Color filter (see #updateColorFilter())
+        const colorFilter = document.createElement('select');
+        colorFilter.classList.add('color-filter');
+        colorFilter.ariaLabel = 'Show the notes with the color';
+        colorFilter.hidden = true;
+
+        headerBar.insertAdjacentElement('beforeend', colorFilter);
+
+        // ... Show only the notes with the selected color.
+        colorFilter.addEventListener('change', (event) => {
+            this.#colorFilter = colorFilter.value;
+            this.#updateColorFilter();
+        });
+
+        // Header - Bar - Tags (see #updateTagBar())
+        const tagBar = document.createElement('div');
+        tagBar.classList.add('tag-bar');
+        tagBar.hidden = true;
+
+        const tagFilters = document.createElement('div');
+        tagFilters.classList.add('tag-filters');
+        tagBar.insertAdjacentElement('beforeend', tagFilters);
+
+        const tagMatching = document.createElement('select');
+        tagMatching.classList.add('tag-matching');
+        tagMatching.ariaLabel = 'Show the notes with';
+
+        for (const [value, label] of [
+            ['any', 'Any tag (OR)'],
+            ['all', 'All tags (AND)'],
+        ]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.innerText = label;
+            tagMatching.insertAdjacentElement('beforeend', option);
+        }
+
+        tagBar.insertAdjacentElement('beforeend', tagMatching);
+
+        headerBar.insertAdjacentElement('beforeend', tagBar);
+
+        // ... Select or deselect a tag to filter the notes.
+        tagFilters.addEventListener('click', (event) => {
+            const tagFilter = event.target.closest('.tag-filter');
+
+            if (tagFilter) {
+                const tag = tagFilter.dataset.tag;
+
+                if (this.#tagFilter.tags.has(tag)) {
+                    this.#tagFilter.tags.delete(tag);
+                } else {
+                    this.#tagFilter.tags.add(tag);
+                }
+
+                this.#updateTagBar();
+            }
+        });
+
+        tagMatching.addEventListener('change', (event) => {
+            this.#tagFilter.matching = tagMatching.value;
+            this.#updateTagBar();
+        });
+
+        // Header - Bar - Selection (see setSelectionMode() and #updateSelectionBar())
+        const selectionBar = document.createElement('div');
+        selectionBar.classList.add('selection-bar');
+        selectionBar.hidden = true;
+
+        const selectionCount = document.createElement('span');
+        selectionCount.classList.add('selection-count');
+        selectionCount.ariaLive = 'polite';
+        selectionBar.insertAdjacentElement('beforeend', selectionCount);
+
+        const createSelectionButton = (label, customClasses) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.innerText = label;
+            button.classList.add('selection-button', ...customClasses);
+
+            selectionBar.insertAdjacentElement('beforeend', button);
+
+            return button;
+        };
+
+        const selectAllButton = createSelectionButton('Select all', ['select-all-notes']);
+        const copyButton = createSelectionButton('Copy', ['selection-action', 'copy-notes']);
+        const exportButton = createSelectionButton('Export\u2026', ['selection-action', 'export-notes']);
+        const moveButton = createSelectionButton('Move to\u2026', ['selection-action', 'move-notes', 'edit-control']);
+        const colorButton = createSelectionButton('Color\u2026', ['selection-action', 'color-notes', 'edit-control']);
+        const mergeButton = createSelectionButton('Merge', ['selection-action', 'merge-notes', 'edit-control']);
+        const deleteButton = createSelectionButton('Delete', ['selection-action', 'delete-notes', 'edit-control']);
+        const doneButton = createSelectionButton('Done', ['finish-selection']);
+
+        headerBar.insertAdjacentElement('beforeend', selectionBar);
+
+        // ... Select all the notes shown, i.e. those matching the search and the filters.
+        selectAllButton.addEventListener('click', (event) => {
+            const shownNoteIDs = [...this.#notesContainer.querySelectorAll('.note:not(.note-filtered)')].map(
+                (note) => note.id
+            );
+
+            this.selectNotes(shownNoteIDs);
+        });
+
+        // ... Copy the titles and the texts of the selected notes, one after the other.
+        copyButton.addEventListener('click', (event) => {
+            const notesText = this.getSelectedNoteIDs()
+                .map((noteID) => this.getNote(noteID))
+                .map((note) => note.title + '\n\n' + note.content)
+                .join('\n\n');
+
+            this.#copyText(copyButton, notesText);
+        });
+
+        exportButton.addEventListener('click', (event) => {
+            this.#showNotesExportDialog(this.getSelectedNoteIDs());
+        });
+
+        moveButton.addEventListener('click', (event) => {
+            this.#showMoveNotesDialog(this.getSelectedNoteIDs());
+        });
+
+        colorButton.addEventListener('click', (event) => {
+            this.#showAccentColorDialog(this.getSelectedNoteIDs());
+        });
+
+        mergeButton.addEventListener('click', (event) => {
+            this.mergeNotes(this.getSelectedNoteIDs());
+        });
+
+        deleteButton.addEventListener('click', (event) => {
+            document.body.querySelector('.delete-notes-dialog').showModal();
+        });
+
+        doneButton.addEventListener('click', (event) => {
+            this.setSelectionMode(false);
+        });
+
+        // ... Confirm the deletion of the selected notes.
+        const deleteSelectedNotes = () => {
+            this.deleteNotes(this.getSelectedNoteIDs());
+        };
+
+        this.#addConfirmationDialog(
+            deleteSelectedNotes,
+            'Delete',
+            'Delete the selected notes?',
+            ['delete-notes-dialog'],
+            document.body
+        );
+
+        return header;
+    }
+
+    /**
+     * Create a toggle to change an option of the search.
+     *
+     * @param {String} label The text of the toggle.
+     * @param {String} description The description of the option, shown when hovering the toggle.
+     * @param {String} customClass The class identifying the option.
+     *
+     * @returns The HTML element representing the toggle.
+     */
+    #createSearchOption(label, description, customClass) {
+        const option = document.createElement('label');
+        option.classList.add('search-option', 'hovering-label', customClass);
+        option.ariaLabel = description;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        option.insertAdjacentElement('beforeend', checkbox);
+
+        const text = document.createElement('span');
+        text.innerText = label;
+        option.insertAdjacentElement('beforeend', text);
+
+        return option;
+    }
+
+    /**
+     * Add the footer to the DOM and enable event listeners.
+     *
+     * @param {String} footerContent The text to be displayed in the footer.
+     *
+     * @returns The HTML element representing the footer.
+     */
+    #createFooter(footerContent = this.#defaults.footerCredits) {
+        const footer = document.createElement('footer');
+        footer.innerHTML = footerContent;
+
+        return footer;
+    }
+
+    /**
+     * Create a dialog to confirm and action before taking it.
+     *
+     * @param {Element} targetElement The element where to insert the element representing the dialog.
+     * @param {Function} action The action to be triggered when it is confirmed by the user.
+     * @param {String} actionLabel The label to be use in the control.
+     * @param {String} message A message to explain the action.
+     * @param {Array} customClasses Classes to be used to customise the dialog.
+     *
+     * @returns The HTML element representing the dialog.
+     */
+    #createConfirmationDialog(action, actionLabel = 'OK', message = 'Action confirmation', customClasses = []) {
+        // Add dialog to the DOM.
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog');
+        dialog.classList.add(...customClasses);
+
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
+
+        const dialogHeaderBody = document.createElement('h3');
+        dialogHeaderBody.innerText = message;
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
+
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
+
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
+
+        const confirmButton = document.createElement('button');
+        confirmButton.innerText = actionLabel;
+        confirmButton.classList.add('dialog-button', 'dialog-button-confirm');
+        dialogFooter.insertAdjacentElement('beforeend', confirmButton);
+
+        const cancelButton = document.createElement('button');
+        cancelButton.innerText = 'Cancel';
+        cancelButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', cancelButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
+
+        // Close notepad
+        confirmButton.addEventListener('click', (event) => {
+            action();
+            dialog.close();
+        });
+
+        // Cancel
+        cancelButton.addEventListener('click', (event) => {
+            dialog.close();
+        });
+
+        return dialog;
+    }
+
+    /**
+     * Create the dialog to choose the format of the exported notepad.
+     *
+     * @returns The HTML element representing the dialog.
+     */
+    #createExportDialog() {
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'export-notepad-dialog');
+
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
+
+        const dialogHeaderBody = document.createElement('h3');
+        dialogHeaderBody.innerText = 'Export notepad as';
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
+
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
+
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
+
+        const formats = [
+            { fileFormat: 'json', label: 'JSON' },
+            { fileFormat: 'markdown', label: 'Markdown' },
+            { fileFormat: 'html', label: 'HTML' },
+            { fileFormat: 'docx', label: 'Word (DOCX)' },
+        ];
+
+        for (const { fileFormat, label } of formats) {
+            const formatButton = document.createElement('button');
+            formatButton.innerText = label;
+            formatButton.classList.add('dialog-button', 'dialog-button-action');
+            dialogFooter.insertAdjacentElement('beforeend', formatButton);
+
+            formatButton.addEventListener('click', (event) => {
+                this.exportNotepad(fileFormat);
+                dialog.close();
+            });
+        }
+
+        const printButton = document.createElement('button');
+        printButton.innerText = 'Print or PDF';
+        printButton.classList.add('dialog-button', 'dialog-button-action');
+        dialogFooter.insertAdjacentElement('beforeend', printButton);
+
+        // The dialog is closed first, so that it is not printed.
+        printButton.addEventListener('click', (event) => {
+            dialog.close();
+            this.printNotepad();
+        });
+
+        const cancelButton = document.createElement('button');
+        cancelButton.innerText = 'Cancel';
+        cancelButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', cancelButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
+
+        // Cancel
+        cancelButton.addEventListener('click', (event) => {
+            dialog.close();
+        });
+
+        return dialog;
+    }
+
+    /**
+     * Show a dialog to choose the format of an exported note.
+     *
+     * @param {String} noteID The DOM id of the note.
+     */
+    #showNoteExportDialog(noteID) {
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'export-note-dialog');
+
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
+
+        const dialogHeaderBody = document.createElement('h3');
+        dialogHeaderBody.innerText = 'Export note as';
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
+
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
+
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
+
+        const formats = [
+            { fileFormat: 'text', label: 'Text' },
+            { fileFormat: 'html', label: 'HTML' },
+            { fileFormat: 'docx', label: 'Word (DOCX)' },
+        ];
+
+        for (const { fileFormat, label } of formats) {
+            const formatButton = document.createElement('button');
+            formatButton.innerText = label;
+            formatButton.classList.add('dialog-button', 'dialog-button-action');
+            dialogFooter.insertAdjacentElement('beforeend', formatButton);
+
+            formatButton.addEventListener('click', (event) => {
+                this.exportNote(noteID, fileFormat);
+                dialog.close();
+            });
+        }
+
+        const printButton = document.createElement('button');
+        printButton.innerText = 'Print or PDF';
+        printButton.classList.add('dialog-button', 'dialog-button-action');
+        dialogFooter.insertAdjacentElement('beforeend', printButton);
+
+        const cancelButton = document.createElement('button');
+        cancelButton.innerText = 'Cancel';
+        cancelButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', cancelButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
+
+        // The dialog is closed first, so that it is not printed.
+        printButton.addEventListener('click', (event) => {
+            dialog.close();
+            this.printNote(noteID);
+        });
+
+        // Cancel
+        cancelButton.addEventListener('click', (event) => {
+            dialog.close();
+        });
+
+        // The dialog is created for a single note.
+        dialog.addEventListener('close', (event) => {
+            dialog.remove();
+        });
+
+        document.body.insertAdjacentElement('beforeend', dialog);
+
+        dialog.showModal();
+    }
+
+    /**
+     * Show a dialog to choose the format of the selected notes, exported as a notepad.
+     *
+     * @param {Array} noteIDs The DOM ids of the notes.
+     */
+    #showNotesExportDialog(noteIDs) {
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'export-notes-dialog');
+
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
+
+        const dialogHeaderBody = document.createElement('h3');
+        dialogHeaderBody.innerText =
+            noteIDs.length === 1 ? 'Export 1 note as' : 'Export ' + noteIDs.length + ' notes as';
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
+
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
+
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
+
+        const formats = [
+            { fileFormat: 'json', label: 'JSON' },
+            { fileFormat: 'markdown', label: 'Markdown' },
+            { fileFormat: 'html', label: 'HTML' },
+            { fileFormat: 'docx', label: 'Word (DOCX)' },
+        ];
+
+        for (const { fileFormat, label } of formats) {
+            const formatButton = document.createElement('button');
+            formatButton.innerText = label;
+            formatButton.classList.add('dialog-button', 'dialog-button-action');
+            dialogFooter.insertAdjacentElement('beforeend', formatButton);
+
+            formatButton.addEventListener('click', (event) => {
+                this.exportNotes(noteIDs, fileFormat);
+                dialog.close();
+            });
+        }
+
+        const cancelButton = document.createElement('button');
+        cancelButton.innerText = 'Cancel';
+        cancelButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', cancelButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
+
+        // Cancel
+        cancelButton.addEventListener('click', (event) => {
+            dialog.close();
+        });
+
+        // The dialog is created for the notes selected when it is opened.
+        dialog.addEventListener('close', (event) => {
+            dialog.remove();
+        });
+
+        document.body.insertAdjacentElement('beforeend', dialog);
+
+        dialog.showModal();
+    }
+
+    /**
+     * Show a dialog to move the selected notes to a new position, next to each other.
+     *
+     * @param {Array} noteIDs The DOM ids of the notes.
+     */
+    #showMoveNotesDialog(noteIDs) {
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'move-notes-dialog');
+
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
+
+        const dialogHeaderBody = document.createElement('h3');
+        dialogHeaderBody.innerText = noteIDs.length === 1 ? 'Move 1 note' : 'Move ' + noteIDs.length + ' notes';
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
+
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
+
+        // Dialog body - The new position of the first note, among the notes not being moved
+        const dialogBody = document.createElement('form');
+        dialogBody.classList.add('dialog-body');
+
+        const positionField = document.createElement('label');
+        positionField.classList.add('dialog-field');
+        positionField.insertAdjacentText('beforeend', 'To position');
+
+        const positionInput = document.createElement('input');
+        positionInput.type = 'number';
+        positionInput.name = 'position';
+        positionInput.min = 1;
+        positionInput.max = this.#notesIndex.size - noteIDs.length + 1;
+        positionInput.value = document.getElementById(noteIDs[0]).dataset.noteIndex;
+        positionField.insertAdjacentElement('beforeend', positionInput);
+
+        dialogBody.insertAdjacentElement('beforeend', positionField);
+
+        dialog.insertAdjacentElement('beforeend', dialogBody);
+
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
+
+        const moveButton = document.createElement('button');
+        moveButton.innerText = 'Move';
+        moveButton.classList.add('dialog-button', 'dialog-button-action');
+        dialogFooter.insertAdjacentElement('beforeend', moveButton);
+
+        const cancelButton = document.createElement('button');
+        cancelButton.innerText = 'Cancel';
+        cancelButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', cancelButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
+
+        // Move (positions out of range are moved to the first or the last one, see moveNotes())
+        const moveNotes = () => {
+            const newIndex = parseInt(positionInput.value);
+
+            if (!isNaN(newIndex)) {
+                this.moveNotes(noteIDs, newIndex);
+            }
+
+            dialog.close();
+        };
+
+        moveButton.addEventListener('click', (event) => {
+            moveNotes();
+        });
+
+        // ... also with the Enter key.
+        dialogBody.addEventListener('submit', (event) => {
+            event.preventDefault();
+            moveNotes();
+        });
+
+        // Cancel
+        cancelButton.addEventListener('click', (event) => {
+            dialog.close();
+        });
+
+        dialog.addEventListener('close', (event) => {
+            dialog.remove();
+        });
+
+        document.body.insertAdjacentElement('beforeend', dialog);
+
+        dialog.showModal();
+    }
+
+    /**
+     * Show a dialog to choose how to import a notepad.
+     *
+     * @param {Object} importedNotepadObject The notepad to be imported (see exportNotepad() for its format).
+     */
+    #showImportDialog(importedNotepadObject) {
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'import-notepad-dialog');
+
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
+
+        const dialogHeaderBody = document.createElement('h3');
+        const notesNumber = importedNotepadObject.notes.length;
+        dialogHeaderBody.innerText = 'Import ' + notesNumber + (notesNumber === 1 ? ' note?' : ' notes?');
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
+
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
+
+        // Dialog body - Options
+        const dialogBody = document.createElement('form');
+        dialogBody.classList.add('dialog-body', 'import-options');
+
+        dialogBody.insertAdjacentElement(
+            'beforeend',
+            this.#createDialogOptions('Notes', 'import-mode', [
+                { value: 'replace', label: 'Replace the current notepad' },
+                { value: 'merge', label: 'Add to the current notepad' },
+            ])
+        );
+
+        dialogBody.insertAdjacentElement(
+            'beforeend',
+            this.#createDialogOptions('Notes already in the notepad', 'import-duplicates', [
+                { value: 'rename', label: 'Import as new notes' },
+                { value: 'skip', label: 'Skip' },
+            ])
+        );
+
+        dialog.insertAdjacentElement('beforeend', dialogBody);
+
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
+
+        const confirmButton = document.createElement('button');
+        confirmButton.innerText = 'Import';
+        confirmButton.classList.add('dialog-button', 'dialog-button-confirm');
+        dialogFooter.insertAdjacentElement('beforeend', confirmButton);
+
+        const cancelButton = document.createElement('button');
+        cancelButton.innerText = 'Cancel';
+        cancelButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', cancelButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
+
+        // Import
+        confirmButton.addEventListener('click', (event) => {
+            const mode = dialogBody.elements['import-mode'].value;
+            const duplicates = dialogBody.elements['import-duplicates'].value;
+
+            this.#applyImport(importedNotepadObject, mode, duplicates);
+            dialog.close();
+        });
+
+        // Cancel
+        cancelButton.addEventListener('click', (event) => {
+            dialog.close();
+        });
+
+        // The dialog is created for a single import.
+        dialog.addEventListener('close', (event) => {
+            dialog.remove();
+        });
+
+        document.body.insertAdjacentElement('beforeend', dialog);
+
+        dialog.showModal();
+    }
+
+    /**
+     * Show a dialog listing the snapshots of a note, with the changes between each snapshot and the current content.
+     *
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
+     */
+    #showNoteHistoryDialog(noteID) {
+        const note = document.getElementById(noteID);
+        const noteTitle = note.querySelector('.note-title').textContent;
+
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'note-history-dialog');
+
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
+
+        const dialogHeaderBody = document.createElement('h3');
+        dialogHeaderBody.innerText = 'History of "' + noteTitle + '"';
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
+
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
+
+        // Dialog body
+        const dialogBody = document.createElement('form');
+        dialogBody.classList.add('dialog-body', 'note-history');
+
+        // Dialog body - Snapshots (newest first)
+        const versionsList = document.createElement('select');
+        versionsList.classList.add('note-versions');
+        versionsList.size = 8;
+        versionsList.ariaLabel = 'Versions';
+        dialogBody.insertAdjacentElement('beforeend', versionsList);
+
+        // Dialog body - Changes
+        const diffContainer = document.createElement('div');
+        diffContainer.classList.add('note-version-diff-container');
+
+        const diffGranularity = this.#createDialogOptions('Compare with the current text by', 'diff-granularity', [
+            { value: 'word', label: 'Words' },
+            { value: 'line', label: 'Lines' },
+        ]);
+        diffContainer.insertAdjacentElement('beforeend', diffGranularity);
+
+        const diff = document.createElement('pre');
+        diff.classList.add('note-version-diff');
+        diffContainer.insertAdjacentElement('beforeend', diff);
+
+        dialogBody.insertAdjacentElement('beforeend', diffContainer);
+
+        dialog.insertAdjacentElement('beforeend', dialogBody);
+
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
+
+        const saveButton = document.createElement('button');
+        saveButton.innerText = 'Save version';
+        saveButton.classList.add('dialog-button', 'dialog-button-action');
+        dialogFooter.insertAdjacentElement('beforeend', saveButton);
+
+        const restoreButton = document.createElement('button');
+        restoreButton.innerText = 'Restore';
+        restoreButton.classList.add('dialog-button', 'dialog-button-confirm');
+        dialogFooter.insertAdjacentElement('beforeend', restoreButton);
+
+        // Snapshots can only be viewed while the notepad is read-only.
+        saveButton.hidden = this.#isReadOnly;
+        restoreButton.hidden = this.#isReadOnly;
+
+        const closeButton = document.createElement('button');
+        closeButton.innerText = 'Close';
+        closeButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', closeButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
+
+        // Fill the list of snapshots, selecting the newest one.
+        const updateVersionsList = () => {
+            versionsList.replaceChildren();
+
+            const noteVersions = this.#noteVersions.get(noteID) || [];
+
+            noteVersions.forEach((version, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.innerText = new Date(version.timestamp).toLocaleString();
+                versionsList.insertAdjacentElement('afterbegin', option);
+            });
+
+            versionsList.selectedIndex = 0;
+            restoreButton.disabled = noteVersions.length === 0;
+
+            updateDiff();
+        };
+
+        // Show the changes from the selected snapshot to the current content.
+        const updateDiff = () => {
+            diff.replaceChildren();
+
+            const version = (this.#noteVersions.get(noteID) || [])[versionsList.value];
+
+            if (!version) {
+                diff.innerText = 'No versions saved yet.';
+
+                return;
+            }
+
+            const currentContent = note.querySelector('.note-text').textContent;
+            const granularity = dialogBody.elements['diff-granularity'].value;
+
+            for (const part of versions.diffText(version.content, currentContent, granularity)) {
+                const span = document.createElement('span');
+                span.classList.add('diff-' + part.type);
+                span.textContent = part.text;
+                diff.insertAdjacentElement('beforeend', span);
+            }
+        };
+
+        updateVersionsList();
+
+        // Event listeners
+        versionsList.addEventListener('change', updateDiff);
+        diffGranularity.addEventListener('change', updateDiff);
+
+        // Save version
+        saveButton.addEventListener('click', (event) => {
+            this.#saveNoteVersion(noteID);
+            updateVersionsList();
+        });
+
+        // Restore
+        restoreButton.addEventListener('click', (event) => {
+            const version = (this.#noteVersions.get(noteID) || [])[versionsList.value];
+
+            if (version) {
+                this.#restoreNoteVersion(noteID, version);
+                dialog.close();
+            }
+        });
+
+        // Close
+        closeButton.addEventListener('click', (event) => {
+            dialog.close();
+        });
+
+        // The dialog is created for a single note.
+        dialog.addEventListener('close', (event) => {
+            dialog.remove();
+        });
+
+        document.body.insertAdjacentElement('beforeend', dialog);
+
+        dialog.showModal();
+    }
+
+    /**
+     * Create a group of radio buttons for a dialog. The first option is selected.
+     *
+     * @param {String} legend The description of the group.
+     * @param {String} name The name shared by the radio buttons.
+     * @param {Array} options The options, as objects with a value and a label: [{ value, label }].
+     *
+     * @returns The HTML element representing the group.
+     */
+    #createDialogOptions(legend, name, options) {
+        const fieldset = document.createElement('fieldset');
+        fieldset.classList.add('dialog-options');
+
+        const fieldsetLegend = document.createElement('legend');
+        fieldsetLegend.innerText = legend;
+        fieldset.insertAdjacentElement('beforeend', fieldsetLegend);
+
+        options.forEach(({ value, label }, index) => {
+            const optionLabel = document.createElement('label');
+
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = name;
+            radio.value = value;
+            radio.checked = index === 0;
+            optionLabel.insertAdjacentElement('beforeend', radio);
+
+            optionLabel.insertAdjacentText('beforeend', ' ' + label);
+
+            fieldset.insertAdjacentElement('beforeend', optionLabel);
+        });
+
+        return fieldset;
+    }
+
+    /**
+     * Show a dialog to set, change or remove the writing target of a note.
+     *
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
+     */
+    #showNoteTargetDialog(noteID) {
+        const note = document.getElementById(noteID);
+        const currentTarget = note.dataset.target ? JSON.parse(note.dataset.target) : null;
+
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'note-target-dialog');
+
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
+
+        const dialogHeaderBody = document.createElement('h3');
+        dialogHeaderBody.innerText = 'Target: ' + note.querySelector('.note-title').textContent;
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
+
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
+
+        // Dialog body - Options
+        const dialogBody = document.createElement('form');
+        dialogBody.classList.add('dialog-body', 'note-target-options');
+
+        dialogBody.insertAdjacentElement(
+            'beforeend',
+            this.#createDialogOptions('Length in', 'target-unit', [
+                { value: 'words', label: 'Words' },
+                { value: 'characters', label: 'Characters' },
+            ])
+        );
+
+        const createField = (label, name, type) => {
+            const fieldLabel = document.createElement('label');
+            fieldLabel.classList.add('dialog-field');
+            fieldLabel.insertAdjacentText('beforeend', label);
+
+            const input = document.createElement('input');
+            input.type = type;
+            input.name = name;
+            fieldLabel.insertAdjacentElement('beforeend', input);
+
+            dialogBody.insertAdjacentElement('beforeend', fieldLabel);
+
+            return input;
+        };
+
+        const minInput = createField('Minimum', 'target-min', 'number');
+        minInput.min = 0;
+
+        const maxInput = createField('Maximum', 'target-max', 'number');
+        maxInput.min = 0;
+
+        const deadlineInput = createField('Deadline', 'target-deadline', 'date');
+
+        if (currentTarget) {
+            dialogBody.elements['target-unit'].value = currentTarget.unit;
+            minInput.value = currentTarget.min !== null ? currentTarget.min : '';
+            maxInput.value = currentTarget.max !== null ? currentTarget.max : '';
+            deadlineInput.value = currentTarget.deadline || '';
+        }
+
+        dialog.insertAdjacentElement('beforeend', dialogBody);
+
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
+
+        const saveButton = document.createElement('button');
+        saveButton.innerText = 'Save';
+        saveButton.classList.add('dialog-button', 'dialog-button-action');
+        dialogFooter.insertAdjacentElement('beforeend', saveButton);
+
+        if (currentTarget) {
+            const removeButton = document.createElement('button');
+            removeButton.innerText = 'Remove';
+            removeButton.classList.add('dialog-button', 'dialog-button-confirm');
+            dialogFooter.insertAdjacentElement('beforeend', removeButton);
+
+            // Remove
+            removeButton.addEventListener('click', (event) => {
+                this.updateNote(noteID, { target: null });
+                dialog.close();
+            });
+        }
+
+        const cancelButton = document.createElement('button');
+        cancelButton.innerText = 'Cancel';
+        cancelButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', cancelButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
+
+        // Save
+        saveButton.addEventListener('click', (event) => {
+            const min = minInput.value === '' ? null : parseInt(minInput.value);
+            const max = maxInput.value === '' ? null : parseInt(maxInput.value);
+
+            maxInput.setCustomValidity(
+                min !== null && max !== null && min > max ? 'The maximum must be greater than the minimum.' : ''
+            );
+
+            if (!dialogBody.reportValidity()) {
+                return;
+            }
+
+            // A target with neither a length nor a deadline is removed.
+            const hasTarget = min !== null || max !== null || deadlineInput.value;
+
+            const target = {
+                unit: dialogBody.elements['target-unit'].value,
+                min: min,
+                max: max,
+                deadline: deadlineInput.value || null,
+            };
+
+            this.updateNote(noteID, { target: hasTarget ? target : null });
+            dialog.close();
+        });
+
+        // Cancel
+        cancelButton.addEventListener('click', (event) => {
+            dialog.close();
+        });
+
+        // The dialog is created for a single note.
+        dialog.addEventListener('close', (event) => {
+            dialog.remove();
+        });
+
+        document.body.insertAdjacentElement('beforeend', dialog);
+
+        dialog.showModal();
+    }
+
+    /**
+     * Show a dialog with the statistics of the whole notepad, i.e. of the text of all its notes.
+     */
+    #showStatisticsDialog() {
+        const notes = [...this.#notesContainer.querySelectorAll('.note')];
+
+        // The notes are separate paragraphs.
+        const notepadText = notes.map((note) => note.querySelector('.note-text').textContent).join('\n\n');
+
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'statistics-dialog');
+
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
+
+        const dialogHeaderBody = document.createElement('h3');
+        dialogHeaderBody.innerText = 'Notepad statistics';
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
+
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
+
+        // Dialog body
+        const dialogBody = document.createElement('div');
+        dialogBody.classList.add('dialog-body');
+
+        const statistics = utilities.getTextStatistics(notepadText, this.#getNotepadLanguage());
+
+        const statisticsList = this.#createStatisticsList(statistics, [['Notes', notes.length]]);
+        dialogBody.insertAdjacentElement('beforeend', statisticsList);
+
+        dialog.insertAdjacentElement('beforeend', dialogBody);
+
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
+
+        const closeButton = document.createElement('button');
+        closeButton.innerText = 'Close';
+        closeButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', closeButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
+
+        // Close
+        closeButton.addEventListener('click', (event) => {
+            dialog.close();
+        });
+
+        // The statistics are computed each time the dialog is opened.
+        dialog.addEventListener('close', (event) => {
+            dialog.remove();
+        });
+
+        document.body.insertAdjacentElement('beforeend', dialog);
+
+        dialog.showModal();
+    }
+
+    /**
+     * Show a dialog to choose the accent color of one or more notes, from the palette or any other color.
+     *
+     * @param {Array} noteIDs The DOM ids of the notes.
+     */
+    #showAccentColorDialog(noteIDs) {
+        const colors = noteIDs.map(
+            (noteID) => document.getElementById(noteID).querySelector('.note-title-container').dataset.accentColor || ''
+        );
+
+        // The color shown as the current one, if all the notes have it.
+        const currentColor = colors.every((color) => color === colors[0]) ? colors[0] : null;
+
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'accent-color-dialog');
+
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
+
+        const dialogHeaderBody = document.createElement('h3');
+        dialogHeaderBody.innerText =
+            noteIDs.length === 1 ? 'Accent color' : 'Accent color of ' + noteIDs.length + ' notes';
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
+
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
+
+        // Dialog body - The colors of the palette, after "no color"
+        const dialogBody = document.createElement('div');
+        dialogBody.classList.add('dialog-body');
+
+        const swatches = document.createElement('div');
+        swatches.classList.add('color-swatches');
+
+        const theme = this.#getTheme();
+
+        for (const { color, label } of [{ color: '', label: 'No color' }, ...this.#palette]) {
+            const swatch = document.createElement('button');
+            swatch.type = 'button';
+            swatch.classList.add('color-swatch');
+            swatch.dataset.color = color;
+            swatch.ariaPressed = color === currentColor ? 'true' : 'false';
+
+            const swatchColor = document.createElement('span');
+            swatchColor.classList.add('color-swatch-color');
+            swatchColor.style.backgroundColor = themes.getAccentDisplayColor(color, theme);
+            swatch.insertAdjacentElement('beforeend', swatchColor);
+
+            const swatchLabel = document.createElement('span');
+            swatchLabel.innerText = label || color;
+            swatch.insertAdjacentElement('beforeend', swatchLabel);
+
+            swatches.insertAdjacentElement('beforeend', swatch);
+        }
+
+        dialogBody.insertAdjacentElement('beforeend', swatches);
+
+        // Dialog body - Any other color
+        const customColor = document.createElement('label');
+        customColor.classList.add('dialog-field');
+        customColor.innerText = 'Other color';
+
+        const customColorInput = document.createElement('input');
+        customColorInput.type = 'color';
+        customColorInput.name = 'custom-color';
+        customColorInput.value = currentColor && currentColor.length === 7 ? currentColor : '#ffffff';
+        customColor.insertAdjacentElement('beforeend', customColorInput);
+
+        dialogBody.insertAdjacentElement('beforeend', customColor);
+
+        dialog.insertAdjacentElement('beforeend', dialogBody);
+
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
+
+        const paletteButton = document.createElement('button');
+        paletteButton.innerText = 'Edit palette';
+        paletteButton.classList.add('dialog-button', 'dialog-button-action');
+        dialogFooter.insertAdjacentElement('beforeend', paletteButton);
+
+        const closeButton = document.createElement('button');
+        closeButton.innerText = 'Close';
+        closeButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', closeButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
+
+        // Apply a color of the palette.
+        swatches.addEventListener('click', (event) => {
+            const swatch = event.target.closest('.color-swatch');
+
+            if (swatch) {
+                this.changeNotesAccentColor(noteIDs, swatch.dataset.color);
+                dialog.close();
+            }
+        });
+
+        // Apply the color chosen with the color picker, once it is confirmed.
+        customColorInput.addEventListener('change', (event) => {
+            this.changeNotesAccentColor(noteIDs, customColorInput.value);
+            dialog.close();
+        });
+
+        paletteButton.addEventListener('click', (event) => {
+            dialog.close();
+            this.#showPaletteDialog();
+        });
+
+        // Close
+        closeButton.addEventListener('click', (event) => {
+            dialog.close();
+        });
+
+        dialog.addEventListener('close', (event) => {
+            dialog.remove();
+        });
+
+        document.body.insertAdjacentElement('beforeend', dialog);
+
+        dialog.showModal();
+    }
+
+    /**
+     * Show a dialog to add, remove, reorder and label the colors of the palette.
+     */
+    #showPaletteDialog() {
+        // The colors being edited, applied to the palette when saved.
+        const paletteColors = this.#palette.map((paletteColor) => ({ ...paletteColor }));
+
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'palette-dialog');
+
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
+
+        const dialogHeaderBody = document.createElement('h3');
+        dialogHeaderBody.innerText = 'Color palette';
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
+
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
+
+        // Dialog body - One row for each color.
+        const dialogBody = document.createElement('div');
+        dialogBody.classList.add('dialog-body');
+
+        const paletteList = document.createElement('ul');
+        paletteList.classList.add('notepads-list', 'palette-list');
+        dialogBody.insertAdjacentElement('beforeend', paletteList);
+
+        const addColorButton = document.createElement('button');
+        addColorButton.type = 'button';
+        addColorButton.classList.add('notepads-list-control', 'add-palette-color');
+        addColorButton.innerText = 'Add color';
+        dialogBody.insertAdjacentElement('beforeend', addColorButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogBody);
+
+        const updatePaletteList = () => {
+            paletteList.replaceChildren();
+
+            paletteColors.forEach((paletteColor, index) => {
+                const item = document.createElement('li');
+                item.classList.add('notepads-list-item', 'palette-list-item');
+
+                const colorInput = document.createElement('input');
+                colorInput.type = 'color';
+                colorInput.value = paletteColor.color.length === 7 ? paletteColor.color : '#ffffff';
+                colorInput.ariaLabel = 'Color';
+                item.insertAdjacentElement('beforeend', colorInput);
+
+                const labelInput = document.createElement('input');
+                labelInput.type = 'text';
+                labelInput.classList.add('notepads-list-title', 'palette-list-label');
+                labelInput.value = paletteColor.label;
+                labelInput.placeholder = 'Label, e.g. Urgent';
+                labelInput.ariaLabel = 'Label';
+                item.insertAdjacentElement('beforeend', labelInput);
+
+                const moveUpButton = document.createElement('button');
+                moveUpButton.type = 'button';
+                moveUpButton.classList.add('notepads-list-control');
+                moveUpButton.innerText = '\u2191';
+                moveUpButton.ariaLabel = 'Move up';
+                moveUpButton.disabled = index === 0;
+                item.insertAdjacentElement('beforeend', moveUpButton);
+
+                const moveDownButton = document.createElement('button');
+                moveDownButton.type = 'button';
+                moveDownButton.classList.add('notepads-list-control');
+                moveDownButton.innerText = '\u2193';
+                moveDownButton.ariaLabel = 'Move down';
+                moveDownButton.disabled = index === paletteColors.length - 1;
+                item.insertAdjacentElement('beforeend', moveDownButton);
+
+                const removeButton = document.createElement('button');
+                removeButton.type = 'button';
+                removeButton.classList.add('notepads-list-control');
+                removeButton.innerText = 'Remove';
+                item.insertAdjacentElement('beforeend', removeButton);
+
+                colorInput.addEventListener('input', (event) => {
+                    paletteColor.color = colorInput.value;
+                });
+
+                labelInput.addEventListener('input', (event) => {
+                    paletteColor.label = labelInput.value;
+                });
+
+                moveUpButton.addEventListener('click', (event) => {
+                    paletteColors.splice(index - 1, 0, ...paletteColors.splice(index, 1));
+                    updatePaletteList();
+                });
+
+                moveDownButton.addEventListener('click', (event) => {
+                    paletteColors.splice(index + 1, 0, ...paletteColors.splice(index, 1));
+                    updatePaletteList();
+                });
+
+                removeButton.addEventListener('click', (event) => {
+                    paletteColors.splice(index, 1);
+                    updatePaletteList();
+                });
+
+                paletteList.insertAdjacentElement('beforeend', item);
+            });
+        };
+
+        updatePaletteList();
+
+        addColorButton.addEventListener('click', (event) => {
+            paletteColors.push({ color: '#ffffff', label: '' });
+            updatePaletteList();
+
+            paletteList.lastElementChild.querySelector('input').focus();
+        });
+
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
+
+        const saveButton = document.createElement('button');
+        saveButton.innerText = 'Save';
+        saveButton.classList.add('dialog-button', 'dialog-button-action');
+        dialogFooter.insertAdjacentElement('beforeend', saveButton);
+
+        const cancelButton = document.createElement('button');
+        cancelButton.innerText = 'Cancel';
+        cancelButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', cancelButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
+
+        // Save - Colors listed twice are kept once, with the first label. Notes keep their color even if it is removed.
+        saveButton.addEventListener('click', (event) => {
+            const previousPalette = this.#palette;
+
+            const newPalette = paletteColors.filter((paletteColor, index) => {
+                return paletteColors.findIndex((otherColor) => otherColor.color === paletteColor.color) === index;
+            });
+
+            this.#setPalette(newPalette);
+
+            const savedPalette = this.#palette;
+
+            this.#history.record({
+                label: 'Change color palette',
+                undo: () => {
+                    this.#setPalette(previousPalette);
+                    this.#scheduleSave();
+                },
+                redo: () => {
+                    this.#setPalette(savedPalette);
+                    this.#scheduleSave();
+                },
+            });
+
+            this.#scheduleSave();
+
+            dialog.close();
+        });
+
+        // Cancel
+        cancelButton.addEventListener('click', (event) => {
+            dialog.close();
+        });
+
+        dialog.addEventListener('close', (event) => {
+            dialog.remove();
+        });
+
+        document.body.insertAdjacentElement('beforeend', dialog);
+
+        dialog.showModal();
+    }
+
+    /**
+     * Get the theme currently applied.
+     *
+     * @returns {Object} The theme (see themes.js for its format). The light theme if the chosen theme does not exist.
+     */
+    #getTheme() {
+        const themeID = this.#themeSettings.theme === 'system' ? themes.getSystemTheme() : this.#themeSettings.theme;
+
+        const allThemes = [...themes.builtInThemes, ...this.#themeSettings.customThemes];
+
+        return allThemes.find((theme) => theme.id === themeID) || themes.builtInThemes[0];
+    }
+
+    /**
+     * Apply the chosen theme to the page, and remap the accent colors of the notes to it.
+     */
+    #applyTheme() {
+        const theme = this.#getTheme();
+
+        themes.applyTheme(theme);
+
+        document.querySelectorAll('.note-title-container').forEach((titleContainer) => {
+            const accentColor = titleContainer.dataset.accentColor;
+
+            titleContainer.style.backgroundColor = themes.getAccentDisplayColor(accentColor, theme) || 'inherit';
+        });
+    }
+
+    /**
+     * Change the theme settings, save them and apply the chosen theme.
+     *
+     * @param {Object} themeSettings The settings to be changed: { theme, customThemes } (see storage.js).
+     */
+    #updateThemeSettings(themeSettings) {
+        this.#themeSettings = { ...this.#themeSettings, ...themeSettings };
+
+        storage.saveThemeSettings(this.#themeSettings);
+
+        this.#applyTheme();
+    }
+
+    /**
+     * Show a dialog to choose the theme, and to create, import, export or delete custom themes.
+     */
+    #showThemesDialog() {
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'themes-dialog');
+
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
+
+        const dialogHeaderBody = document.createElement('h3');
+        dialogHeaderBody.innerText = 'Theme';
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
+
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
+
+        // Dialog body
+        const dialogBody = document.createElement('div');
+        dialogBody.classList.add('dialog-body');
+
+        dialog.insertAdjacentElement('beforeend', dialogBody);
+
+        // The dialog is rebuilt whenever a custom theme is added or removed.
+        const updateDialogBody = () => {
+            dialogBody.replaceChildren();
+
+            // Theme - The chosen theme is applied straight away.
+            const themeOptions = this.#createDialogOptions('Theme', 'theme', [
+                { value: 'system', label: 'Same as the system' },
+                ...themes.builtInThemes.map((theme) => ({ value: theme.id, label: theme.name })),
+                ...this.#themeSettings.customThemes.map((theme) => ({ value: theme.id, label: theme.name })),
+            ]);
+
+            themeOptions.querySelectorAll('input').forEach((radio) => {
+                radio.checked = radio.value === this.#themeSettings.theme;
+
+                radio.addEventListener('change', (event) => {
+                    this.#updateThemeSettings({ theme: radio.value });
+                    updateDialogBody();
+                });
+            });
+
+            dialogBody.insertAdjacentElement('beforeend', themeOptions);
+
+            // Custom themes - Export or delete
+            if (this.#themeSettings.customThemes.length > 0) {
+                const customThemesList = document.createElement('ul');
+                customThemesList.classList.add('notepads-list', 'custom-themes-list');
+
+                for (const theme of this.#themeSettings.customThemes) {
+                    const item = document.createElement('li');
+                    item.classList.add('notepads-list-item');
+
+                    const name = document.createElement('span');
+                    name.classList.add('custom-theme-name');
+                    name.innerText = theme.name;
+                    item.insertAdjacentElement('beforeend', name);
+
+                    const exportButton = document.createElement('button');
+                    exportButton.type = 'button';
+                    exportButton.classList.add('notepads-list-control');
+                    exportButton.innerText = 'Export';
+                    item.insertAdjacentElement('beforeend', exportButton);
+
+                    const deleteButton = document.createElement('button');
+                    deleteButton.type = 'button';
+                    deleteButton.classList.add('notepads-list-control');
+                    deleteButton.innerText = 'Delete';
+                    item.insertAdjacentElement('beforeend', deleteButton);
+
+                    exportButton.addEventListener('click', (event) => {
+                        const { id, ...exportedTheme } = theme;
+
+                        const filename = utilities.getSafeFilename(theme.name, 'theme').replace(/\s+/g, '-');
+
+                        utilities.downloadFile(
+                            JSON.stringify(exportedTheme),
+                            filename.toLowerCase() + '.theme.json',
+                            'application/json'
+                        );
+                    });
+
+                    // The theme is deleted without confirmation: it can be imported again if it was exported.
+                    deleteButton.addEventListener('click', (event) => {
+                        const customThemes = this.#themeSettings.customThemes.filter((customTheme) => {
+                            return customTheme.id !== theme.id;
+                        });
+
+                        this.#updateThemeSettings({
+                            theme: this.#themeSettings.theme === theme.id ? 'system' : this.#themeSettings.theme,
+                            customThemes: customThemes,
+                        });
+
+                        updateDialogBody();
+                    });
+
+                    customThemesList.insertAdjacentElement('beforeend', item);
+                }
+
+                dialogBody.insertAdjacentElement('beforeend', customThemesList);
+            }
+
+            // New theme - Starts from the colors of the current theme.
+            const newTheme = document.createElement('fieldset');
+            newTheme.classList.add('dialog-options', 'new-theme');
+
+            const newThemeLegend = document.createElement('legend');
+            newThemeLegend.innerText = 'New theme, based on the current one';
+            newTheme.insertAdjacentElement('beforeend', newThemeLegend);
+
+            const createField = (labelText, input) => {
+                const label = document.createElement('label');
+                label.classList.add('dialog-field');
+                label.insertAdjacentText('beforeend', labelText);
+                label.insertAdjacentElement('beforeend', input);
 
-        // Note toolbox - Controls - Change accent color
-        const changeAccentColorContainer = document.createElement('div');
-        changeAccentColorContainer.classList.add('note-control-container');
+                newTheme.insertAdjacentElement('beforeend', label);
+            };
 
-        const changeAccentColorControl = document.createElement('button');
-        changeAccentColorControl.type = 'button';
-        changeAccentColorControl.classList.add('note-control', 'hovering-label', 'change-accent-color');
-        changeAccentColorControl.ariaLabel = 'Accent color';
-        changeAccentColorControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
-            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
-            <path fill-rule="evenodd" d="M7.21.8C7.69.295 8 0 8 0c.109.363.234.708.371 1.038.812 1.946 2.073 3.35 3.197 4.6C12.878 7.096 14 8.345 14 10a6 6 0 0 1-12 0C2 6.668 5.58 2.517 7.21.8zm.413 1.021A31.25 31.25 0 0 0 5.794 3.99c-.726.95-1.436 2.008-1.96 3.07C3.304 8.133 3 9.138 3 10a5 5 0 0 0 10 0c0-1.201-.796-2.157-2.181-3.7l-.03-.032C9.75 5.11 8.5 3.72 7.623 1.82z"/>
-            <path fill-rule="evenodd" d="M4.553 7.776c.82-1.641 1.717-2.753 2.093-3.13l.708.708c-.29.29-1.128 1.311-1.907 2.87l-.894-.448z"/>
-        </svg>`;
-        changeAccentColorContainer.insertAdjacentElement('beforeend', changeAccentColorControl);
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.name = 'theme-name';
+            nameInput.required = true;
+            createField('Name', nameInput);
 
-        controls.insertAdjacentElement('beforeend', changeAccentColorContainer);
+            const currentStyle = getComputedStyle(document.documentElement);
 
-        // Note toolbox - Controls - Delete note
-        const deleteNoteContainer = document.createElement('div');
-        deleteNoteContainer.classList.add('note-control-container');
+            const colorInputs = Object.entries(themes.themeColors).map(([colorName, themeColor]) => {
+                const colorInput = document.createElement('input');
+                colorInput.type = 'color';
+                colorInput.name = colorName;
+                colorInput.value = currentStyle.getPropertyValue(themeColor.property).trim() || '#000000';
+                createField(themeColor.label, colorInput);
 
-        const deleteNoteControl = document.createElement('button');
-        deleteNoteControl.type = 'button';
-        deleteNoteControl.classList.add('note-control', 'hovering-label', 'delete-note');
-        deleteNoteControl.ariaLabel = 'Delete note';
-        deleteNoteControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
-            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
-            <path d="M6.5 1h3a.5.5 0 0 1 .5.5v1H6v-1a.5.5 0 0 1 .5-.5ZM11 2.5v-1A1.5 1.5 0 0 0 9.5 0h-3A1.5 1.5 0 0 0 5 1.5v1H2.506a.58.58 0 0 0-.01 0H1.5a.5.5 0 0 0 0 1h.538l.853 10.66A2 2 0 0 0 4.885 16h6.23a2 2 0 0 0 1.994-1.84l.853-10.66h.538a.5.5 0 0 0 0-1h-.995a.59.59 0 0 0-.01 0H11Zm1.958 1-.846 10.58a1 1 0 0 1-.997.92h-6.23a1 1 0 0 1-.997-.92L3.042 3.5h9.916Zm-7.487 1a.5.5 0 0 1 .528.47l.5 8.5a.5.5 0 0 1-.998.06L5 5.03a.5.5 0 0 1 .47-.53Zm5.058 0a.5.5 0 0 1 .47.53l-.5 8.5a.5.5 0 1 1-.998-.06l.5-8.5a.5.5 0 0 1 .528-.47ZM8 4.5a.5.5 0 0 1 .5.5v8.5a.5.5 0 0 1-1 0V5a.5.5 0 0 1 .5-.5Z"/>
-        </svg>`;
-        deleteNoteContainer.insertAdjacentElement('beforeend', deleteNoteControl);
+                // Preview the color while it is being chosen.
+                colorInput.addEventListener('input', (event) => {
+                    document.documentElement.style.setProperty(themeColor.property, colorInput.value);
+                });
 
-        controls.insertAdjacentElement('beforeend', deleteNoteContainer);
+                return colorInput;
+            });
 
-        // Note toolbox - Controls - Move note
-        const moveNoteContainer = document.createElement('div');
-        moveNoteContainer.classList.add('note-control-container');
+            const saveThemeButton = document.createElement('button');
+            saveThemeButton.type = 'button';
+            saveThemeButton.classList.add('notepads-list-control', 'save-theme');
+            saveThemeButton.innerText = 'Save theme';
+            newTheme.insertAdjacentElement('beforeend', saveThemeButton);
 
-        const moveNoteWrap = document.createElement('div');
-        moveNoteWrap.classList.add('note-control', 'hovering-label', 'move-note');
-        moveNoteWrap.ariaLabel = 'Move note';
+            saveThemeButton.addEventListener('click', (event) => {
+                if (!nameInput.value.trim()) {
+                    nameInput.reportValidity();
 
-        const moveNoteControl = document.createElement('input');
-        moveNoteControl.type = 'number';
-        moveNoteControl.min = 1;
-        moveNoteControl.max = noteIndex;
-        moveNoteControl.classList.add('note-index', 'editable');
-        moveNoteControl.ariaLabel = 'Note index';
-        moveNoteWrap.insertAdjacentElement('beforeend', moveNoteControl);
+                    return;
+                }
 
-        moveNoteContainer.insertAdjacentElement('beforeend', moveNoteWrap);
+                const currentTheme = this.#getTheme();
 
-        controls.insertAdjacentElement('beforeend', moveNoteContainer);
+                const theme = {
+                    id: 'custom-' + Date.now(),
+                    name: nameInput.value.trim(),
+                    base: currentTheme.base,
+                    colors: Object.fromEntries(colorInputs.map((colorInput) => [colorInput.name, colorInput.value])),
+                };
 
-        toolbox.insertAdjacentElement('beforeend', insights);
-        toolbox.insertAdjacentElement('beforeend', controls);
+                if (currentTheme.accentColors) {
+                    theme.accentColors = currentTheme.accentColors;
+                }
 
-        note.insertAdjacentElement('beforeend', toolbox);
+                this.#updateThemeSettings({
+                    theme: theme.id,
+                    customThemes: [...this.#themeSettings.customThemes, theme],
+                });
 
-        // Event listeners
+                updateDialogBody();
+            });
 
-        // Input events
-        text.addEventListener(
-            'input',
-            (event) => {
-                const noteID = event.target.closest('.note').id;
-                this.#runNoteCounters(noteID);
-            },
-            false
-        );
+            dialogBody.insertAdjacentElement('beforeend', newTheme);
+        };
 
-        // Event listeners - Copy text
-        copyTextControl.addEventListener('click', (event) => {
-            this.#copyNoteText(event.target);
+        updateDialogBody();
+
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
+
+        const importButton = document.createElement('button');
+        importButton.innerText = 'Import theme';
+        importButton.classList.add('dialog-button', 'dialog-button-action');
+        dialogFooter.insertAdjacentElement('beforeend', importButton);
+
+        const closeButton = document.createElement('button');
+        closeButton.innerText = 'Close';
+        closeButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', closeButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
+
+        // Import a theme exported from this or another browser.
+        importButton.addEventListener('click', (event) => {
+            const temporaryInput = document.createElement('input');
+
+            temporaryInput.type = 'file';
+            temporaryInput.accept = 'application/json,.json';
+
+            temporaryInput.onchange = async (event) => {
+                const file = temporaryInput.files.item(0);
+
+                if (!file) {
+                    return;
+                }
+
+                let theme;
+
+                try {
+                    theme = JSON.parse(await file.text());
+                } catch (error) {
+                    this.#showMessageDialog('The theme cannot be imported', [
+                        '"' + file.name + '" is not a valid JSON theme file: ' + error.message,
+                    ]);
+
+                    return;
+                }
+
+                const errors = themes.validateTheme(theme);
+
+                if (errors.length > 0) {
+                    this.#showMessageDialog('The theme cannot be imported', errors);
+
+                    return;
+                }
+
+                const importedTheme = { ...theme, id: 'custom-' + Date.now() };
+
+                this.#updateThemeSettings({
+                    theme: importedTheme.id,
+                    customThemes: [...this.#themeSettings.customThemes, importedTheme],
+                });
+
+                updateDialogBody();
+            };
+
+            temporaryInput.click();
+
+            temporaryInput.remove();
         });
 
-        // Event listeners - Download note
-        downloadNoteControl.addEventListener('click', (event) => {
-            this.#downloadNote(event.target);
+        // Close
+        closeButton.addEventListener('click', (event) => {
+            dialog.close();
         });
 
-        // Event listeners - Change accent color
-        changeAccentColorControl.addEventListener('click', (event) => {
-            const noteID = event.target.closest('.note').id;
-            this.changeNoteAccentColor(noteID);
+        // Colors previewed but not saved are discarded.
+        dialog.addEventListener('close', (event) => {
+            this.#applyTheme();
+
+            dialog.remove();
         });
 
-        // Event listeners - Delete note
-        deleteNoteControl.addEventListener('click', (event) => {
-            const deleteNoteDialog = event.target.closest('.note').querySelector('.delete-note-dialog');
-            deleteNoteDialog.showModal();
+        document.body.insertAdjacentElement('beforeend', dialog);
+
+        dialog.showModal();
+    }
+
+    /**
+     * Add the actions of the notepad and of the notes to the commands that can be run with keyboard shortcuts or from
+     * the command palette. Most commands click the matching control, so that they behave in the same way.
+     */
+    #registerCommands() {
+        const clickToolboxControl = (controlClass) => {
+            this.#toolboxContainer.querySelector('.' + controlClass).click();
+        };
+
+        const clickNoteControl = (noteID, controlClass) => {
+            document.getElementById(noteID).querySelector('.' + controlClass).click();
+        };
+
+        // Notepad commands
+        this.#commands.register({
+            id: 'command-palette',
+            label: 'Command palette',
+            shortcut: 'Ctrl+K',
+            readOnly: true,
+            run: () => this.#showCommandPalette(),
         });
 
-        // Add delete note's confirmation dialog.
-        const deleteNote = () => {
-            if (noteID) {
-                this.deleteNote(noteID);
+        this.#commands.register({
+            id: 'add-note',
+            label: 'Add note',
+            shortcut: 'Alt+Shift+N',
+            run: () => clickToolboxControl('add-note'),
+        });
+
+        this.#commands.register({
+            id: 'search-notes',
+            label: 'Search notes',
+            shortcut: 'Alt+Shift+F',
+            readOnly: true,
+            run: () => this.#headerContainer.querySelector('.search-input').focus(),
+        });
+
+        this.#commands.register({
+            id: 'notepads',
+            label: 'Notepads',
+            shortcut: 'Alt+Shift+O',
+            run: () => clickToolboxControl('notepads'),
+        });
+
+        this.#commands.register({
+            id: 'import-notepad',
+            label: 'Import notepad',
+            run: () => clickToolboxControl('import-notepad'),
+        });
+
+        this.#commands.register({
+            id: 'open-file',
+            label: 'Open file\u2026',
+            shortcut: 'Ctrl+O',
+            run: () => this.openFile(),
+        });
+
+        this.#commands.register({
+            id: 'save-file',
+            label: 'Save file',
+            shortcut: 'Ctrl+S',
+            readOnly: true,
+            run: () => this.saveFile(),
+        });
+
+        this.#commands.register({
+            id: 'save-file-as',
+            label: 'Save file as\u2026',
+            shortcut: 'Ctrl+Shift+S',
+            readOnly: true,
+            run: () => this.saveFileAs(),
+        });
+
+        this.#commands.register({
+            id: 'export-notepad',
+            label: 'Export notepad',
+            shortcut: 'Alt+Shift+E',
+            readOnly: true,
+            run: () => clickToolboxControl('export-notepad'),
+        });
+
+        this.#commands.register({
+            id: 'print-notepad',
+            label: 'Print notepad',
+            readOnly: true,
+            run: () => this.printNotepad(),
+        });
+
+        this.#commands.register({
+            id: 'notepad-statistics',
+            label: 'Notepad statistics',
+            shortcut: 'Alt+Shift+S',
+            readOnly: true,
+            run: () => clickToolboxControl('notepad-statistics'),
+        });
+
+        this.#commands.register({
+            id: 'color-palette',
+            label: 'Color palette',
+            run: () => this.#showPaletteDialog(),
+        });
+
+        this.#commands.register({
+            id: 'notepad-theme',
+            label: 'Theme',
+            readOnly: true,
+            run: () => this.#showThemesDialog(),
+        });
+
+        this.#commands.register({
+            id: 'close-notepad',
+            label: 'Close notepad',
+            run: () => clickToolboxControl('close-notepad'),
+        });
+
+        this.#commands.register({
+            id: 'undo',
+            label: 'Undo',
+            shortcut: 'Ctrl+Z',
+            whileEditing: false,
+            isAvailable: () => Boolean(this.#history.nextUndo),
+            run: () => this.undo(),
+        });
+
+        this.#commands.register({
+            id: 'redo',
+            label: 'Redo',
+            shortcut: 'Ctrl+Shift+Z',
+            whileEditing: false,
+            isAvailable: () => Boolean(this.#history.nextRedo),
+            run: () => this.redo(),
+        });
+
+        this.#commands.register({
+            id: 'keyboard-shortcuts',
+            label: 'Keyboard shortcuts',
+            readOnly: true,
+            run: () => this.#showShortcutsDialog(),
+        });
+
+        // Selection commands
+        const clickSelectionControl = (controlClass) => {
+            this.#headerContainer.querySelector('.selection-bar .' + controlClass).click();
+        };
+
+        const hasSelectedNotes = (count = 1) => this.#isSelecting && this.getSelectedNoteIDs().length >= count;
+
+        this.#commands.register({
+            id: 'select-notes',
+            label: 'Select notes',
+            shortcut: 'Alt+Shift+L',
+            readOnly: true,
+            run: () => clickToolboxControl('select-notes'),
+        });
+
+        this.#commands.register({
+            id: 'select-all-notes',
+            label: 'Select all notes',
+            readOnly: true,
+            run: () => clickSelectionControl('select-all-notes'),
+        });
+
+        this.#commands.register({
+            id: 'copy-selected-notes',
+            label: 'Copy selected notes',
+            readOnly: true,
+            isAvailable: () => hasSelectedNotes(),
+            run: () => clickSelectionControl('copy-notes'),
+        });
+
+        this.#commands.register({
+            id: 'export-selected-notes',
+            label: 'Export selected notes',
+            readOnly: true,
+            isAvailable: () => hasSelectedNotes(),
+            run: () => clickSelectionControl('export-notes'),
+        });
+
+        this.#commands.register({
+            id: 'move-selected-notes',
+            label: 'Move selected notes',
+            isAvailable: () => hasSelectedNotes(),
+            run: () => clickSelectionControl('move-notes'),
+        });
+
+        this.#commands.register({
+            id: 'color-selected-notes',
+            label: 'Accent color of selected notes',
+            isAvailable: () => hasSelectedNotes(),
+            run: () => clickSelectionControl('color-notes'),
+        });
+
+        this.#commands.register({
+            id: 'merge-selected-notes',
+            label: 'Merge selected notes',
+            isAvailable: () => hasSelectedNotes(2),
+            run: () => clickSelectionControl('merge-notes'),
+        });
+
+        this.#commands.register({
+            id: 'delete-selected-notes',
+            label: 'Delete selected notes',
+            isAvailable: () => hasSelectedNotes(),
+            run: () => clickSelectionControl('delete-notes'),
+        });
+
+        // Note commands
+        this.#commands.register({
+            id: 'copy-text',
+            label: 'Copy text',
+            scope: 'note',
+            shortcut: 'Alt+Shift+C',
+            readOnly: true,
+            run: (noteID) => clickNoteControl(noteID, 'copy-text'),
+        });
+
+        this.#commands.register({
+            id: 'download-note',
+            label: 'Export note',
+            scope: 'note',
+            shortcut: 'Alt+Shift+D',
+            readOnly: true,
+            run: (noteID) => clickNoteControl(noteID, 'downloadNote'),
+        });
+
+        this.#commands.register({
+            id: 'print-note',
+            label: 'Print note',
+            scope: 'note',
+            readOnly: true,
+            run: (noteID) => this.printNote(noteID),
+        });
+
+        this.#commands.register({
+            id: 'note-history',
+            label: 'Note history',
+            scope: 'note',
+            shortcut: 'Alt+Shift+H',
+            readOnly: true,
+            run: (noteID) => this.#showNoteHistoryDialog(noteID),
+        });
+
+        this.#commands.register({
+            id: 'note-target',
+            label: 'Writing target',
+            scope: 'note',
+            shortcut: 'Alt+Shift+T',
+            run: (noteID) => this.#showNoteTargetDialog(noteID),
+        });
+
+        this.#commands.register({
+            id: 'note-insights',
+            label: 'Show or hide insights',
+            scope: 'note',
+            shortcut: 'Alt+Shift+I',
+            readOnly: true,
+            run: (noteID) => clickNoteControl(noteID, 'insights-toggle'),
+        });
+
+        this.#commands.register({
+            id: 'markdown-mode',
+            label: 'Turn Markdown mode on or off',
+            scope: 'note',
+            shortcut: 'Alt+Shift+M',
+            run: (noteID) => clickNoteControl(noteID, 'markdown-mode'),
+        });
+
+        this.#commands.register({
+            id: 'preview-note',
+            label: 'Preview or edit',
+            scope: 'note',
+            shortcut: 'Alt+Shift+P',
+            isAvailable: (noteID) => this.#canPreviewNote(document.getElementById(noteID)),
+            readOnly: true,
+            run: (noteID) => clickNoteControl(noteID, 'preview-note'),
+        });
+
+        this.#commands.register({
+            id: 'add-tag',
+            label: 'Add tag',
+            scope: 'note',
+            shortcut: 'Alt+Shift+G',
+            run: (noteID) => document.getElementById(noteID).querySelector('.note-tag-input').focus(),
+        });
+
+        this.#commands.register({
+            id: 'change-accent-color',
+            label: 'Accent color',
+            scope: 'note',
+            shortcut: 'Alt+Shift+A',
+            run: (noteID) => this.#showAccentColorDialog([noteID]),
+        });
+
+        this.#commands.register({
+            id: 'next-accent-color',
+            label: 'Next accent color',
+            scope: 'note',
+            run: (noteID) => this.changeNoteAccentColor(noteID),
+        });
+
+        this.#commands.register({
+            id: 'move-note-up',
+            label: 'Move note up',
+            scope: 'note',
+            shortcut: 'Alt+ArrowUp',
+            run: (noteID) => this.#moveNoteByKeyboard(noteID, -1),
+        });
+
+        this.#commands.register({
+            id: 'move-note-down',
+            label: 'Move note down',
+            scope: 'note',
+            shortcut: 'Alt+ArrowDown',
+            run: (noteID) => this.#moveNoteByKeyboard(noteID, 1),
+        });
+
+        this.#commands.register({
+            id: 'delete-note',
+            label: 'Delete note',
+            scope: 'note',
+            shortcut: 'Alt+Shift+Backspace',
+            run: (noteID) => clickNoteControl(noteID, 'delete-note'),
+        });
+    }
+
+    /**
+     * Get the note on which note commands are run: the note including the focused element, or the last note focused.
+     *
+     * @returns {String|undefined} The DOM id of the note, if any.
+     */
+    #getFocusedNoteID() {
+        const focusedNote = document.activeElement ? document.activeElement.closest('.note') : null;
+
+        if (focusedNote) {
+            return focusedNote.id;
+        }
+
+        return this.#lastFocusedNoteID && document.getElementById(this.#lastFocusedNoteID)
+            ? this.#lastFocusedNoteID
+            : undefined;
+    }
+
+    /**
+     * Move a note one position up or down, keeping the focus and the caret where they were.
+     *
+     * @param {String} noteID The DOM id of the object containing the properties of the note.
+     * @param {Number} offset -1 to move the note up, 1 to move it down.
+     */
+    #moveNoteByKeyboard(noteID, offset) {
+        const note = document.getElementById(noteID);
+
+        const oldIndex = parseInt(note.dataset.noteIndex);
+        const newIndex = oldIndex + offset;
+
+        if (newIndex < 1 || newIndex > this.#notesIndex.size) {
+            return;
+        }
+
+        // Moving the note takes it out of the DOM: keep the focus and the caret where they were.
+        const focusedElement = document.activeElement;
+        const selection = window.getSelection();
+        const caret = selection.rangeCount > 0 ? [selection.focusNode, selection.focusOffset] : null;
+
+        this.moveNote(noteID, oldIndex, newIndex);
+
+        if (focusedElement) {
+            focusedElement.focus();
+        }
+
+        if (caret && note.contains(caret[0])) {
+            selection.collapse(...caret);
+        }
+
+        note.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Show the command palette, to find a command by typing part of its name and run it. Note commands are run on the
+     * focused note.
+     */
+    #showCommandPalette() {
+        const noteID = this.#getFocusedNoteID();
+        const noteTitle = noteID ? document.getElementById(noteID).querySelector('.note-title').textContent : '';
+
+        const availableCommands = this.#commands.commands.filter((command) => {
+            if (command.id === 'command-palette' || (command.scope === 'note' && !noteID)) {
+                return false;
+            }
+
+            if (this.#isReadOnly && !command.readOnly) {
+                return false;
             }
+
+            return command.isAvailable(noteID);
+        });
+
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'command-palette-dialog');
+
+        // Dialog body
+        const dialogBody = document.createElement('div');
+        dialogBody.classList.add('command-palette');
+
+        const commandInput = document.createElement('input');
+        commandInput.type = 'text';
+        commandInput.classList.add('command-palette-input');
+        commandInput.placeholder = 'Type a command';
+        commandInput.ariaLabel = 'Command';
+        commandInput.setAttribute('role', 'combobox');
+        commandInput.setAttribute('aria-controls', 'command-palette-list');
+        commandInput.setAttribute('aria-expanded', 'true');
+        dialogBody.insertAdjacentElement('beforeend', commandInput);
+
+        const commandList = document.createElement('ul');
+        commandList.id = 'command-palette-list';
+        commandList.classList.add('command-palette-list');
+        commandList.setAttribute('role', 'listbox');
+        dialogBody.insertAdjacentElement('beforeend', commandList);
+
+        dialog.insertAdjacentElement('beforeend', dialogBody);
+
+        let matchingCommands = [];
+        let selectedIndex = 0;
+
+        const selectCommand = (index) => {
+            selectedIndex = index;
+
+            [...commandList.children].forEach((item, itemIndex) => {
+                item.ariaSelected = itemIndex === index ? 'true' : 'false';
+
+                if (itemIndex === index) {
+                    commandInput.setAttribute('aria-activedescendant', item.id);
+                    item.scrollIntoView({ block: 'nearest' });
+                }
+            });
         };
 
-        this.#addConfirmationDialog(deleteNote, 'Delete', 'Delete note?', ['delete-note-dialog'], note);
+        const runCommand = (command) => {
+            dialog.close();
 
-        // Event listener - Move note
-        moveNoteControl.addEventListener(
-            'change',
-            (event) => {
-                // Update the notes index when the position of the note is changed.
-                const isNoteIndex = event.target.classList.contains('note-index');
+            command.run(noteID);
+        };
 
-                if (isNoteIndex && event.target.value) {
-                    const oldIndex = parseInt(event.target.defaultValue);
-                    const noteID = this.#notesContainer.querySelector('[data-note-index="' + oldIndex + '"]').id;
-                    const newIndex = parseInt(event.target.value);
+        // List the commands matching the query, best matches first.
+        const updateCommandList = () => {
+            matchingCommands = availableCommands
+                .map((command) => ({ command, match: commands.fuzzyMatch(command.label, commandInput.value) }))
+                .filter(({ match }) => match !== null)
+                .sort((a, b) => b.match.score - a.match.score);
+
+            commandList.replaceChildren();
+
+            matchingCommands.forEach(({ command, match }, index) => {
+                const item = document.createElement('li');
+                item.id = 'command-palette-item-' + index;
+                item.classList.add('command-palette-item');
+                item.setAttribute('role', 'option');
+
+                // Label, with the matched characters highlighted
+                const label = document.createElement('span');
+                label.classList.add('command-label');
+
+                [...command.label].forEach((character, characterIndex) => {
+                    if (match.indexes.includes(characterIndex)) {
+                        const mark = document.createElement('mark');
+                        mark.innerText = character;
+                        label.insertAdjacentElement('beforeend', mark);
+                    } else {
+                        label.insertAdjacentText('beforeend', character);
+                    }
+                });
+
+                item.insertAdjacentElement('beforeend', label);
+
+                if (command.scope === 'note') {
+                    const scope = document.createElement('span');
+                    scope.classList.add('command-scope');
+                    scope.innerText = noteTitle;
+                    item.insertAdjacentElement('beforeend', scope);
+                }
+
+                const shortcut = this.#commands.getShortcut(command.id);
+
+                if (shortcut) {
+                    const shortcutLabel = document.createElement('kbd');
+                    shortcutLabel.classList.add('command-shortcut');
+                    shortcutLabel.innerText = shortcut;
+                    item.insertAdjacentElement('beforeend', shortcutLabel);
+                }
+
+                item.addEventListener('click', (event) => {
+                    runCommand(command);
+                });
+
+                commandList.insertAdjacentElement('beforeend', item);
+            });
+
+            selectCommand(0);
+        };
+
+        commandInput.addEventListener('input', (event) => {
+            updateCommandList();
+        });
+
+        // Choose a command with the arrow keys, and run it with Enter.
+        commandInput.addEventListener('keydown', (event) => {
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+
+                if (matchingCommands.length > 0) {
+                    const offset = event.key === 'ArrowDown' ? 1 : -1;
+                    selectCommand((selectedIndex + offset + matchingCommands.length) % matchingCommands.length);
+                }
+            } else if (event.key === 'Enter') {
+                event.preventDefault();
 
-                    this.moveNote(noteID, oldIndex, newIndex);
+                if (matchingCommands[selectedIndex]) {
+                    runCommand(matchingCommands[selectedIndex].command);
                 }
-            },
-            false
-        );
+            }
+        });
 
-        return note;
+        // Close the palette by clicking outside it.
+        dialog.addEventListener('click', (event) => {
+            if (event.target === dialog) {
+                dialog.close();
+            }
+        });
+
+        // The dialog is created each time the palette is opened.
+        dialog.addEventListener('close', (event) => {
+            dialog.remove();
+        });
+
+        document.body.insertAdjacentElement('beforeend', dialog);
+
+        updateCommandList();
+
+        dialog.showModal();
+
+        commandInput.focus();
     }
 
     /**
-     * Add the toolbox to the DOM and enable event listeners.
-     *
-     * @returns The HTML element representing the toolbox.
+     * Show a dialog to change the keyboard shortcuts of the commands.
      */
-    #createToolbox() {
-        const notepadControls = document.createElement('div');
-        notepadControls.classList.add('notepad-controls');
-
-        // Notepad controls - New note
-        const newNoteControlContainer = document.createElement('div');
-        newNoteControlContainer.classList.add('toolbox-control-container');
+    #showShortcutsDialog() {
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'shortcuts-dialog');
 
-        const newNoteControl = document.createElement('button');
-        newNoteControl.type = 'button';
-        newNoteControl.classList.add('toolbox-control', 'hovering-label', 'add-note');
-        newNoteControl.ariaLabel = 'Add new note';
-        newNoteControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
-            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
-            <path d="M15.502 1.94a.5.5 0 0 1 0 .706L14.459 3.69l-2-2L13.502.646a.5.5 0 0 1 .707 0l1.293 1.293zm-1.75 2.456-2-2L4.939 9.21a.5.5 0 0 0-.121.196l-.805 2.414a.25.25 0 0 0 .316.316l2.414-.805a.5.5 0 0 0 .196-.12l6.813-6.814z" />
-            <path fill-rule="evenodd" d="M1 13.5A1.5 1.5 0 0 0 2.5 15h11a1.5 1.5 0 0 0 1.5-1.5v-6a.5.5 0 0 0-1 0v6a.5.5 0 0 1-.5.5h-11a.5.5 0 0 1-.5-.5v-11a.5.5 0 0 1 .5-.5H9a.5.5 0 0 0 0-1H2.5A1.5 1.5 0 0 0 1 2.5v11z" />
-        </svg>`;
-        newNoteControlContainer.insertAdjacentElement('beforeend', newNoteControl);
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
 
-        notepadControls.insertAdjacentElement('beforeend', newNoteControlContainer);
+        const dialogHeaderBody = document.createElement('h3');
+        dialogHeaderBody.innerText = 'Keyboard shortcuts';
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
 
-        // Notepad controls - Import notepad
-        const importNotepadControlContainer = document.createElement('div');
-        importNotepadControlContainer.classList.add('toolbox-control-container');
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
 
-        const importNotepadControl = document.createElement('button');
-        importNotepadControl.type = 'button';
-        importNotepadControl.classList.add('toolbox-control', 'hovering-label', 'import-notepad');
-        importNotepadControl.ariaLabel = 'Import notepad';
-        importNotepadControl.innerHTML = ` <svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
-            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
-            <path d="M1 3.5A1.5 1.5 0 0 1 2.5 2h2.764c.958 0 1.76.56 2.311 1.184C7.985 3.648 8.48 4 9 4h4.5A1.5 1.5 0 0 1 15 5.5v.64c.57.265.94.876.856 1.546l-.64 5.124A2.5 2.5 0 0 1 12.733 15H3.266a2.5 2.5 0 0 1-2.481-2.19l-.64-5.124A1.5 1.5 0 0 1 1 6.14V3.5zM2 6h12v-.5a.5.5 0 0 0-.5-.5H9c-.964 0-1.71-.629-2.174-1.154C6.374 3.334 5.82 3 5.264 3H2.5a.5.5 0 0 0-.5.5V6zm-.367 1a.5.5 0 0 0-.496.562l.64 5.124A1.5 1.5 0 0 0 3.266 14h9.468a1.5 1.5 0 0 0 1.489-1.314l.64-5.124A.5.5 0 0 0 14.367 7H1.633z" />
-        </svg>`;
-        importNotepadControlContainer.insertAdjacentElement('beforeend', importNotepadControl);
+        // Dialog body - One row for each command: click the shortcut, then press the new keys.
+        const dialogBody = document.createElement('ul');
+        dialogBody.classList.add('dialog-body', 'shortcuts-list');
+
+        dialog.insertAdjacentElement('beforeend', dialogBody);
+
+        const updateShortcutsList = () => {
+            dialogBody.replaceChildren();
+
+            for (const command of this.#commands.commands) {
+                const item = document.createElement('li');
+                item.classList.add('shortcuts-list-item');
+
+                const label = document.createElement('span');
+                label.classList.add('shortcuts-list-label');
+                label.innerText = command.label + (command.scope === 'note' ? ' (note)' : '');
+                item.insertAdjacentElement('beforeend', label);
+
+                const shortcut = this.#commands.getShortcut(command.id);
+
+                const recorder = document.createElement('button');
+                recorder.type = 'button';
+                recorder.classList.add('shortcut-recorder');
+                recorder.ariaLabel = 'Change the shortcut of ' + command.label;
+                recorder.innerText = shortcut || 'None';
+                item.insertAdjacentElement('beforeend', recorder);
+
+                const removeShortcutButton = document.createElement('button');
+                removeShortcutButton.type = 'button';
+                removeShortcutButton.classList.add('notepads-list-control');
+                removeShortcutButton.innerText = 'Remove';
+                removeShortcutButton.disabled = !shortcut;
+                item.insertAdjacentElement('beforeend', removeShortcutButton);
+
+                // Record the next keys pressed, Escape to cancel.
+                recorder.addEventListener('click', (event) => {
+                    recorder.innerText = 'Press the keys\u2026';
+                    recorder.classList.add('shortcut-recording');
+                });
+
+                recorder.addEventListener('keydown', (event) => {
+                    if (!recorder.classList.contains('shortcut-recording')) {
+                        return;
+                    }
 
-        notepadControls.insertAdjacentElement('beforeend', importNotepadControlContainer);
+                    const newShortcut = commands.getEventShortcut(event);
 
-        // Notepad controls - Export notepad
-        const exportNotepadControlContainer = document.createElement('div');
-        exportNotepadControlContainer.classList.add('toolbox-control-container');
+                    if (!newShortcut || (event.key === 'Tab' && newShortcut === 'Tab')) {
+                        return;
+                    }
 
-        const exportNotepadControl = document.createElement('button');
-        exportNotepadControl.type = 'button';
-        exportNotepadControl.classList.add('toolbox-control', 'hovering-label', 'export-notepad');
-        exportNotepadControl.ariaLabel = 'Export notepad';
-        exportNotepadControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
-            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
-            <path fill-rule="evenodd" d="M8 5a.5.5 0 0 1 .5.5v3.793l1.146-1.147a.5.5 0 0 1 .708.708l-2 2a.5.5 0 0 1-.708 0l-2-2a.5.5 0 1 1 .708-.708L7.5 9.293V5.5A.5.5 0 0 1 8 5z" />
-            <path d="M3 0h10a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2v-1h1v1a1 1 0 0 0 1 1h10a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H3a1 1 0 0 0-1 1v1H1V2a2 2 0 0 1 2-2z" />
-            <path d="M1 5v-.5a.5.5 0 0 1 1 0V5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0V8h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0v.5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1z" />
-        </svg>`;
-        exportNotepadControlContainer.insertAdjacentElement('beforeend', exportNotepadControl);
+                    event.preventDefault();
+                    event.stopPropagation();
 
-        notepadControls.insertAdjacentElement('beforeend', exportNotepadControlContainer);
+                    if (newShortcut !== 'Escape') {
+                        this.#commands.setShortcut(command.id, newShortcut);
+                    }
 
-        // Notepad controls - Close notepad
-        const closeNotepadControlContainer = document.createElement('div');
-        closeNotepadControlContainer.classList.add('toolbox-control-container');
+                    updateShortcutsList();
+                    dialogBody.querySelectorAll('.shortcut-recorder')[this.#commands.commands.indexOf(command)].focus();
+                });
 
-        const closeNotepadControl = document.createElement('button');
-        closeNotepadControl.type = 'button';
-        closeNotepadControl.classList.add('toolbox-control', 'hovering-label', 'close-notepad');
-        closeNotepadControl.ariaLabel = 'Close notepad';
-        closeNotepadControl.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="currentColor" class="svg-icon" viewBox="0 0 16 16" focusable="false">
-            <!-- Copyright (c) 2019-2021 The Bootstrap Authors - Licensed under the MIT License -->
-            <path d="M4.54.146A.5.5 0 0 1 4.893 0h6.214a.5.5 0 0 1 .353.146l4.394 4.394a.5.5 0 0 1 .146.353v6.214a.5.5 0 0 1-.146.353l-4.394 4.394a.5.5 0 0 1-.353.146H4.893a.5.5 0 0 1-.353-.146L.146 11.46A.5.5 0 0 1 0 11.107V4.893a.5.5 0 0 1 .146-.353L4.54.146zM5.1 1 1 5.1v5.8L5.1 15h5.8l4.1-4.1V5.1L10.9 1H5.1z"/>
-            <path d="M4.646 4.646a.5.5 0 0 1 .708 0L8 7.293l2.646-2.647a.5.5 0 0 1 .708.708L8.707 8l2.647 2.646a.5.5 0 0 1-.708.708L8 8.707l-2.646 2.647a.5.5 0 0 1-.708-.708L7.293 8 4.646 5.354a.5.5 0 0 1 0-.708z"/>
-        </svg>`;
-        closeNotepadControlContainer.insertAdjacentElement('beforeend', closeNotepadControl);
+                recorder.addEventListener('blur', (event) => {
+                    if (recorder.classList.contains('shortcut-recording')) {
+                        recorder.classList.remove('shortcut-recording');
+                        recorder.innerText = this.#commands.getShortcut(command.id) || 'None';
+                    }
+                });
 
-        notepadControls.insertAdjacentElement('beforeend', closeNotepadControlContainer);
+                removeShortcutButton.addEventListener('click', (event) => {
+                    this.#commands.setShortcut(command.id, '');
+                    updateShortcutsList();
+                });
 
-        // Notepad controls - Close notepad - Confirmation dialog
-        const closeNotepad = () => {
-            this.clear(true);
+                dialogBody.insertAdjacentElement('beforeend', item);
+            }
         };
 
-        this.#addConfirmationDialog(closeNotepad, 'Close', 'Close notepad?', ['close-notepad-dialog'], document.body);
+        updateShortcutsList();
 
-        // Notepad controls - Event listeners
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
 
-        // Event listeners - Add note
-        newNoteControl.addEventListener('click', (event) => {
-            this.addNote(undefined, this.#notesContainer);
+        const resetButton = document.createElement('button');
+        resetButton.innerText = 'Reset';
+        resetButton.classList.add('dialog-button', 'dialog-button-action');
+        dialogFooter.insertAdjacentElement('beforeend', resetButton);
+
+        const closeButton = document.createElement('button');
+        closeButton.innerText = 'Close';
+        closeButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', closeButton);
+
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
+
+        // Reset to the default shortcuts
+        resetButton.addEventListener('click', (event) => {
+            this.#commands.resetShortcuts();
+            updateShortcutsList();
         });
 
-        // Event listeners - Import notepad
-        importNotepadControl.addEventListener('click', (event) => {
-            this.importNotepad();
+        // Close
+        closeButton.addEventListener('click', (event) => {
+            dialog.close();
         });
 
-        // Event listeners - Export notepad
-        exportNotepadControl.addEventListener('click', (event) => {
-            this.exportNotepad();
+        // Escape cancels the recording of a shortcut instead of closing the dialog.
+        dialog.addEventListener('cancel', (event) => {
+            if (dialog.querySelector('.shortcut-recording')) {
+                event.preventDefault();
+            }
         });
 
-        // Event listeners - Close notepad - Confirmation dialog
-        closeNotepadControl.addEventListener('click', (event) => {
-            const closeNotepadDialog = document.body.querySelector('.close-notepad-dialog');
-            closeNotepadDialog.showModal();
+        dialog.addEventListener('close', (event) => {
+            dialog.remove();
         });
 
-        return notepadControls;
+        document.body.insertAdjacentElement('beforeend', dialog);
+
+        dialog.showModal();
     }
 
     /**
-     * Add the header to the DOM and enable event listeners.
-     *
-     * @param {String} notepadTitle The name of the notepad.
-     * @param {Boolean} showTime If true, display the current time in the header.
+     * Show a dialog with a message, e.g. to report an error.
      *
-     * @returns The HTML element representing the header.
+     * @param {String} message The main message, shown in the header of the dialog.
+     * @param {Array} details Additional lines of text, listed in the body of the dialog.
      */
-    #createHeader(notepadTitle = this.#defaults.notepadTitle, showTime = true) {
-        const header = document.createElement('header');
+    #showMessageDialog(message, details = []) {
+        const dialog = document.createElement('dialog');
+        dialog.classList.add('notepad-dialog', 'message-dialog');
 
-        // Header - Branding
-        const branding = document.createElement('div');
-        branding.classList.add('header-element', 'branding');
-        branding.innerHTML = this.#defaults.branding.logo;
+        // Dialog header
+        const dialogHeader = document.createElement('header');
+        dialogHeader.classList.add('dialog-header');
 
-        header.insertAdjacentElement('beforeend', branding);
+        const dialogHeaderBody = document.createElement('h3');
+        dialogHeaderBody.innerText = message;
+        dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
 
-        // Header - Notepad title
-        const title = document.createElement('h1');
-        title.contentEditable = 'plaintext-only';
-        title.classList.add('editable', 'notepad-title');
-        title.innerText = notepadTitle;
+        dialog.insertAdjacentElement('beforeend', dialogHeader);
 
-        header.insertAdjacentElement('beforeend', title);
+        // Dialog body
+        if (details.length > 0) {
+            const dialogBody = document.createElement('ul');
+            dialogBody.classList.add('dialog-body', 'message-details');
 
-        // Header - Notepad title - Update document's title
-        this.#updateDocumentTitle(title.innerText);
+            for (const detail of details) {
+                const item = document.createElement('li');
+                item.innerText = detail;
+                dialogBody.insertAdjacentElement('beforeend', item);
+            }
 
-        // ... Update document's title when the notepad title's textContent changes.
-        const observerOptions = { characterData: false, attributes: false, childList: true, subtree: false };
-        const observer = new MutationObserver(() => {
-            this.#updateDocumentTitle(title.innerText);
-        });
-        observer.observe(title, observerOptions);
+            dialog.insertAdjacentElement('beforeend', dialogBody);
+        }
 
-        // ... Update document's title when new text is typed in the notepad title.
-        title.addEventListener('input', (event) => {
-            document.title = event.target.innerText + ' \u002D ' + this.#defaults.branding.name;
-        });
+        // Dialog footer
+        const dialogFooter = document.createElement('footer');
+        dialogFooter.classList.add('dialog-footer');
 
-        // Header - Time
-        const time = document.createElement('div');
-        time.classList.add('header-element', 'time');
+        const closeButton = document.createElement('button');
+        closeButton.innerText = 'Close';
+        closeButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', closeButton);
 
-        header.insertAdjacentElement('beforeend', time);
+        dialog.insertAdjacentElement('beforeend', dialogFooter);
 
-        // Show current time (update every second).
-        if (showTime) {
-            setInterval(() => {
-                time.textContent = utilities.getCurrentTime();
-            }, 1000);
-        }
+        // Close
+        closeButton.addEventListener('click', (event) => {
+            dialog.close();
+        });
 
-        return header;
-    }
+        // The dialog is created for a single message.
+        dialog.addEventListener('close', (event) => {
+            dialog.remove();
+        });
 
-    /**
-     * Add the footer to the DOM and enable event listeners.
-     *
-     * @param {String} footerContent The text to be displayed in the footer.
-     *
-     * @returns The HTML element representing the footer.
-     */
-    #createFooter(footerContent = this.#defaults.footerCredits) {
-        const footer = document.createElement('footer');
-        footer.innerHTML = footerContent;
+        document.body.insertAdjacentElement('beforeend', dialog);
 
-        return footer;
+        dialog.showModal();
     }
 
     /**
-     * Create a dialog to confirm and action before taking it.
-     *
-     * @param {Element} targetElement The element where to insert the element representing the dialog.
-     * @param {Function} action The action to be triggered when it is confirmed by the user.
-     * @param {String} actionLabel The label to be use in the control.
-     * @param {String} message A message to explain the action.
-     * @param {Array} customClasses Classes to be used to customise the dialog.
+     * Create the dialog listing the notepads of the library, with the controls to create, rename, duplicate, delete and
+     * open them.
      *
      * @returns The HTML element representing the dialog.
      */
-    #createConfirmationDialog(action, actionLabel = 'OK', message = 'Action confirmation', customClasses = []) {
-        // Add dialog to the DOM.
+    #createNotepadsDialog() {
         const dialog = document.createElement('dialog');
-        dialog.classList.add('notepad-dialog');
-        dialog.classList.add(...customClasses);
+        dialog.classList.add('notepad-dialog', 'notepads-dialog');
 
         // Dialog header
         const dialogHeader = document.createElement('header');
         dialogHeader.classList.add('dialog-header');
 
         const dialogHeaderBody = document.createElement('h3');
-        dialogHeaderBody.innerText = message;
+        dialogHeaderBody.innerText = 'Notepads';
         dialogHeader.insertAdjacentElement('beforeend', dialogHeaderBody);
 
         dialog.insertAdjacentElement('beforeend', dialogHeader);
 
+        // Dialog body - List of notepads (see #updateNotepadsList())
+        const notepadsList = document.createElement('ul');
+        notepadsList.classList.add('notepads-list');
+
+        dialog.insertAdjacentElement('beforeend', notepadsList);
+
         // Dialog footer
         const dialogFooter = document.createElement('footer');
         dialogFooter.classList.add('dialog-footer');
 
-        const confirmButton = document.createElement('button');
-        confirmButton.innerText = actionLabel;
-        confirmButton.classList.add('dialog-button', 'dialog-button-confirm');
-        dialogFooter.insertAdjacentElement('beforeend', confirmButton);
+        const newNotepadButton = document.createElement('button');
+        newNotepadButton.innerText = 'New notepad';
+        newNotepadButton.classList.add('dialog-button', 'dialog-button-action');
+        dialogFooter.insertAdjacentElement('beforeend', newNotepadButton);
 
-        const cancelButton = document.createElement('button');
-        cancelButton.innerText = 'Cancel';
-        cancelButton.classList.add('dialog-button', 'dialog-button-cancel');
-        dialogFooter.insertAdjacentElement('beforeend', cancelButton);
+        const closeButton = document.createElement('button');
+        closeButton.innerText = 'Close';
+        closeButton.classList.add('dialog-button', 'dialog-button-cancel');
+        dialogFooter.insertAdjacentElement('beforeend', closeButton);
 
         dialog.insertAdjacentElement('beforeend', dialogFooter);
 
-        // Close notepad
-        confirmButton.addEventListener('click', (event) => {
-            action();
+        // Delete notepad - Confirmation dialog
+        const deleteNotepad = () => {
+            if (dialog.dataset.notepadToDelete) {
+                if (!this.deleteNotepad(dialog.dataset.notepadToDelete)) {
+                    this.#showMessageDialog('The notepad cannot be deleted', [
+                        'The browser storage may be full or disabled.',
+                    ]);
+                }
+
+                this.#updateNotepadsList(dialog);
+            }
+        };
+
+        this.#addConfirmationDialog(deleteNotepad, 'Delete', 'Delete notepad?', ['delete-notepad-dialog'], document.body);
+
+        // New notepad
+        newNotepadButton.addEventListener('click', (event) => {
+            this.createNotepad();
             dialog.close();
         });
 
-        // Cancel
-        cancelButton.addEventListener('click', (event) => {
+        // Close
+        closeButton.addEventListener('click', (event) => {
             dialog.close();
         });
 
         return dialog;
     }
 
+    /**
+     * Fill the notepads dialog with the notepads currently saved in the library.
+     *
+     * @param {Element} dialog The HTML element representing the notepads dialog.
+     */
+    #updateNotepadsList(dialog) {
+        const notepadsList = dialog.querySelector('.notepads-list');
+        notepadsList.replaceChildren();
+
+        // Ensure the library includes the latest title of the current notepad.
+        this.#saveNotepad();
+
+        for (const savedNotepad of storage.getNotepads()) {
+            const isCurrentNotepad = savedNotepad.id === this.#notepadID;
+
+            const item = document.createElement('li');
+            item.classList.add('notepads-list-item');
+
+            if (isCurrentNotepad) {
+                item.classList.add('current-notepad');
+            }
+
+            // Title (editable to rename the notepad)
+            const title = document.createElement('input');
+            title.type = 'text';
+            title.classList.add('notepads-list-title', 'editable');
+            title.ariaLabel = 'Notepad title';
+            title.value = savedNotepad.notepadTitle || this.#defaults.notepadTitle;
+            item.insertAdjacentElement('beforeend', title);
+
+            // Controls
+            const openButton = document.createElement('button');
+            openButton.type = 'button';
+            openButton.classList.add('notepads-list-control');
+            openButton.innerText = isCurrentNotepad ? 'Current' : 'Open';
+            openButton.disabled = isCurrentNotepad;
+            item.insertAdjacentElement('beforeend', openButton);
+
+            const duplicateButton = document.createElement('button');
+            duplicateButton.type = 'button';
+            duplicateButton.classList.add('notepads-list-control');
+            duplicateButton.innerText = 'Duplicate';
+            item.insertAdjacentElement('beforeend', duplicateButton);
+
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.classList.add('notepads-list-control');
+            deleteButton.innerText = 'Delete';
+            item.insertAdjacentElement('beforeend', deleteButton);
+
+            notepadsList.insertAdjacentElement('beforeend', item);
+
+            // Event listeners - Rename notepad
+            title.addEventListener('change', (event) => {
+                this.renameNotepad(savedNotepad.id, title.value.trim() || undefined);
+            });
+
+            // Event listeners - Open notepad
+            openButton.addEventListener('click', (event) => {
+                this.openNotepad(savedNotepad.id);
+                dialog.close();
+            });
+
+            // Event listeners - Duplicate notepad
+            duplicateButton.addEventListener('click', (event) => {
+                this.duplicateNotepad(savedNotepad.id);
+                this.#updateNotepadsList(dialog);
+            });
+
+            // Event listeners - Delete notepad
+            deleteButton.addEventListener('click', (event) => {
+                dialog.dataset.notepadToDelete = savedNotepad.id;
+                document.body.querySelector('.delete-notepad-dialog').showModal();
+            });
+        }
+    }
+
     // Notepad utilities
 
     /**
-     * Copy the content of a note.
+     * Copy a text, e.g. the content of a note, and show whether it was copied on the control triggering the action.
      *
      * @param {Element} control The element triggering the action.
+     * @param {String} text The text to be copied.
      */
-    #copyNoteText(control) {
-        const note = control.closest('.note');
-        const noteText = note.querySelector('.note-text');
-
-        navigator.clipboard.writeText(noteText.textContent).then(
+    #copyText(control, text) {
+        navigator.clipboard.writeText(text).then(
             () => {
                 // Successfully copied: change color and show a message.
                 const originalColor = control.style.color;
@@ -1063,29 +6784,25 @@ class Notepad {
     }
 
     /**
-     * Download the note as a text file.
-     *
-     * @param {Element} control The element triggering the action.
+     * Enable the undo and redo controls only when there is an operation to undo or redo, and describe it in the label.
      */
-    #downloadNote(control) {
-        const note = control.closest('.note');
-
-        const noteText = note.querySelector('.note-text').textContent;
-        const noteTitle = note.querySelector('.note-title').textContent;
-
-        const encodedUri = encodeURI(noteTitle + '\n\n' + noteText);
-
-        const temporaryLink = document.createElement('a');
-
-        temporaryLink.setAttribute('href', 'data:text/plain;charset=utf-8,' + encodedUri);
+    #updateHistoryControls() {
+        // The history may change while the toolbox is being created (e.g. when the saved notepad is restored).
+        if (!this.#toolboxContainer) {
+            return;
+        }
 
-        const filename = noteTitle.replace(/[^\p{L}^\p{N}^\s]+/gu, '') + '.txt';
+        const undoControl = this.#toolboxContainer.querySelector('.undo');
+        const redoControl = this.#toolboxContainer.querySelector('.redo');
 
-        temporaryLink.setAttribute('download', filename);
+        const nextUndo = this.#history.nextUndo;
+        const nextRedo = this.#history.nextRedo;
 
-        temporaryLink.click();
+        undoControl.disabled = !nextUndo;
+        undoControl.ariaLabel = nextUndo ? 'Undo: ' + nextUndo.label : 'Undo';
 
-        temporaryLink.remove();
+        redoControl.disabled = !nextRedo;
+        redoControl.ariaLabel = nextRedo ? 'Redo: ' + nextRedo.label : 'Redo';
     }
 
     /**
@@ -1094,6 +6811,22 @@ class Notepad {
      * @param {String} text The content to be included in the document's title.
      */
     #updateDocumentTitle(text) {
-        document.title = text + ' \u002D ' + this.#defaults.branding.name;
+        const file = this.#files.get(this.#notepadID);
+
+        // Unsaved changes to the file of the notepad are marked with a bullet.
+        const prefix = file && file.isDirty ? '\u2022 ' : '';
+
+        document.title = prefix + text + ' \u002D ' + this.#defaults.branding.name;
+    }
+
+    /**
+     * Get the name of the files the notepad is exported to, from its title.
+     *
+     * @returns {String} The name, without extension.
+     */
+    #getNotepadFilename() {
+        const notepadTitle = this.#headerContainer.querySelector('.notepad-title').innerText;
+
+        return utilities.getSafeFilename(notepadTitle, 'notepad');
     }
 }
@@ -0,0 +1,288 @@
+/**
+ * Standfirst - Storage
+ *
+ * Copyright (c) 2023 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+export {
+    getNotepads,
+    getActiveNotepadID,
+    setActiveNotepadID,
+    loadNotepad,
+    saveNotepad,
+    removeNotepad,
+    backupNotepad,
+    getShortcuts,
+    saveShortcuts,
+    getThemeSettings,
+    saveThemeSettings,
+};
+
+// The keys used to keep the library of notepads in the browser's local storage.
+const storageKeys = {
+    notepads: 'standfirst-notepads',
+    activeNotepad: 'standfirst-active-notepad',
+    notepadPrefix: 'standfirst-notepad-',
+    // Keyboard shortcuts changed by the user, shared by all the notepads.
+    shortcuts: 'standfirst-shortcuts',
+    // The theme chosen by the user and the custom themes, shared by all the notepads.
+    themes: 'standfirst-themes',
+    // Copies of the items that could not be used, e.g. corrupted data, kept before they are overwritten.
+    backupPrefix: 'standfirst-backup-',
+};
+
+// The items that cannot be read or used, by key, with the key of their copy: null until a copy has been kept, as they
+// are not overwritten before.
+const damagedItems = new Map();
+
+/**
+ * Get the list of the notepads saved in the browser's local storage.
+ *
+ * @return {Array} The saved notepads, as objects with the id and the title of each notepad: [{ id, notepadTitle }].
+ */
+const getNotepads = () => {
+    const notepads = readItem(storageKeys.notepads);
+
+    // The list cannot be read: it is rebuilt from the saved notepads, so that none of them is left out.
+    return notepads === undefined ? findNotepads() : notepads || [];
+};
+
+/**
+ * Get the id of the notepad that was open the last time.
+ *
+ * @return {String|null} The id of the notepad or null if there is none.
+ */
+const getActiveNotepadID = () => {
+    return readItem(storageKeys.activeNotepad) || null;
+};
+
+/**
+ * Set the id of the notepad currently open, so that it can be reopened when the page is reloaded.
+ *
+ * @param {String} notepadID The id of the notepad.
+ */
+const setActiveNotepadID = (notepadID) => {
+    writeItem(storageKeys.activeNotepad, notepadID);
+};
+
+/**
+ * Load a notepad saved in the browser's local storage.
+ *
+ * @param {String} notepadID The id of the notepad.
+ *
+ * @return {Object|null|undefined} The saved notepad (see Notepad.exportNotepad() for its format), null if none is
+ *                               available, or undefined if it cannot be read (e.g. corrupted data).
+ */
+const loadNotepad = (notepadID) => {
+    return readItem(storageKeys.notepadPrefix + notepadID);
+};
+
+/**
+ * Save a notepad in the browser's local storage and add it to the list of notepads if it is not already included.
+ *
+ * @param {String} notepadID The id of the notepad.
+ * @param {Object} notepadObject The notepad to be saved (see Notepad.exportNotepad() for its format).
+ *
+ * @return {Boolean} True if the notepad has been saved.
+ */
+const saveNotepad = (notepadID, notepadObject) => {
+    const notepads = getNotepads();
+
+    const notepadEntry = notepads.find((notepad) => notepad.id === notepadID);
+
+    if (notepadEntry) {
+        notepadEntry.notepadTitle = notepadObject.notepadTitle;
+    } else {
+        notepads.push({ id: notepadID, notepadTitle: notepadObject.notepadTitle });
+    }
+
+    return writeItem(storageKeys.notepadPrefix + notepadID, notepadObject) && writeItem(storageKeys.notepads, notepads);
+};
+
+/**
+ * Remove a notepad from the browser's local storage and from the list of notepads.
+ *
+ * @param {String} notepadID The id of the notepad.
+ *
+ * @return {Boolean} True if the notepad has been removed.
+ */
+const removeNotepad = (notepadID) => {
+    const notepads = getNotepads().filter((notepad) => notepad.id !== notepadID);
+
+    if (!writeItem(storageKeys.notepads, notepads)) {
+        return false;
+    }
+
+    try {
+        localStorage.removeItem(storageKeys.notepadPrefix + notepadID);
+
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Keep a copy of a saved notepad that cannot be used, e.g. one changed by hand, so that it is not lost when the notepad
+ * is saved again. Until the copy is kept, the notepad is not overwritten.
+ *
+ * @param {String} notepadID The id of the notepad.
+ *
+ * @return {String|null} The key of the copy in the browser's local storage, or null if it cannot be kept.
+ */
+const backupNotepad = (notepadID) => {
+    return backupItem(storageKeys.notepadPrefix + notepadID);
+};
+
+/**
+ * Get the keyboard shortcuts changed by the user.
+ *
+ * @return {Object} The shortcuts, by command id (see CommandRegistry in commands.js).
+ */
+const getShortcuts = () => {
+    return readItem(storageKeys.shortcuts) || {};
+};
+
+/**
+ * Save the keyboard shortcuts changed by the user.
+ *
+ * @param {Object} shortcuts The shortcuts, by command id.
+ *
+ * @return {Boolean} True if the shortcuts have been saved.
+ */
+const saveShortcuts = (shortcuts) => {
+    return writeItem(storageKeys.shortcuts, shortcuts);
+};
+
+/**
+ * Get the theme chosen by the user and the custom themes.
+ *
+ * @return {Object} The theme settings: { theme, customThemes }, where theme is the id of a theme (see themes.js) or
+ *                  'system' to follow the operating system.
+ */
+const getThemeSettings = () => {
+    return { theme: 'system', customThemes: [], ...readItem(storageKeys.themes) };
+};
+
+/**
+ * Save the theme chosen by the user and the custom themes.
+ *
+ * @param {Object} themeSettings The theme settings: { theme, customThemes }.
+ *
+ * @return {Boolean} True if the settings have been saved.
+ */
+const saveThemeSettings = (themeSettings) => {
+    return writeItem(storageKeys.themes, themeSettings);
+};
+
+/**
+ * Find the notepads saved in the browser's local storage, e.g. when their list cannot be read.
+ *
+ * @return {Array} The saved notepads: [{ id, notepadTitle }].
+ */
+const findNotepads = () => {
+    try {
+        return Object.keys(localStorage)
+            .filter((key) => key.startsWith(storageKeys.notepadPrefix))
+            .map((key) => {
+                const notepadObject = readItem(key);
+                const notepadTitle = notepadObject && notepadObject.notepadTitle ? notepadObject.notepadTitle : '';
+
+                return { id: key.slice(storageKeys.notepadPrefix.length), notepadTitle };
+            });
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Read and parse an item of the browser's local storage.
+ *
+ * @param {String} key The key of the item.
+ *
+ * @return {*} The parsed value of the item, null if there is no such item, or undefined if it cannot be read (e.g.
+ *             corrupted data).
+ */
+const readItem = (key) => {
+    let storedItem;
+
+    try {
+        storedItem = localStorage.getItem(key);
+    } catch (error) {
+        // Storage unavailable, e.g. disabled by the user: nothing can be overwritten either.
+        return null;
+    }
+
+    if (storedItem === null) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(storedItem);
+    } catch (error) {
+        if (!damagedItems.has(key)) {
+            damagedItems.set(key, null);
+        }
+
+        return undefined;
+    }
+};
+
+/**
+ * Serialise and write an item in the browser's local storage. Items that cannot be read are only overwritten once a
+ * copy of them has been kept (see backupItem()).
+ *
+ * @param {String} key The key of the item.
+ * @param {*} value The value to be saved.
+ *
+ * @return {Boolean} True if the item has been saved.
+ */
+const writeItem = (key, value) => {
+    if (damagedItems.get(key) === null && !backupItem(key)) {
+        return false;
+    }
+
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+
+        damagedItems.delete(key);
+
+        return true;
+    } catch (error) {
+        // Storage unavailable or full: the notepad is still in the page, and the failure is shown by the caller.
+        return false;
+    }
+};
+
+/**
+ * Keep a copy of an item of the browser's local storage, as it is, under a new key. An item is only copied once, until
+ * it is overwritten.
+ *
+ * @param {String} key The key of the item.
+ *
+ * @return {String|null} The key of the copy, or null if it cannot be kept (the item is then not overwritten).
+ */
+const backupItem = (key) => {
+    if (damagedItems.get(key)) {
+        return damagedItems.get(key);
+    }
+
+    const backupKey = storageKeys.backupPrefix + Date.now() + '-' + key;
+
+    try {
+        localStorage.setItem(backupKey, localStorage.getItem(key));
+
+        damagedItems.set(key, backupKey);
+
+        return backupKey;
+    } catch (error) {
+        damagedItems.set(key, null);
+
+        return null;
+    }
+};
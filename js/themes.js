@@ -0,0 +1,181 @@
+/**
+ * Standfirst - Themes
+ *
+ * Copyright (c) 2023 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+export { builtInThemes, themeColors, getSystemTheme, validateTheme, applyTheme, getAccentDisplayColor };
+
+/**
+ * Theme format:
+ *
+ * {
+ *      id: {String} - A unique name, e.g. "dark" or "custom-1700000000000".
+ *      name: {String} - The name shown to the user, e.g. "Dark".
+ *      base: {String} - 'light' or 'dark': the stylesheet colors the theme starts from.
+ *      colors: {Object} - Optional. The colors replacing the ones of the base, by name (see themeColors), e.g.
+ *                         { background: '#202124' }.
+ *      accentColors: {Object} - Optional. The colors shown instead of the accent colors saved in the notes, e.g.
+ *                               { '#fde6e6': '#5c2a2a' }. Accent colors not listed are darkened on dark themes.
+ * }
+ */
+const builtInThemes = [
+    { id: 'light', name: 'Light', base: 'light' },
+    { id: 'dark', name: 'Dark', base: 'dark' },
+];
+
+// The colors a theme can change, with the CSS custom properties of the stylesheet they are applied to.
+const themeColors = {
+    background: { label: 'Background', property: '--background-color' },
+    subtleBackground: { label: 'Controls background', property: '--subtle-background-color' },
+    text: { label: 'Text', property: '--text-color' },
+    mutedText: { label: 'Secondary text', property: '--muted-text-color' },
+    border: { label: 'Borders', property: '--border-color' },
+    highlight: { label: 'Highlight', property: '--highlight-color' },
+    mark: { label: 'Search results', property: '--mark-color' },
+};
+
+// Hex color codes, e.g. #fde6e6 or #fde.
+const hexColorRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+
+/**
+ * Get the theme of the operating system.
+ *
+ * @return {String} 'dark' if the system uses a dark theme, otherwise 'light'.
+ */
+const getSystemTheme = () => {
+    return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+};
+
+/**
+ * Check that an object follows the theme format, e.g. a theme being imported.
+ *
+ * @param {*} theme The object to be checked.
+ *
+ * @return {Array} The description of each problem found. The array is empty if the object is a valid theme.
+ */
+const validateTheme = (theme) => {
+    if (typeof theme !== 'object' || theme === null || Array.isArray(theme)) {
+        return ['The file does not contain a theme.'];
+    }
+
+    const errors = [];
+
+    if (typeof theme.name !== 'string' || !theme.name.trim()) {
+        errors.push('The theme must have a name.');
+    }
+
+    if (!['light', 'dark'].includes(theme.base)) {
+        errors.push('The theme base must be "light" or "dark".');
+    }
+
+    for (const [name, color] of Object.entries(theme.colors || {})) {
+        if (!Object.hasOwn(themeColors, name)) {
+            errors.push('"' + name + '" is not a theme color.');
+        } else if (!hexColorRegex.test(color)) {
+            errors.push('The "' + name + '" color must be a hex color code.');
+        }
+    }
+
+    for (const [accentColor, color] of Object.entries(theme.accentColors || {})) {
+        if (!hexColorRegex.test(accentColor) || !hexColorRegex.test(color)) {
+            errors.push('The accent colors must be hex color codes, e.g. { "#fde6e6": "#5c2a2a" }.');
+
+            break;
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Apply a theme to the page, replacing the colors of the previous one.
+ *
+ * @param {Object} theme The theme to be applied.
+ * @param {HTMLElement} rootElement The element on which the CSS custom properties are set.
+ */
+const applyTheme = (theme, rootElement = document.documentElement) => {
+    rootElement.dataset.theme = theme.base;
+
+    for (const [name, themeColor] of Object.entries(themeColors)) {
+        if (theme.colors && theme.colors[name]) {
+            rootElement.style.setProperty(themeColor.property, theme.colors[name]);
+        } else {
+            rootElement.style.removeProperty(themeColor.property);
+        }
+    }
+};
+
+/**
+ * Get the color shown for an accent color saved in a note. The saved colors are pastel tones, which are remapped on
+ * dark themes to darker tones of the same hue, so that the title stays readable.
+ *
+ * @param {String} accentColor The hex color code saved in the note, or an empty string.
+ * @param {Object} theme The current theme.
+ *
+ * @return {String} The color to be shown.
+ */
+const getAccentDisplayColor = (accentColor, theme) => {
+    if (!accentColor) {
+        return '';
+    }
+
+    const accentColors = theme.accentColors || {};
+
+    if (accentColors[accentColor.toLowerCase()]) {
+        return accentColors[accentColor.toLowerCase()];
+    }
+
+    if (theme.base !== 'dark') {
+        return accentColor;
+    }
+
+    const [hue, saturation] = hexToHsl(accentColor);
+
+    return 'hsl(' + Math.round(hue) + ', ' + Math.round(Math.min(saturation, 45)) + '%, 24%)';
+};
+
+/**
+ * Convert a hex color code to HSL.
+ *
+ * @param {String} hexColor The hex color code, e.g. #fde6e6 or #fde.
+ *
+ * @return {Array} The hue (0-360), saturation (0-100) and lightness (0-100).
+ */
+const hexToHsl = (hexColor) => {
+    let hex = hexColor.slice(1);
+
+    if (hex.length === 3) {
+        hex = [...hex].map((digit) => digit + digit).join('');
+    }
+
+    const [red, green, blue] = [0, 2, 4].map((index) => parseInt(hex.slice(index, index + 2), 16) / 255);
+
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const lightness = (max + min) / 2;
+
+    if (max === min) {
+        return [0, 0, lightness * 100];
+    }
+
+    const delta = max - min;
+    const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+
+    let hue;
+
+    if (max === red) {
+        hue = (green - blue) / delta + (green < blue ? 6 : 0);
+    } else if (max === green) {
+        hue = (blue - red) / delta + 2;
+    } else {
+        hue = (red - green) / delta + 4;
+    }
+
+    return [hue * 60, saturation * 100, lightness * 100];
+};
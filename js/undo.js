@@ -0,0 +1,143 @@
+/**
+ * Standfirst - Undo
+ *
+ * Copyright (c) 2023 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+export { OperationHistory };
+
+/** Class representing the history of the operations that can be undone and redone. */
+class OperationHistory {
+    #undoStack = [];
+    #redoStack = [];
+
+    #limit;
+    #onChange;
+
+    // True while an operation is being undone or redone, so that the changes it makes are not recorded again.
+    #isReplaying = false;
+
+    /**
+     * Create a new operation history.
+     *
+     * @param {Function} onChange The function to be called whenever the history changes.
+     * @param {Number} limit The maximum number of operations that can be undone.
+     */
+    constructor(onChange = () => {}, limit = 100) {
+        this.#onChange = onChange;
+        this.#limit = limit;
+    }
+
+    /**
+     * Add an operation to the history. Operations recorded while undoing or redoing are ignored.
+     *
+     * Operation format:
+     *
+     * {
+     *      label: {String} - A short description, e.g. "Delete note".
+     *      undo: {Function} - Revert the operation.
+     *      redo: {Function} - Apply the operation again.
+     * }
+     *
+     * @param {Object} operation The operation to be added.
+     */
+    record(operation) {
+        if (this.#isReplaying) {
+            return;
+        }
+
+        this.#undoStack.push(operation);
+
+        // Drop the oldest operations beyond the limit.
+        if (this.#undoStack.length > this.#limit) {
+            this.#undoStack.shift();
+        }
+
+        // A new operation makes the undone ones no longer applicable.
+        this.#redoStack = [];
+
+        this.#onChange();
+    }
+
+    /**
+     * Revert the last operation.
+     *
+     * @returns {Object|undefined} The operation reverted, if any.
+     */
+    undo() {
+        const operation = this.#undoStack.pop();
+
+        if (operation) {
+            this.#replay(operation.undo);
+
+            this.#redoStack.push(operation);
+
+            this.#onChange();
+        }
+
+        return operation;
+    }
+
+    /**
+     * Apply again the last operation reverted.
+     *
+     * @returns {Object|undefined} The operation applied, if any.
+     */
+    redo() {
+        const operation = this.#redoStack.pop();
+
+        if (operation) {
+            this.#replay(operation.redo);
+
+            this.#undoStack.push(operation);
+
+            this.#onChange();
+        }
+
+        return operation;
+    }
+
+    /**
+     * Remove all the operations from the history.
+     */
+    clear() {
+        this.#undoStack = [];
+        this.#redoStack = [];
+
+        this.#onChange();
+    }
+
+    /**
+     * The last operation that can be undone, if any.
+     */
+    get nextUndo() {
+        return this.#undoStack[this.#undoStack.length - 1];
+    }
+
+    /**
+     * The last operation that can be redone, if any.
+     */
+    get nextRedo() {
+        return this.#redoStack[this.#redoStack.length - 1];
+    }
+
+    /**
+     * Run a function without recording the operations it triggers.
+     *
+     * @param {Function} action The function to be run.
+     */
+    #replay(action) {
+        this.#isReplaying = true;
+
+        try {
+            action();
+        } finally {
+            this.#isReplaying = false;
+        }
+    }
+}
@@ -9,21 +9,141 @@
 
 'use strict;';
 
-export { countWords, getReadTime, getCurrentTime };
+export {
+    countWords,
+    getReadTime,
+    getSpeakTime,
+    getTextStatistics,
+    getReadingLanguages,
+    getCurrentTime,
+    findMatches,
+    downloadFile,
+    getSafeFilename,
+};
+
+// Silent reading speeds by language (ISO 639-1 code), in words per minute, and in characters per minute for the
+// scripts written without spaces between words (see cjkRegex). Average values for adults (IReST study, 2012).
+const readingSpeeds = {
+    ar: { words: 138 },
+    de: { words: 179 },
+    en: { words: 238 },
+    es: { words: 218 },
+    fi: { words: 161 },
+    fr: { words: 195 },
+    he: { words: 187 },
+    it: { words: 188 },
+    ja: { words: 193, characters: 357 },
+    nl: { words: 202 },
+    pl: { words: 166 },
+    pt: { words: 181 },
+    ru: { words: 184 },
+    sl: { words: 180 },
+    sv: { words: 199 },
+    tr: { words: 166 },
+    zh: { words: 158, characters: 255 },
+};
+
+// Speed used for the languages not listed above.
+const defaultReadingSpeed = { words: 238, characters: 255 };
+
+// Reading aloud, in words per minute in English. The same ratio to the silent reading speed is applied to the other
+// languages (see getReadMinutes()).
+const englishAloudSpeed = 183;
+
+// Chinese (Han) and Japanese (Hiragana, Katakana) characters, whose texts are read character by character.
+const cjkRegex = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+
+// Fallback for browsers without Intl.Segmenter: runs of letters, marks, numbers and emojis (with skin tones and hair
+// styles), while Chinese and Japanese characters count as one word each.
+const wordRegex =
+    /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|(?:(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}])[\p{L}\p{M}\p{N}\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\u{1F9B0}-\u{1F9B3}])+/gu;
+
+// Intl.Segmenter instances, by language and granularity, as they are costly to create.
+const segmenters = new Map();
+
+/**
+ * Get the Intl.Segmenter to split a text, if the browser supports it.
+ *
+ * @param {string} language The language of the text (BCP 47 tag), e.g. 'en' or 'pt-BR'.
+ * @param {string} granularity The unit: 'word' or 'sentence'.
+ *
+ * @return {Intl.Segmenter|null} The segmenter, or null if not supported.
+ */
+const getSegmenter = (language, granularity) => {
+    if (typeof Intl.Segmenter !== 'function') {
+        return null;
+    }
+
+    const key = language + ':' + granularity;
+
+    if (!segmenters.has(key)) {
+        let segmenter;
+
+        try {
+            segmenter = new Intl.Segmenter(language || undefined, { granularity });
+        } catch (error) {
+            // Invalid language tags fall back to the default language of the browser.
+            segmenter = new Intl.Segmenter(undefined, { granularity });
+        }
+
+        segmenters.set(key, segmenter);
+    }
+
+    return segmenters.get(key);
+};
 
 /**
- * Count the number of words in a given string, including emojis.
+ * Split a string into words, in any script. Emojis are words too.
  *
  * @param {string} targetString The string to be processed.
+ * @param {string} language The language of the text (BCP 47 tag).
  *
- * @return {number} The number of words in a string.
+ * @return {Array} The words, in order.
+ */
+const getWords = (targetString, language) => {
+    const segmenter = getSegmenter(language, 'word');
+
+    if (!segmenter) {
+        return targetString.match(wordRegex) || [];
+    }
+
+    const words = [];
+
+    for (const { segment, isWordLike } of segmenter.segment(targetString)) {
+        if (isWordLike || /\p{Extended_Pictographic}/u.test(segment)) {
+            words.push(segment);
+        }
+    }
+
+    return words;
+};
+
+/**
+ * Get the reading speed for a language.
+ *
+ * @param {string} language The language (BCP 47 tag), e.g. 'en' or 'pt-BR'.
+ *
+ * @return {Object} The speed in words per minute, and in characters per minute: { words, characters }.
  */
-const countWords = (targetString = '') => {
-    const regex =
-        /[\n\s]{0,}[a-zA-Z0-9\u00C0-\u017F\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\u{1F9B0}-\u{1F9B3}]+[\n\s]{0,}/gu;
-    const words = targetString.match(regex) || '';
+const getReadingSpeed = (language = '') => {
+    const primaryLanguage = language.split('-')[0].toLowerCase();
+
+    return { ...defaultReadingSpeed, ...readingSpeeds[primaryLanguage] };
+};
 
-    const wordNumber = words.length;
+/**
+ * Count the number of words in a given string, in any script, including emojis.
+ *
+ * Words are found by Intl.Segmenter, if the browser supports it. Otherwise, each Chinese or Japanese character is
+ * counted as a word.
+ *
+ * @param {string} targetString The string to be processed.
+ * @param {string} language The language of the text (BCP 47 tag), e.g. 'en' or 'ja'. By default, the browser's one.
+ *
+ * @return {number} The number of words in a string.
+ */
+const countWords = (targetString = '', language = '') => {
+    const wordNumber = getWords(targetString, language).length;
 
     return wordNumber;
 };
@@ -31,21 +151,179 @@ const countWords = (targetString = '') => {
 /**
  * Get the time to (silently) read a text.
  *
- * The formula takes into consideration average value in English (silent reading it is 238, reading aloud it is 183).
+ * The formula takes into consideration the average speed in the language of the text (see readingSpeeds). Chinese and
+ * Japanese characters are counted one by one, at the speed in characters per minute.
  * NOTE: numbers are treated as words without being transliterated.
  *
  * @param {string} targetString The string to be processed.
+ * @param {string} language The language of the text (BCP 47 tag), e.g. 'en' or 'ja'.
  *
  * @return {number} The seconds required on average to silently read the string.
  */
-const getReadTime = (targetString = '') => {
-    const wordNumber = countWords(targetString);
-
-    const timeToReadString = Math.ceil(wordNumber / (283 / 60));
+const getReadTime = (targetString = '', language = '') => {
+    const timeToReadString = Math.ceil(getReadMinutes(targetString, language, false) * 60);
 
     return timeToReadString;
 };
 
+/**
+ * Get the time to read a text aloud, e.g. for a speech.
+ *
+ * The formula takes into consideration the average value in English (183 words per minute, against the 238 words per
+ * minute of silent reading). The same ratio is applied to the reading speeds of the other languages.
+ * NOTE: numbers are treated as words without being transliterated.
+ *
+ * @param {string} targetString The string to be processed.
+ * @param {string} language The language of the text (BCP 47 tag), e.g. 'en' or 'ja'.
+ *
+ * @return {number} The seconds required on average to read the string aloud.
+ */
+const getSpeakTime = (targetString = '', language = '') => {
+    const timeToSpeakString = Math.ceil(getReadMinutes(targetString, language, true) * 60);
+
+    return timeToSpeakString;
+};
+
+/**
+ * Get the minutes to read a text, see getReadTime() and getSpeakTime().
+ *
+ * @param {string} targetString The string to be processed.
+ * @param {string} language The language of the text (BCP 47 tag).
+ * @param {boolean} isAloud True to get the time to read the text aloud.
+ *
+ * @return {number} The minutes, not rounded.
+ */
+const getReadMinutes = (targetString, language, isAloud) => {
+    const readingSpeed = getReadingSpeed(language);
+
+    // Reading aloud is slower than silent reading, by the same ratio as in English.
+    const aloudRatio = isAloud ? englishAloudSpeed / readingSpeeds.en.words : 1;
+
+    const wordsPerMinute = readingSpeed.words * aloudRatio;
+    const charactersPerMinute = readingSpeed.characters * aloudRatio;
+
+    const characterNumber = (targetString.match(cjkRegex) || []).length;
+    const wordNumber = countWords(targetString.replace(cjkRegex, ' '), language);
+
+    return wordNumber / wordsPerMinute + characterNumber / charactersPerMinute;
+};
+
+/**
+ * Get the languages with a known reading speed, e.g. to choose the language of a text.
+ *
+ * @return {Array} The languages (ISO 639-1 codes).
+ */
+const getReadingLanguages = () => {
+    return Object.keys(readingSpeeds);
+};
+
+// Common English words left out of the most frequent words of a text.
+const stopWords = new Set(
+    (
+        'a about after all also an and any are as at be been but by can could do does for from had has have he her his ' +
+        'how i if in into is it its just me more my no not of on one or our out she so some than that the their them ' +
+        'then there these they this to up us was we were what when which who will with would you your'
+    ).split(' ')
+);
+
+/**
+ * Get the statistics of a text, e.g. for writing insights.
+ *
+ * Sentences are found by Intl.Segmenter, if the browser supports it; otherwise, they end with ".", "!", "?", "…" (or
+ * their Chinese and Japanese equivalents) followed by a space. Paragraphs are separated by blank lines.
+ * The Flesch reading-ease score is only computed for English texts: from about 100 (very easy) to 0 (very difficult).
+ *
+ * @param {string} targetString The string to be processed.
+ * @param {string} language The language of the text (BCP 47 tag), e.g. 'en' or 'ja'.
+ * @param {number} frequentWordsLimit The maximum number of most frequent words.
+ *
+ * @return {Object} The statistics of the text:
+ *                  {
+ *                      characters: {number},
+ *                      words: {number},
+ *                      sentences: {number},
+ *                      paragraphs: {number},
+ *                      averageSentenceLength: {number} - Words per sentence (0 if there are no sentences).
+ *                      readingEase: {number|null} - Flesch reading-ease score (null if not available).
+ *                      readTime: {number} - Seconds (see getReadTime()).
+ *                      speakTime: {number} - Seconds (see getSpeakTime()).
+ *                      frequentWords: {Array} - The most frequent words, excluding common ones: [{ word, count }].
+ *                  }
+ */
+const getTextStatistics = (targetString = '', language = '', frequentWordsLimit = 5) => {
+    const allWords = getWords(targetString, language);
+    const words = allWords.length;
+
+    const sentenceSegmenter = getSegmenter(language, 'sentence');
+
+    const sentenceTexts = sentenceSegmenter
+        ? [...sentenceSegmenter.segment(targetString)].map(({ segment }) => segment)
+        : targetString.split(/[.!?\u2026\u3002\uFF01\uFF1F]+(?=\s|$)|[\u3002\uFF01\uFF1F]+/u);
+
+    const sentences = sentenceTexts.filter((sentence) => /[\p{L}\p{N}]/u.test(sentence)).length;
+
+    const paragraphs = targetString.split(/\n\s*\n/).filter((paragraph) => paragraph.trim()).length;
+
+    // Lowercase words made of letters, to count syllables and frequencies.
+    const letterWords = allWords.filter((word) => /\p{L}/u.test(word)).map((word) => word.toLowerCase());
+
+    // The formula (and the syllable count) is only valid for English.
+    const isEnglish = (language || 'en').split('-')[0].toLowerCase() === 'en';
+
+    let readingEase = null;
+
+    if (isEnglish && letterWords.length > 0 && sentences > 0) {
+        const syllables = letterWords.reduce((total, word) => total + countSyllables(word), 0);
+
+        readingEase = 206.835 - 1.015 * (letterWords.length / sentences) - 84.6 * (syllables / letterWords.length);
+    }
+
+    const wordFrequencies = new Map();
+
+    for (const word of letterWords) {
+        if ([...word].length > 1 && !(isEnglish && stopWords.has(word))) {
+            wordFrequencies.set(word, (wordFrequencies.get(word) || 0) + 1);
+        }
+    }
+
+    const frequentWords = [...wordFrequencies]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, frequentWordsLimit)
+        .map(([word, count]) => ({ word, count }));
+
+    return {
+        characters: targetString.length,
+        words,
+        sentences,
+        paragraphs,
+        averageSentenceLength: sentences > 0 ? words / sentences : 0,
+        readingEase,
+        readTime: getReadTime(targetString, language),
+        speakTime: getSpeakTime(targetString, language),
+        frequentWords,
+    };
+};
+
+/**
+ * Estimate the number of syllables of an English word, from its groups of vowels.
+ *
+ * @param {string} word The lowercase word.
+ *
+ * @return {number} The number of syllables (at least 1).
+ */
+const countSyllables = (word) => {
+    if (word.length <= 3) {
+        return 1;
+    }
+
+    // A final "e", "es" or "ed" is usually silent (e.g. "make", "makes", "walked"), except in "-le" (e.g. "table").
+    const trimmedWord = word.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, (ending) => ending[0]);
+
+    const vowelGroups = trimmedWord.match(/[aeiouy\u00E0-\u00FF]+/g) || [];
+
+    return Math.max(vowelGroups.length, 1);
+};
+
 /**
  * Get a string with the current time.
  *
@@ -66,4 +344,88 @@ const getCurrentTime = () => {
         (seconds < 10 ? '0' + seconds : seconds);
 
     return time;
+};
+
+/**
+ * Find all the occurrences of a search query in a string.
+ *
+ * @param {string} targetString The string to be searched.
+ * @param {string} query The text to be found.
+ * @param {Object} options The search options: { caseSensitive: {boolean}, wholeWord: {boolean} }.
+ *
+ * @return {Array} The position of each occurrence, as objects with the start and the end index: [{ start, end }].
+ */
+const findMatches = (targetString = '', query = '', options = {}) => {
+    if (!query) {
+        return [];
+    }
+
+    // Escape the characters with a special meaning in regular expressions.
+    let pattern = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    // A whole word is not preceded or followed by a letter, a number or an underscore, in any script.
+    if (options.wholeWord) {
+        pattern = '(?<![\\p{L}\\p{N}_])' + pattern + '(?![\\p{L}\\p{N}_])';
+    }
+
+    const regex = new RegExp(pattern, options.caseSensitive ? 'gu' : 'giu');
+
+    const matches = [];
+
+    for (const match of targetString.matchAll(regex)) {
+        matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+
+    return matches;
+};
+
+/**
+ * Download a file with the given content. The content is passed as a Blob, so that it is not limited in size (unlike
+ * data URIs) and any character is kept as it is.
+ *
+ * @param {string|Uint8Array} content The content of the file: a text, or binary data (e.g. a DOCX document).
+ * @param {string} filename The name of the file, including its extension.
+ * @param {string} mimeType The MIME type of the file.
+ */
+const downloadFile = (content, filename, mimeType = 'text/plain') => {
+    const blob = new Blob([content], { type: typeof content === 'string' ? mimeType + ';charset=utf-8' : mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const temporaryLink = document.createElement('a');
+
+    temporaryLink.href = url;
+    temporaryLink.download = filename;
+
+    temporaryLink.click();
+
+    temporaryLink.remove();
+
+    // Release the content once the browser has started the download.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Turn a text (e.g. the title of a note) into a name that is valid as a file name on any operating system.
+ *
+ * @param {string} text The text to be used as name.
+ * @param {string} fallback The name used when the text has no letters or numbers, e.g. 'notepad'.
+ *
+ * @return {string} The name, without extension.
+ */
+const getSafeFilename = (text = '', fallback = 'untitled') => {
+    // Only letters, numbers, spaces, hyphens and underscores are kept, e.g. "Plans: 2024/25" becomes "Plans 202425".
+    const cleanText = text
+        .replace(/[^\p{L}\p{M}\p{N}\s_-]+/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // At most 100 characters, counted by code point so that characters outside the BMP (e.g. rare CJK) are not split.
+    const name = [...cleanText].slice(0, 100).join('').trim();
+
+    if (!/[\p{L}\p{N}]/u.test(name)) {
+        return fallback;
+    }
+
+    // Names reserved by Windows, e.g. "con" or "LPT1", are not valid even with an extension.
+    return /^(con|prn|aux|nul|com\d|lpt\d)$/i.test(name) ? name + '_' : name;
 };
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * Standfirst - Versions
+ *
+ * Copyright (c) 2023 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+export { diffText };
+
+// Above this number of compared token pairs, the changed portion is shown as a whole instead of being compared token by
+// token, so that large notes do not freeze the page.
+const maxComparisons = 4000000;
+
+/**
+ * Compare two versions of a text.
+ *
+ * @param {string} oldText The previous version of the text.
+ * @param {string} newText The current version of the text.
+ * @param {string} granularity The unit of comparison: 'word' or 'line'.
+ *
+ * @return {Array} The portions of the text, in order, as objects: [{ type: 'equal'|'added'|'removed', text }].
+ */
+const diffText = (oldText = '', newText = '', granularity = 'word') => {
+    const oldTokens = tokenize(oldText, granularity);
+    const newTokens = tokenize(newText, granularity);
+
+    // Leave out the tokens the two versions start and end with, which are usually most of the text.
+    let prefixLength = 0;
+
+    while (
+        prefixLength < oldTokens.length &&
+        prefixLength < newTokens.length &&
+        oldTokens[prefixLength] === newTokens[prefixLength]
+    ) {
+        prefixLength++;
+    }
+
+    let suffixLength = 0;
+
+    while (
+        suffixLength < oldTokens.length - prefixLength &&
+        suffixLength < newTokens.length - prefixLength &&
+        oldTokens[oldTokens.length - 1 - suffixLength] === newTokens[newTokens.length - 1 - suffixLength]
+    ) {
+        suffixLength++;
+    }
+
+    const oldMiddle = oldTokens.slice(prefixLength, oldTokens.length - suffixLength);
+    const newMiddle = newTokens.slice(prefixLength, newTokens.length - suffixLength);
+
+    const parts = [];
+
+    addPart(parts, 'equal', oldTokens.slice(0, prefixLength));
+
+    if (oldMiddle.length * newMiddle.length > maxComparisons) {
+        addPart(parts, 'removed', oldMiddle);
+        addPart(parts, 'added', newMiddle);
+    } else {
+        for (const [type, token] of compareTokens(oldMiddle, newMiddle)) {
+            addPart(parts, type, [token]);
+        }
+    }
+
+    addPart(parts, 'equal', oldTokens.slice(oldTokens.length - suffixLength));
+
+    return parts;
+};
+
+/**
+ * Split a text into the tokens to be compared. Joining the tokens gives back the original text.
+ *
+ * @param {string} text The text to be split.
+ * @param {string} granularity The unit of comparison: 'word' (words and the spaces between them) or 'line'.
+ *
+ * @return {Array} The tokens.
+ */
+const tokenize = (text, granularity) => {
+    const regex = granularity === 'line' ? /[^\n]*\n|[^\n]+$/g : /\s+|[^\s]+/g;
+
+    return text.match(regex) || [];
+};
+
+/**
+ * Compare two lists of tokens through their longest common subsequence.
+ *
+ * @param {Array} oldTokens The tokens of the previous version.
+ * @param {Array} newTokens The tokens of the current version.
+ *
+ * @return {Array} The tokens, in order, with their type: [['equal'|'added'|'removed', token]].
+ */
+const compareTokens = (oldTokens, newTokens) => {
+    const columns = newTokens.length + 1;
+
+    // lengths[i * columns + j] is the length of the longest common subsequence of oldTokens[i:] and newTokens[j:].
+    const lengths = new Uint32Array((oldTokens.length + 1) * columns);
+
+    for (let i = oldTokens.length - 1; i >= 0; i--) {
+        for (let j = newTokens.length - 1; j >= 0; j--) {
+            lengths[i * columns + j] =
+                oldTokens[i] === newTokens[j]
+                    ? lengths[(i + 1) * columns + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+        }
+    }
+
+    const result = [];
+
+    let i = 0;
+    let j = 0;
+
+    while (i < oldTokens.length && j < newTokens.length) {
+        if (oldTokens[i] === newTokens[j]) {
+            result.push(['equal', oldTokens[i]]);
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]) {
+            result.push(['removed', oldTokens[i]]);
+            i++;
+        } else {
+            result.push(['added', newTokens[j]]);
+            j++;
+        }
+    }
+
+    for (; i < oldTokens.length; i++) {
+        result.push(['removed', oldTokens[i]]);
+    }
+
+    for (; j < newTokens.length; j++) {
+        result.push(['added', newTokens[j]]);
+    }
+
+    return result;
+};
+
+/**
+ * Add some tokens to a list of parts, merging them with the last part if it has the same type.
+ *
+ * @param {Array} parts The parts of the comparison (see diffText()).
+ * @param {string} type The type of the tokens: 'equal', 'added' or 'removed'.
+ * @param {Array} tokens The tokens to be added.
+ */
+const addPart = (parts, type, tokens) => {
+    if (tokens.length === 0) {
+        return;
+    }
+
+    const lastPart = parts[parts.length - 1];
+
+    if (lastPart && lastPart.type === type) {
+        lastPart.text += tokens.join('');
+    } else {
+        parts.push({ type, text: tokens.join('') });
+    }
+};
@@ -0,0 +1,140 @@
+/**
+ * Standfirst - Zip
+ *
+ * Copyright (c) 2023 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+export { createZip };
+
+// The CRC-32 of each byte value, used to compute the checksum of the files (see getCrc32()).
+const crcTable = Array.from({ length: 256 }, (value, byte) => {
+    let crc = byte;
+
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+
+    return crc >>> 0;
+});
+
+/**
+ * Create a ZIP archive, e.g. the package of a DOCX document. The files are stored without compression.
+ *
+ * @param {Array} files The files of the archive, in order: [{ name: {string}, content: {string|Uint8Array} }]. Names
+ *                      are paths within the archive, e.g. "word/document.xml". Text content is encoded as UTF-8.
+ * @param {Date} date The modification date of the files.
+ *
+ * @return {Uint8Array} The content of the archive.
+ */
+const createZip = (files, date = new Date()) => {
+    const encoder = new TextEncoder();
+
+    const [time, day] = getDosDateTime(date);
+
+    const localParts = [];
+    const centralParts = [];
+
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const content = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = getCrc32(content);
+
+        // Local file header
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, 0x04034b50, true);
+        localHeader.setUint16(4, 20, true); // Version needed to extract (2.0)
+        localHeader.setUint16(6, 0x0800, true); // Names encoded as UTF-8
+        localHeader.setUint16(8, 0, true); // Stored
+        localHeader.setUint16(10, time, true);
+        localHeader.setUint16(12, day, true);
+        localHeader.setUint32(14, crc, true);
+        localHeader.setUint32(18, content.length, true);
+        localHeader.setUint32(22, content.length, true);
+        localHeader.setUint16(26, name.length, true);
+        localHeader.setUint16(28, 0, true);
+
+        localParts.push(new Uint8Array(localHeader.buffer), name, content);
+
+        // Central directory header
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, 0x02014b50, true);
+        centralHeader.setUint16(4, 20, true); // Version made by
+        centralHeader.setUint16(6, 20, true);
+        centralHeader.setUint16(8, 0x0800, true);
+        centralHeader.setUint16(10, 0, true);
+        centralHeader.setUint16(12, time, true);
+        centralHeader.setUint16(14, day, true);
+        centralHeader.setUint32(16, crc, true);
+        centralHeader.setUint32(20, content.length, true);
+        centralHeader.setUint32(24, content.length, true);
+        centralHeader.setUint16(28, name.length, true);
+        centralHeader.setUint32(42, offset, true);
+
+        centralParts.push(new Uint8Array(centralHeader.buffer), name);
+
+        offset += 30 + name.length + content.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+
+    const zip = new Uint8Array(offset + centralSize + 22);
+
+    let position = 0;
+
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+
+    return zip;
+};
+
+/**
+ * Compute the CRC-32 checksum of some data.
+ *
+ * @param {Uint8Array} bytes The data.
+ *
+ * @return {number} The checksum.
+ */
+const getCrc32 = (bytes) => {
+    let crc = 0xffffffff;
+
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Convert a date into the MS-DOS format used by ZIP archives, in local time.
+ *
+ * @param {Date} date The date (years before 1980 are not supported by the format).
+ *
+ * @return {Array} The time and the date: [time, date].
+ */
+const getDosDateTime = (date) => {
+    const year = Math.max(date.getFullYear(), 1980);
+
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    return [time, day];
+};
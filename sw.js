@@ -0,0 +1,91 @@
+/**
+ * Standfirst - Service worker
+ *
+ * Copyright (c) 2023 Francesco Ugolini <contact@francescougolini.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not
+ * distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+// The name of the cache of the app shell. The cached files are refreshed whenever they are downloaded again (see the
+// fetch listener below), so the name only needs to change to drop the files no longer used.
+const cacheName = 'standfirst-v3';
+
+// The files needed to run Standfirst offline, relative to the scope of the service worker.
+const appShell = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/stylesheet.css',
+    'img/favicon.png',
+    'img/icon.svg',
+    'js/commands.js',
+    'js/documents.js',
+    'js/events.js',
+    'js/format.js',
+    'js/init.js',
+    'js/markdown.js',
+    'js/notepad.js',
+    'js/storage.js',
+    'js/themes.js',
+    'js/undo.js',
+    'js/utilities.js',
+    'js/versions.js',
+    'js/zip.js',
+];
+
+// Download the app shell when the service worker is installed.
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(cacheName).then((cache) => cache.addAll(appShell)));
+});
+
+// Remove the caches of the previous versions.
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((keys) => Promise.all(keys.filter((key) => key !== cacheName).map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Serve the files from the network, so that the latest version of the app is always used when online, and keep a copy
+// of them in the cache for when it is offline. Pages opened offline (e.g. from a file handler, with a query string)
+// receive the cached index.html.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(request)
+            .then((response) => {
+                // Pages with a query string are cached once, without it.
+                if (response.ok && !url.search) {
+                    const cachedResponse = response.clone();
+
+                    event.waitUntil(caches.open(cacheName).then((cache) => cache.put(request, cachedResponse)));
+                }
+
+                return response;
+            })
+            .catch((error) => {
+                return caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then((cachedResponse) => {
+                    if (cachedResponse) {
+                        return cachedResponse;
+                    }
+
+                    if (request.mode === 'navigate') {
+                        return caches.match('index.html');
+                    }
+
+                    throw error;
+                });
+            })
+    );
+});